@@ -1,20 +1,61 @@
-/* global TaskManager, TaskTimer, UI, playCompletionSound, appointmentReminder, gamification */
+/* global TaskManager, TaskTimer, IdleDetector, PomodoroTimer, QuickAdd, CalendarView, UI, playCompletionSound, appointmentReminder, gamification */
 
 /**
  * Main Application Module
  * Orchestrates all components and handles user interactions
  */
 
+// Completed tasks shown in the board's last column, most recent first
+const BOARD_DONE_LIMIT = 20;
+
 class App {
   constructor() {
     this.taskManager = new TaskManager();
     this.timer = new TaskTimer();
+    this.timer.onTick = (totalSeconds) =>
+      UI.updateEstimateProgress(totalSeconds);
     this.tasks = [];
     this.archivedTasks = [];
+    this.deferredTasks = [];
     this.activeTaskId = null;
     this.editingTaskId = null;
     this.editingActiveTask = false;
+    // Task and form data as opened for editing, to detect and merge changes
+    // saved elsewhere in the meantime
+    this.editingTask = null;
+    this.editingForm = null;
+    this.conflict = null;
+    // Tasks picked with shift-click for the bulk action bar
+    this.selectedTaskIds = new Set();
     this.searchQuery = '';
+    this.searchTimeout = null;
+    // Increases with every search, to drop responses that arrive late
+    this.searchRequestId = 0;
+    this.projects = [];
+    // Built-in and saved views with the IDs of their open tasks
+    this.views = [];
+    this.currentView = App.loadView();
+    this.viewsTimeout = null;
+    // 'list', 'calendar' or 'board', and the calendar's mode and shown date
+    this.layout = App.loadLayout();
+    this.calendarMode = App.loadCalendarMode();
+    this.calendarDate = CalendarView.formatDate(new Date());
+    this.calendarRequestId = 0;
+    // Board columns from the config ({ id, name, action })
+    this.boardColumns = [];
+    this.timeTracking = { idleMinutes: 10, maxSessionHours: 8 };
+    this.idleDetector = new IdleDetector((idleSince) =>
+      this.handleIdleReturn(idleSince)
+    );
+    this.idleSince = null;
+    this.pomodoro = new PomodoroTimer({
+      onWorkEnd: (taskId, end) => this.handlePomodoroWorkEnd(taskId, end),
+      onBreakEnd: (taskId) => this.handlePomodoroBreakEnd(taskId),
+    });
+    // startedAt of the timer already checked for being left running
+    this.checkedTimerStart = null;
+    this.filter = App.loadFilter();
+    this.events = null;
 
     this.init();
   }
@@ -25,8 +66,315 @@ class App {
   async init() {
     this.attachEventListeners();
     UI.initDailyChecklist();
+    UI.setFilterControls(this.filter);
     await this.loadConfig();
+    await this.loadProjects();
+    await this.loadViews();
+    await this.loadBoard();
     await this.loadTasks();
+    this.connectEvents();
+  }
+
+  /**
+   * Open the server event stream: appointment reminders plus task, timer
+   * and config changes made in other tabs
+   */
+  connectEvents() {
+    if (!window.EventSource) {
+      return;
+    }
+    this.events = new EventSource('/api/events');
+    this.events.addEventListener('reminder', (e) => {
+      appointmentReminder.notify(JSON.parse(e.data));
+    });
+
+    // Events are skipped when they describe this page's own requests,
+    // whose handlers update the page themselves
+    const onRemoteChange = (handler) => (e) => {
+      const data = JSON.parse(e.data);
+      if (data.origin !== TaskManager.clientId) {
+        handler(data);
+      }
+    };
+    this.events.addEventListener(
+      'tasks',
+      onRemoteChange((data) => this.applyTaskChanges(data))
+    );
+    this.events.addEventListener(
+      'timer',
+      onRemoteChange((data) => this.applyTimerChange(data))
+    );
+    this.events.addEventListener(
+      'config',
+      onRemoteChange((data) => this.applyConfigChange(data.config))
+    );
+
+    // Changes made while the connection was down were missed: reload
+    let connectedBefore = false;
+    this.events.addEventListener('open', () => {
+      if (connectedBefore) {
+        this.reloadAfterHistoryChange();
+      }
+      connectedBefore = true;
+    });
+  }
+
+  /**
+   * Apply task changes pushed by the server
+   * Each task is moved into the list it now belongs in (active, deferred or
+   * completed); tasks that left tasks.json are dropped unless they moved to
+   * an archive file.
+   * @param {Object} data - { changes: [{ id, task }], archived: [tasks] }
+   */
+  applyTaskChanges({ changes, archived }) {
+    const archivedById = new Map(archived.map((task) => [task.id, task]));
+
+    changes.forEach(({ id, task }) => {
+      const current = task || archivedById.get(id);
+      const lists = ['tasks', 'deferredTasks', 'archivedTasks'];
+      let target = null;
+      if (current) {
+        if (current.archived) {
+          target = 'archivedTasks';
+        } else if (TaskManager.isDeferred(current)) {
+          target = 'deferredTasks';
+        } else {
+          target = 'tasks';
+        }
+      }
+
+      // Replace in place to keep the order; otherwise move it over
+      const index = target ? this[target].findIndex((t) => t.id === id) : -1;
+      if (index >= 0) {
+        this[target][index] = current;
+        return;
+      }
+      lists.forEach((list) => {
+        this[list] = this[list].filter((t) => t.id !== id);
+      });
+      if (target === 'archivedTasks') {
+        this.archivedTasks.unshift(current);
+      } else if (target) {
+        this[target].push(current);
+      }
+    });
+
+    this.deferredTasks.sort((a, b) =>
+      a.hiddenUntil.localeCompare(b.hiddenUntil)
+    );
+
+    // Refresh the active task, or drop it if it was completed or deleted
+    const activeTask = this.tasks.find((t) => t.id === this.activeTaskId);
+    if (activeTask) {
+      UI.showActiveTask(activeTask);
+    } else if (this.activeTaskId) {
+      this.timer.stop();
+      this.pomodoro.stop();
+      this.activeTaskId = null;
+      UI.hideActiveTask();
+    }
+    this.render();
+  }
+
+  /**
+   * Follow a timer started or stopped in another tab
+   * Only one task runs at a time, so this page's timer stops when another
+   * tab starts a task.
+   * @param {Object} data - { taskId, startedAt } (taskId null when stopped)
+   */
+  applyTimerChange({ taskId }) {
+    const task = this.tasks.find((t) => t.id === taskId);
+
+    if (task && task.startedAt) {
+      if (this.activeTaskId === taskId && this.timer.isRunning()) {
+        return;
+      }
+      if (this.pomodoro.getTaskId() !== taskId) {
+        this.pomodoro.stop();
+      }
+      this.activeTaskId = taskId;
+      this.timer.start(task.id, task.startedAt, task.timeSpent);
+      UI.showActiveTask(task);
+    } else if (this.activeTaskId) {
+      this.timer.stop();
+      // A task on a pomodoro break stays in the active section
+      if (!this.pomodoro.isOnBreak()) {
+        this.pomodoro.stop();
+        this.activeTaskId = null;
+        UI.hideActiveTask();
+      }
+    }
+
+    this.render();
+  }
+
+  /**
+   * Apply a config saved in another tab (e.g. a new project)
+   * @param {Object} config - Configuration object
+   */
+  async applyConfigChange(config) {
+    this.applyConfig(config);
+    this.setProjects(config.projects || []);
+    await this.loadBoard();
+    this.render();
+  }
+
+  /**
+   * Load the board columns from the server
+   */
+  async loadBoard() {
+    this.boardColumns = await this.taskManager.getBoardColumns();
+  }
+
+  /**
+   * Load the last shown view from localStorage
+   * @returns {string} View ID
+   */
+  static loadView() {
+    try {
+      return localStorage.getItem('taskView') || 'all';
+    } catch (error) {
+      return 'all';
+    }
+  }
+
+  /**
+   * Save the shown view to localStorage so it survives reloads
+   */
+  saveCurrentView() {
+    try {
+      localStorage.setItem('taskView', this.currentView);
+    } catch (error) {
+      // Silently fail if localStorage not available
+    }
+  }
+
+  /**
+   * Load the last used layout from localStorage
+   * @returns {string} 'list', 'calendar' or 'board'
+   */
+  static loadLayout() {
+    try {
+      const layout = localStorage.getItem('taskLayout');
+      return ['calendar', 'board'].includes(layout) ? layout : 'list';
+    } catch (error) {
+      return 'list';
+    }
+  }
+
+  /**
+   * Load the last used calendar mode from localStorage
+   * @returns {string} month, week or day
+   */
+  static loadCalendarMode() {
+    try {
+      const mode = localStorage.getItem('calendarMode');
+      return CalendarView.isMode(mode) ? mode : 'month';
+    } catch (error) {
+      return 'month';
+    }
+  }
+
+  /**
+   * Save the layout and calendar mode to localStorage
+   */
+  saveLayout() {
+    try {
+      localStorage.setItem('taskLayout', this.layout);
+      localStorage.setItem('calendarMode', this.calendarMode);
+    } catch (error) {
+      // Silently fail if localStorage not available
+    }
+  }
+
+  /**
+   * Load views and their task counts from the server
+   * @returns {Promise<boolean>} True if the shown view's tasks changed
+   */
+  async loadViews() {
+    const previous = this.views.find((view) => view.id === this.currentView);
+    this.views = await this.taskManager.getViews();
+
+    // Fall back to all tasks when the shown view was deleted
+    if (
+      this.views.length > 0 &&
+      !this.views.some((view) => view.id === this.currentView)
+    ) {
+      this.currentView = 'all';
+      this.saveCurrentView();
+    }
+    UI.renderViewTabs(this.views, this.currentView, this.projects);
+
+    const current = this.views.find((view) => view.id === this.currentView);
+    return (
+      JSON.stringify(previous && previous.taskIds) !==
+      JSON.stringify(current && current.taskIds)
+    );
+  }
+
+  /**
+   * Refresh view counts once changes settle, re-rendering the list if the
+   * shown view gained or lost tasks
+   */
+  scheduleViewRefresh() {
+    clearTimeout(this.viewsTimeout);
+    this.viewsTimeout = setTimeout(async () => {
+      if (await this.loadViews()) {
+        this.render();
+      }
+    }, 200);
+  }
+
+  /**
+   * Load saved filter from localStorage
+   * @returns {Object} Filter ({ project, tag, priority })
+   */
+  static loadFilter() {
+    const empty = { project: '', tag: '', priority: '' };
+    try {
+      const stored = localStorage.getItem('taskFilter');
+      return stored ? { ...empty, ...JSON.parse(stored) } : empty;
+    } catch (error) {
+      return empty;
+    }
+  }
+
+  /**
+   * Save current filter to localStorage so it survives reloads
+   */
+  saveFilter() {
+    try {
+      localStorage.setItem('taskFilter', JSON.stringify(this.filter));
+    } catch (error) {
+      // Silently fail if localStorage not available
+    }
+  }
+
+  /**
+   * Load projects from server
+   */
+  async loadProjects() {
+    this.setProjects(await this.taskManager.getProjects());
+  }
+
+  /**
+   * Show a new project list in the form and filter controls
+   * @param {Array} projects - Projects from the config
+   */
+  setProjects(projects) {
+    this.projects = projects;
+    UI.renderProjectOptions(this.projects);
+
+    // Drop a saved project filter whose project no longer exists
+    if (
+      this.filter.project &&
+      this.filter.project !== 'none' &&
+      !this.projects.some((p) => p.id === this.filter.project)
+    ) {
+      this.filter.project = '';
+      this.saveFilter();
+    }
+    UI.setFilterControls(this.filter);
   }
 
   /**
@@ -69,6 +417,15 @@ class App {
         mantraEl.style.display = 'none';
       }
     }
+
+    if (config.timeTracking) {
+      this.timeTracking = { ...this.timeTracking, ...config.timeTracking };
+      this.idleDetector.setThreshold(this.timeTracking.idleMinutes);
+    }
+
+    if (config.pomodoro) {
+      this.pomodoro.setSettings(config.pomodoro);
+    }
   }
 
   /**
@@ -79,10 +436,263 @@ class App {
     const searchInput = document.getElementById('search-input');
     if (searchInput) {
       searchInput.addEventListener('input', (e) => {
-        this.searchQuery = e.target.value.toLowerCase();
+        this.searchQuery = e.target.value.trim();
+        // Search once typing pauses
+        clearTimeout(this.searchTimeout);
+        this.searchTimeout = setTimeout(() => this.render(), 250);
+      });
+    }
+
+    // Quick-add bar: live preview, Enter saves, Escape clears
+    const quickAddInput = document.getElementById('quick-add-input');
+    if (quickAddInput) {
+      quickAddInput.addEventListener('input', () => {
+        UI.renderQuickAddPreview(QuickAdd.parse(quickAddInput.value));
+      });
+      quickAddInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          this.handleQuickAdd();
+        } else if (e.key === 'Escape') {
+          quickAddInput.value = '';
+          UI.renderQuickAddPreview(null);
+        }
+      });
+    }
+
+    // Filter bar (project + tag + priority)
+    const filterFields = {
+      'filter-project': 'project',
+      'filter-tag': 'tag',
+      'filter-priority': 'priority',
+    };
+    Object.entries(filterFields).forEach(([elementId, key]) => {
+      const select = document.getElementById(elementId);
+      if (select) {
+        select.addEventListener('change', (e) => {
+          this.filter[key] = e.target.value;
+          this.saveFilter();
+          this.render();
+        });
+      }
+    });
+
+    const clearFilterBtn = document.getElementById('clear-filter-btn');
+    if (clearFilterBtn) {
+      clearFilterBtn.addEventListener('click', () => {
+        this.filter = { project: '', tag: '', priority: '' };
+        this.saveFilter();
+        UI.setFilterControls(this.filter);
+        this.render();
+      });
+    }
+
+    // View tabs (re-rendered with every count refresh, so delegate)
+    const viewTabs = document.getElementById('view-tabs');
+    if (viewTabs) {
+      viewTabs.addEventListener('click', (e) => {
+        const tab = e.target.closest('.view-tab');
+        if (tab) {
+          this.handleSelectView(tab.getAttribute('data-view-id'));
+        } else if (e.target.closest('#save-view-btn')) {
+          this.handleSaveView();
+        } else if (e.target.closest('#delete-view-btn')) {
+          this.handleDeleteView();
+        }
+      });
+    }
+
+    // Layout switch (task list or calendar)
+    document.querySelectorAll('.layout-btn').forEach((btn) => {
+      btn.addEventListener('click', () =>
+        this.handleSelectLayout(btn.getAttribute('data-layout'))
+      );
+    });
+    UI.setLayoutButtons(this.layout);
+
+    // Calendar paging and mode
+    Object.entries({
+      'calendar-prev-btn': -1,
+      'calendar-next-btn': 1,
+    }).forEach(([id, direction]) => {
+      const btn = document.getElementById(id);
+      if (btn) {
+        btn.addEventListener('click', () => {
+          this.calendarDate = CalendarView.shift(
+            this.calendarMode,
+            this.calendarDate,
+            direction
+          );
+          this.render();
+        });
+      }
+    });
+    const calendarTodayBtn = document.getElementById('calendar-today-btn');
+    if (calendarTodayBtn) {
+      calendarTodayBtn.addEventListener('click', () => {
+        this.calendarDate = CalendarView.formatDate(new Date());
         this.render();
       });
     }
+    const calendarMode = document.getElementById('calendar-mode');
+    if (calendarMode) {
+      calendarMode.addEventListener('change', (e) =>
+        this.handleCalendarMode(e.target.value, this.calendarDate)
+      );
+    }
+
+    // Calendar grid (re-rendered on every change, so delegate): click a
+    // day to open it, an entry to edit it, or drag an entry to reschedule
+    const calendarGrid = document.getElementById('calendar-grid');
+    if (calendarGrid) {
+      calendarGrid.addEventListener('click', (e) => {
+        const dayLink = e.target.closest(
+          '.calendar-day-number, .calendar-more'
+        );
+        const entry = e.target.closest('.calendar-entry');
+        if (dayLink) {
+          this.handleCalendarMode('day', dayLink.getAttribute('data-date'));
+        } else if (entry) {
+          this.handleEditTask(entry.getAttribute('data-task-id'));
+        }
+      });
+      calendarGrid.addEventListener('dragstart', (e) => {
+        const entry = e.target.closest('.calendar-entry');
+        if (entry) {
+          e.dataTransfer.setData(
+            'text/plain',
+            entry.getAttribute('data-task-id')
+          );
+          e.dataTransfer.effectAllowed = 'move';
+        }
+      });
+      calendarGrid.addEventListener('dragover', (e) => {
+        const target = e.target.closest('.calendar-day, .calendar-slot');
+        if (target) {
+          e.preventDefault();
+          calendarGrid
+            .querySelectorAll('.drag-over')
+            .forEach((el) => el !== target && el.classList.remove('drag-over'));
+          target.classList.add('drag-over');
+        }
+      });
+      calendarGrid.addEventListener('dragleave', (e) => {
+        if (!calendarGrid.contains(e.relatedTarget)) {
+          calendarGrid
+            .querySelectorAll('.drag-over')
+            .forEach((el) => el.classList.remove('drag-over'));
+        }
+      });
+      calendarGrid.addEventListener('drop', (e) => {
+        const target = e.target.closest('.calendar-day, .calendar-slot');
+        const taskId = e.dataTransfer.getData('text/plain');
+        if (!target || !taskId) {
+          return;
+        }
+        e.preventDefault();
+        target.classList.remove('drag-over');
+        this.handleReschedule(
+          taskId,
+          target.getAttribute('data-date'),
+          target.hasAttribute('data-time')
+            ? target.getAttribute('data-time')
+            : undefined
+        );
+      });
+    }
+
+    // Board (re-rendered on every change, so delegate): drag cards between
+    // columns, click an open card to edit it
+    const boardColumns = document.getElementById('board-columns');
+    if (boardColumns) {
+      boardColumns.addEventListener('click', (e) => {
+        const card = e.target.closest('.board-card:not(.completed)');
+        if (card) {
+          this.handleEditTask(card.getAttribute('data-task-id'));
+        }
+      });
+      boardColumns.addEventListener('dragstart', (e) => {
+        const card = e.target.closest('.board-card');
+        if (card) {
+          e.dataTransfer.setData(
+            'text/plain',
+            card.getAttribute('data-task-id')
+          );
+          e.dataTransfer.effectAllowed = 'move';
+        }
+      });
+      boardColumns.addEventListener('dragover', (e) => {
+        const column = e.target.closest('.board-column');
+        if (column) {
+          e.preventDefault();
+          boardColumns
+            .querySelectorAll('.drag-over')
+            .forEach((el) => el !== column && el.classList.remove('drag-over'));
+          column.classList.add('drag-over');
+        }
+      });
+      boardColumns.addEventListener('dragleave', (e) => {
+        if (!boardColumns.contains(e.relatedTarget)) {
+          boardColumns
+            .querySelectorAll('.drag-over')
+            .forEach((el) => el.classList.remove('drag-over'));
+        }
+      });
+      boardColumns.addEventListener('drop', (e) => {
+        const column = e.target.closest('.board-column');
+        const taskId = e.dataTransfer.getData('text/plain');
+        if (!column || !taskId) {
+          return;
+        }
+        e.preventDefault();
+        column.classList.remove('drag-over');
+        this.handleBoardDrop(taskId, column.getAttribute('data-column-id'));
+      });
+    }
+
+    const manageProjectBtn = document.getElementById('manage-project-btn');
+    if (manageProjectBtn) {
+      manageProjectBtn.addEventListener('click', () =>
+        this.handleManageProject()
+      );
+    }
+
+    // .ics import drop zone (click to pick a file, or drop one on it)
+    const icsDropZone = document.getElementById('ics-drop-zone');
+    const icsFileInput = document.getElementById('ics-file-input');
+    if (icsDropZone && icsFileInput) {
+      icsDropZone.addEventListener('click', () => icsFileInput.click());
+      icsFileInput.addEventListener('change', () => {
+        if (icsFileInput.files[0]) {
+          this.handleImportCalendar(icsFileInput.files[0]);
+        }
+        icsFileInput.value = '';
+      });
+      icsDropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        icsDropZone.classList.add('drag-over');
+      });
+      icsDropZone.addEventListener('dragleave', () => {
+        icsDropZone.classList.remove('drag-over');
+      });
+      icsDropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        icsDropZone.classList.remove('drag-over');
+        if (e.dataTransfer.files[0]) {
+          this.handleImportCalendar(e.dataTransfer.files[0]);
+        }
+      });
+    }
+
+    // "+ New project…" option in the task form
+    const projectSelect = document.getElementById('project');
+    if (projectSelect) {
+      projectSelect.addEventListener('change', (e) => {
+        if (e.target.value === '__new__') {
+          this.handleCreateProject();
+        }
+      });
+    }
 
     // Modal controls
     const addTaskBtn = document.getElementById('add-task-btn');
@@ -120,24 +730,36 @@ class App {
 
     // Appointment checkbox toggle
     const appointmentCheckbox = document.getElementById('is-appointment');
-    const reminderSelect = document.getElementById('reminder-minutes');
+    const reminderOffsets = document.getElementById('reminder-minutes');
     if (appointmentCheckbox) {
       appointmentCheckbox.addEventListener('change', (e) => {
-        reminderSelect.disabled = !e.target.checked;
+        reminderOffsets.disabled = !e.target.checked;
+        if (e.target.checked) {
+          appointmentReminder.requestPermission();
+        }
       });
     }
 
-    // Working days checkbox toggle
-    const recurringSelect = document.getElementById('recurring');
-    const workingDaysCheckbox = document.getElementById('working-days-only');
-    if (recurringSelect && workingDaysCheckbox) {
-      recurringSelect.addEventListener('change', (e) => {
-        // Only enable working days option for daily recurring
-        workingDaysCheckbox.disabled = e.target.value !== 'daily';
-        if (e.target.value !== 'daily') {
-          workingDaysCheckbox.checked = false;
+    // Recurrence builder: controls rebuild the rule, typing a rule
+    // updates the controls
+    const recurrenceFreq = document.getElementById('recurrence-freq');
+    const recurrenceBuilder = document.getElementById('recurrence-builder');
+    if (recurrenceFreq && recurrenceBuilder) {
+      recurrenceFreq.addEventListener('input', () =>
+        this.handleRecurrenceBuilderChange()
+      );
+      recurrenceBuilder.addEventListener('input', (e) => {
+        if (e.target.id === 'recurring') {
+          this.handleRecurrenceRuleInput();
+        } else if (e.target.id === 'recurrence-mode') {
+          this.refreshRecurrencePreview();
+        } else {
+          this.handleRecurrenceBuilderChange();
         }
       });
+      document
+        .getElementById('due-date')
+        .addEventListener('change', () => this.refreshRecurrencePreview());
     }
 
     // Archive toggle
@@ -148,6 +770,14 @@ class App {
       });
     }
 
+    // Deferred tasks toggle
+    const deferredToggle = document.getElementById('deferred-toggle');
+    if (deferredToggle) {
+      deferredToggle.addEventListener('click', () => {
+        document.getElementById('deferred-list').classList.toggle('hidden');
+      });
+    }
+
     // Clean archive button
     const cleanArchiveBtn = document.getElementById('clean-archive-btn');
     if (cleanArchiveBtn) {
@@ -179,11 +809,129 @@ class App {
       });
     }
 
+    // Time report modal
+    const reportBtn = document.getElementById('report-btn');
+    const reportModal = document.getElementById('report-modal');
+    const reportModalClose = document.getElementById('report-modal-close');
+    const reportLoadBtn = document.getElementById('report-load-btn');
+    const reportCsvBtn = document.getElementById('report-csv-btn');
+    const reportJsonBtn = document.getElementById('report-json-btn');
+
+    if (reportBtn) {
+      reportBtn.addEventListener('click', () => {
+        UI.showReportModal();
+        this.handleLoadReport();
+      });
+    }
+
+    if (reportModal) {
+      reportModal.addEventListener('click', (e) => {
+        if (e.target === reportModal) {
+          UI.hideReportModal();
+        }
+      });
+    }
+
+    if (reportModalClose) {
+      reportModalClose.addEventListener('click', () => UI.hideReportModal());
+    }
+
+    if (reportLoadBtn) {
+      reportLoadBtn.addEventListener('click', () => this.handleLoadReport());
+    }
+
+    if (reportCsvBtn) {
+      reportCsvBtn.addEventListener('click', () =>
+        this.handleDownloadReport('csv')
+      );
+    }
+
+    if (reportJsonBtn) {
+      reportJsonBtn.addEventListener('click', () =>
+        this.handleDownloadReport('json')
+      );
+    }
+
+    // Idle time prompt
+    const idleActions = {
+      'idle-keep-btn': 'keep',
+      'idle-discard-btn': 'discard',
+      'idle-trim-btn': 'trim',
+    };
+    Object.entries(idleActions).forEach(([buttonId, action]) => {
+      const button = document.getElementById(buttonId);
+      if (button) {
+        button.addEventListener('click', () => this.handleIdleChoice(action));
+      }
+    });
+
+    // Edit conflict prompt
+    const conflictActions = {
+      'conflict-theirs-btn': 'theirs',
+      'conflict-overwrite-btn': 'overwrite',
+      'conflict-merge-btn': 'merge',
+    };
+    Object.entries(conflictActions).forEach(([buttonId, action]) => {
+      const button = document.getElementById(buttonId);
+      if (button) {
+        button.addEventListener('click', () =>
+          this.handleConflictChoice(action)
+        );
+      }
+    });
+
+    // Bulk action bar
+    const bulkButtons = {
+      'bulk-complete-btn': 'complete',
+      'bulk-archive-btn': 'archive',
+      'bulk-delete-btn': 'delete',
+    };
+    Object.entries(bulkButtons).forEach(([buttonId, action]) => {
+      const button = document.getElementById(buttonId);
+      if (button) {
+        button.addEventListener('click', () => this.handleBulkAction(action));
+      }
+    });
+    const bulkDate = document.getElementById('bulk-date');
+    if (bulkDate) {
+      bulkDate.addEventListener('change', () => {
+        if (bulkDate.value) {
+          this.handleBulkAction('reschedule', { dueDate: bulkDate.value });
+        }
+      });
+    }
+    const bulkPriority = document.getElementById('bulk-priority');
+    if (bulkPriority) {
+      bulkPriority.addEventListener('change', () => {
+        if (bulkPriority.value) {
+          this.handleBulkAction('priority', { priority: bulkPriority.value });
+        }
+      });
+    }
+    const bulkTag = document.getElementById('bulk-tag');
+    if (bulkTag) {
+      bulkTag.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && bulkTag.value.trim()) {
+          e.preventDefault();
+          this.handleBulkAction('tag', { tag: bulkTag.value.trim() });
+        }
+      });
+    }
+    const bulkClearBtn = document.getElementById('bulk-clear-btn');
+    if (bulkClearBtn) {
+      bulkClearBtn.addEventListener('click', () => this.clearSelection());
+    }
+
     // Timer buttons and edit
     const editActiveBtn = document.getElementById('edit-active-btn');
     const stopBtn = document.getElementById('stop-btn');
     const completeBtn = document.getElementById('complete-btn');
 
+    const pomodoroBtn = document.getElementById('pomodoro-btn');
+    if (pomodoroBtn) {
+      pomodoroBtn.addEventListener('click', () => this.handleTogglePomodoro());
+    }
+
     if (editActiveBtn) {
       editActiveBtn.addEventListener('click', () =>
         this.handleEditActiveTask()
@@ -198,15 +946,66 @@ class App {
       completeBtn.addEventListener('click', () => this.handleCompleteTask());
     }
 
-    // Modal background click to close
-    const modal = document.getElementById('task-modal');
-    if (modal) {
-      modal.addEventListener('click', (e) => {
-        if (e.target === modal) {
+    // Checklist tick-off in the active task panel
+    const activeChecklist = document.getElementById('active-task-checklist');
+    if (activeChecklist) {
+      activeChecklist.addEventListener('change', (e) => {
+        if (!e.target.classList.contains('active-checklist-checkbox')) return;
+        this.handleToggleChecklistItem(
+          e.target.getAttribute('data-task-id'),
+          e.target.getAttribute('data-item-id'),
+          e.target.checked
+        );
+      });
+    }
+
+    // Session log in the active task panel
+    const activeSessions = document.getElementById('active-task-sessions');
+    if (activeSessions) {
+      activeSessions.addEventListener('click', (e) => {
+        const row = e.target.closest('.session-item');
+        const sessionId = row ? row.getAttribute('data-session-id') : null;
+        if (e.target.classList.contains('session-add-btn')) {
+          this.handleAddSession();
+        } else if (e.target.classList.contains('session-edit-btn')) {
+          this.handleEditSession(sessionId);
+        } else if (e.target.classList.contains('session-delete-btn')) {
+          this.handleDeleteSession(sessionId);
+        }
+      });
+    }
+
+    // Modal background click to close
+    const modal = document.getElementById('task-modal');
+    if (modal) {
+      modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
           UI.hideModal();
         }
       });
     }
+
+    // Undo/redo shortcuts (Ctrl+Z, Ctrl+Shift+Z / Ctrl+Y)
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.selectedTaskIds.size > 0) {
+        this.clearSelection();
+        return;
+      }
+      if (!(e.ctrlKey || e.metaKey)) return;
+
+      // Leave text editing shortcuts to the browser
+      const tag = e.target.tagName;
+      if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        this.handleUndo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        this.handleRedo();
+      }
+    });
   }
 
   /**
@@ -216,15 +1015,13 @@ class App {
     try {
       this.tasks = await this.taskManager.getActiveTasks();
       this.archivedTasks = await this.taskManager.getArchivedTasks();
+      this.deferredTasks = await this.taskManager.getDeferredTasks();
 
       // Render UI
       this.render();
 
       // Check for active task and resume timer
-      this.resumeActiveTask();
-
-      // Start checking for appointment reminders
-      appointmentReminder.startCheckingReminders(this.tasks);
+      await this.resumeActiveTask();
     } catch (error) {
       console.error('Error loading tasks:', error);
       UI.showError('Failed to load tasks');
@@ -233,9 +1030,15 @@ class App {
 
   /**
    * Resume active task timer if one exists
+   * The server first stops a timer that has run longer than the configured
+   * maximum, recording the session capped or flagged.
    */
-  resumeActiveTask() {
-    const activeTask = this.tasks.find((task) => task.inProgress);
+  async resumeActiveTask() {
+    let activeTask = this.tasks.find((task) => task.inProgress);
+
+    if (activeTask && activeTask.startedAt) {
+      activeTask = await this.resumeForgottenTimer(activeTask);
+    }
 
     if (activeTask && activeTask.startedAt) {
       this.activeTaskId = activeTask.id;
@@ -245,22 +1048,387 @@ class App {
         activeTask.timeSpent
       );
       UI.showActiveTask(activeTask);
+      this.checkForgottenTimer(activeTask);
+    }
+
+    this.resumePomodoro(activeTask);
+  }
+
+  /**
+   * Let the server check a running timer picked up after a reload
+   * @param {Object} task - Running task
+   * @returns {Promise<Object|undefined>} The task if it is still running
+   */
+  async resumeForgottenTimer(task) {
+    try {
+      const resumed = await this.taskManager.resumeTask(task.id);
+      if (resumed.inProgress) {
+        return resumed;
+      }
+
+      this.storeTask(resumed);
+      this.render();
+      // Sessions are sorted by start, so the one just recorded is last
+      const session = resumed.sessions[resumed.sessions.length - 1] || {};
+      UI.showToast(
+        `Stopped "${resumed.description}" after more than ${this.timeTracking.maxSessionHours}h; the session was ${session.capped ? 'capped' : 'flagged'}`,
+        () => this.handleUndo()
+      );
+      return undefined;
+    } catch (error) {
+      // Keep the timer running; the session is still checked when it stops
+      return task;
     }
   }
 
   /**
-   * Filter tasks by search query
+   * Continue a saved pomodoro period after a reload
+   * A break keeps its (stopped) task in the active section; a work period
+   * only continues while its task is still running.
+   * @param {Object} activeTask - Running task, if any
+   */
+  resumePomodoro(activeTask) {
+    const taskId = this.pomodoro.getTaskId();
+    if (!taskId) {
+      return;
+    }
+
+    if (this.pomodoro.isOnBreak()) {
+      const task = this.tasks.find((t) => t.id === taskId);
+      if (!activeTask && task && this.pomodoro.resume()) {
+        this.activeTaskId = task.id;
+        UI.showActiveTask(task);
+        this.render();
+        return;
+      }
+    } else if (activeTask && activeTask.id === taskId) {
+      this.pomodoro.resume();
+      return;
+    }
+
+    this.pomodoro.stop();
+  }
+
+  /**
+   * Turn pomodoro mode on or off for the active task
+   */
+  handleTogglePomodoro() {
+    if (!this.pomodoro.getTaskId()) {
+      if (this.activeTaskId && this.timer.isRunning()) {
+        this.pomodoro.startWork(this.activeTaskId);
+      }
+      return;
+    }
+
+    const onBreak = this.pomodoro.isOnBreak();
+    this.pomodoro.stop();
+    // The task isn't running during a break, so it leaves the active section
+    if (onBreak) {
+      this.activeTaskId = null;
+      UI.hideActiveTask();
+      this.render();
+    }
+  }
+
+  /**
+   * Handle the end of a pomodoro work period: record it and start the break
+   * @param {string} taskId - Task ID
+   * @param {number} end - When the work period ended (epoch ms)
+   */
+  async handlePomodoroWorkEnd(taskId, end) {
+    try {
+      const task = await this.taskManager.finishPomodoro(taskId, end);
+      this.timer.stop();
+
+      const index = this.tasks.findIndex((t) => t.id === taskId);
+      if (index >= 0) {
+        this.tasks[index] = task;
+      }
+
+      this.pomodoro.startBreak();
+      UI.showActiveTask(task);
+      this.render();
+      UI.showToast(`🍅 Pomodoro ${task.pomodoros} done – time for a break`);
+    } catch (error) {
+      console.error('Error finishing pomodoro:', error);
+      this.pomodoro.stop();
+      UI.showError(error.message);
+    }
+  }
+
+  /**
+   * Handle the end of a pomodoro break: restart the task timer
+   * @param {string} taskId - Task ID
+   */
+  async handlePomodoroBreakEnd(taskId) {
+    await this.handleStartTask(taskId);
+    if (this.activeTaskId === taskId && this.timer.isRunning()) {
+      this.pomodoro.startWork(taskId);
+    } else {
+      this.pomodoro.stop();
+    }
+  }
+
+  /**
+   * Ask about idle time when a resumed timer looks forgotten: the user was
+   * away (per the last activity of the previous page load). Sessions over
+   * the configured maximum were already stopped by the server on resume.
+   * @param {Object} task - Running task
+   */
+  checkForgottenTimer(task) {
+    if (this.checkedTimerStart === task.startedAt) {
+      return;
+    }
+    this.checkedTimerStart = task.startedAt;
+
+    const startedAt = new Date(task.startedAt).getTime();
+    const lastActivity = this.idleDetector.previousActivity;
+    const idleMs = this.timeTracking.idleMinutes * 60 * 1000;
+
+    if (
+      lastActivity &&
+      lastActivity.getTime() > startedAt &&
+      Date.now() - lastActivity.getTime() >= idleMs
+    ) {
+      this.handleIdleReturn(lastActivity);
+    }
+  }
+
+  /**
+   * Handle the user coming back after being idle
+   * @param {Date} idleSince - When the user went idle
+   */
+  handleIdleReturn(idleSince) {
+    const task = this.tasks.find((t) => t.id === this.activeTaskId);
+    if (!task || !task.startedAt || this.idleSince) {
+      return;
+    }
+
+    // Time before the timer was started isn't part of the session
+    const startedAt = new Date(task.startedAt);
+    this.idleSince = idleSince > startedAt ? idleSince : startedAt;
+    UI.showIdleModal(task, this.idleSince);
+  }
+
+  /**
+   * Handle the answer to the idle time prompt
+   * @param {string} action - 'keep', 'discard' or 'trim'
+   */
+  async handleIdleChoice(action) {
+    const idleSince = this.idleSince;
+    const taskId = this.activeTaskId;
+    UI.hideIdleModal();
+    this.idleSince = null;
+
+    if (action === 'keep' || !taskId) {
+      return;
+    }
+
+    try {
+      const task = await this.taskManager.removeIdleTime(
+        taskId,
+        idleSince,
+        action
+      );
+
+      if (action === 'discard') {
+        this.checkedTimerStart = task.startedAt;
+        this.applySessionChange(task);
+        return;
+      }
+
+      this.timer.stop();
+      this.pomodoro.stop();
+      const index = this.tasks.findIndex((t) => t.id === taskId);
+      if (index >= 0) {
+        this.tasks[index] = task;
+      }
+      this.activeTaskId = null;
+      UI.hideActiveTask();
+      this.render();
+    } catch (error) {
+      console.error('Error removing idle time:', error);
+      UI.showError(error.message);
+    }
+  }
+
+  /**
+   * Run the search query on the server and show the results in place of
+   * the task list, narrowed down by the project/tag/priority filter
+   */
+  async renderSearch() {
+    this.searchRequestId += 1;
+    const requestId = this.searchRequestId;
+
+    let results;
+    let message = null;
+    try {
+      ({ results } = await this.taskManager.search(this.searchQuery));
+    } catch (error) {
+      results = [];
+      message = error.message;
+    }
+    // A newer search (or clearing the box) replaced this one
+    if (requestId !== this.searchRequestId || !this.searchQuery) {
+      return;
+    }
+
+    const shownIds = new Set(
+      this.filterTasksByFilter(results.map((result) => result.task)).map(
+        (task) => task.id
+      )
+    );
+    UI.renderSearchResults(
+      results.filter((result) => shownIds.has(result.task.id)),
+      message
+    );
+
+    document.querySelectorAll('.search-edit-btn').forEach((btn) => {
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.handleEditTask(btn.getAttribute('data-task-id'));
+      });
+    });
+    document.querySelectorAll('.search-restore-btn').forEach((btn) => {
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.handleRestoreTask(btn.getAttribute('data-task-id'));
+      });
+    });
+  }
+
+  /**
+   * Fetch the calendar's date range and show it, narrowed down by the view
+   * and the project/tag/priority filter like the task list
+   */
+  async renderCalendar() {
+    this.calendarRequestId += 1;
+    const requestId = this.calendarRequestId;
+    const { from, to } = CalendarView.getRange(
+      this.calendarMode,
+      this.calendarDate
+    );
+
+    let entries;
+    try {
+      ({ entries } = await this.taskManager.getCalendar(from, to));
+    } catch (error) {
+      UI.showError(error.message);
+      return;
+    }
+    // Paging or a newer change replaced this request
+    if (requestId !== this.calendarRequestId) {
+      return;
+    }
+
+    const shownIds = new Set(
+      this.filterTasksByFilter(
+        this.filterTasksByView([...this.tasks, ...this.deferredTasks])
+      ).map((task) => task.id)
+    );
+    UI.renderCalendar(
+      this.calendarMode,
+      this.calendarDate,
+      entries.filter((entry) => shownIds.has(entry.taskId)),
+      {
+        today: CalendarView.formatDate(new Date()),
+        deferredIds: new Set(this.deferredTasks.map((task) => task.id)),
+      }
+    );
+  }
+
+  /**
+   * Show open tasks in their board columns, narrowed down by the view and
+   * the project/tag/priority filter like the task list, plus recently
+   * completed tasks in the column with action 'complete'
+   */
+  renderBoard() {
+    if (this.boardColumns.length === 0) {
+      return;
+    }
+
+    const grouped = {};
+    this.boardColumns.forEach((column) => {
+      grouped[column.id] = [];
+    });
+    this.sortTasksByDueDate(
+      this.filterTasksByFilter(this.filterTasksByView(this.tasks))
+    ).forEach((task) => grouped[this.getBoardColumnId(task)].push(task));
+
+    let hiddenDone = 0;
+    const doneColumn = this.boardColumns.find(
+      (column) => column.action === 'complete'
+    );
+    if (doneColumn) {
+      const done = this.filterTasksByFilter(this.archivedTasks).sort((a, b) =>
+        (b.completedAt || '').localeCompare(a.completedAt || '')
+      );
+      grouped[doneColumn.id] = done.slice(0, BOARD_DONE_LIMIT);
+      hiddenDone = done.length - grouped[doneColumn.id].length;
+    }
+
+    UI.renderBoard(
+      this.boardColumns.map((column) => ({
+        ...column,
+        tasks: grouped[column.id],
+      })),
+      { activeTaskId: this.activeTaskId, hiddenDone }
+    );
+  }
+
+  /**
+   * Get the board column of an open task: the 'start' column while it is
+   * being worked on, else its status, else the first plain column
+   * @param {Object} task - Open task
+   * @returns {string} Column ID
+   */
+  getBoardColumnId(task) {
+    const startColumn = this.boardColumns.find(
+      (column) => column.action === 'start'
+    );
+    if (startColumn && (task.inProgress || task.id === this.activeTaskId)) {
+      return startColumn.id;
+    }
+    const statusColumn = this.boardColumns.find(
+      (column) => column.id === task.status && column.action !== 'complete'
+    );
+    if (statusColumn) {
+      return statusColumn.id;
+    }
+    return this.boardColumns.find((column) => !column.action).id;
+  }
+
+  /**
+   * Filter tasks by the selected view
    * @param {Array} tasks - Tasks to filter
-   * @returns {Array} Filtered tasks
+   * @returns {Array} Tasks in the view (all of them for "All")
    */
-  filterTasksBySearch(tasks) {
-    if (!this.searchQuery) {
+  filterTasksByView(tasks) {
+    const view = this.views.find((v) => v.id === this.currentView);
+    if (!view || view.id === 'all') {
       return tasks;
     }
+    const viewIds = new Set(view.taskIds);
+    return tasks.filter((task) => viewIds.has(task.id));
+  }
 
-    return tasks.filter((task) =>
-      task.description.toLowerCase().includes(this.searchQuery)
-    );
+  /**
+   * Filter tasks by the project, tag and priority filter
+   * @param {Array} tasks - Tasks to filter
+   * @returns {Array} Filtered tasks
+   */
+  filterTasksByFilter(tasks) {
+    const { project, tag, priority } = this.filter;
+
+    return tasks.filter((task) => {
+      if (project === 'none' && task.project) return false;
+      if (project && project !== 'none' && task.project !== project) {
+        return false;
+      }
+      if (tag && !(task.tags || []).includes(tag)) return false;
+      if (priority && task.priority !== priority) return false;
+      return true;
+    });
   }
 
   /**
@@ -298,23 +1466,74 @@ class App {
    */
   render() {
     // Separate in-progress task from regular tasks
-    let regularTasks = this.tasks.filter((task) => !task.inProgress);
+    // (a task on a pomodoro break is stopped but still shown as active)
+    let regularTasks = this.tasks.filter(
+      (task) => !task.inProgress && task.id !== this.activeTaskId
+    );
 
-    // Filter tasks by search query
-    regularTasks = this.filterTasksBySearch(regularTasks);
+    // Offer every tag currently in use in the tag filter
+    const tagsInUse = [
+      ...new Set(this.tasks.flatMap((task) => task.tags || [])),
+    ].sort();
+    UI.renderTagOptions(tagsInUse, this.filter.tag);
+    if (this.filter.tag && !tagsInUse.includes(this.filter.tag)) {
+      this.filter.tag = '';
+      this.saveFilter();
+    }
 
-    // Sort tasks by due date (most urgent first)
-    regularTasks = this.sortTasksByDueDate(regularTasks);
+    // Search results show in the list layout
+    UI.showLayout(this.searchQuery ? 'list' : this.layout);
+
+    if (this.searchQuery) {
+      // Search results (including completed and archived tasks) replace
+      // the task list while there is a query
+      this.renderSearch();
+    } else if (this.layout === 'calendar') {
+      this.renderCalendar();
+    } else if (this.layout === 'board') {
+      this.renderBoard();
+    } else {
+      // Narrow down to the shown view
+      const view = this.views.find((v) => v.id === this.currentView);
+      regularTasks = this.filterTasksByView(regularTasks);
+
+      // Filter tasks by project/tag/priority filter
+      regularTasks = this.filterTasksByFilter(regularTasks);
+
+      // Sort tasks by due date (most urgent first)
+      regularTasks = this.sortTasksByDueDate(regularTasks);
+
+      // Render task list
+      UI.renderTaskList(
+        regularTasks,
+        this.projects,
+        view && view.id !== 'all' && this.tasks.length > 0
+          ? `No tasks in "${view.name}"`
+          : undefined
+      );
+    }
 
-    // Render task list
-    UI.renderTaskList(regularTasks);
+    // Task changes may move tasks between views
+    this.scheduleViewRefresh();
 
-    // Render archive
+    // Render deferred tasks and archive
+    UI.renderDeferred(this.deferredTasks);
     UI.renderArchive(this.archivedTasks);
 
     // Update streak display
     this.updateStreakDisplay();
 
+    // Drop selected tasks that are no longer listed
+    const listedIds = new Set(
+      [...this.tasks, ...this.archivedTasks].map((task) => task.id)
+    );
+    this.selectedTaskIds.forEach((id) => {
+      if (!listedIds.has(id)) {
+        this.selectedTaskIds.delete(id);
+      }
+    });
+    UI.renderSelection(this.selectedTaskIds);
+
     // Attach task list event listeners
     this.attachTaskListeners();
   }
@@ -340,6 +1559,26 @@ class App {
    * Attach event listeners to task list items
    */
   attachTaskListeners() {
+    // Shift-click selects tasks for bulk actions
+    const selectableItems = document.querySelectorAll(
+      '.task-item, .archived-task:not(.deferred-task)'
+    );
+    selectableItems.forEach((item) => {
+      item.addEventListener('mousedown', (e) => {
+        // Don't select text while shift-clicking
+        if (e.shiftKey) {
+          e.preventDefault();
+        }
+      });
+      item.addEventListener('click', (e) => {
+        if (!e.shiftKey || e.target.closest('button, a, input')) {
+          return;
+        }
+        e.preventDefault();
+        this.toggleSelection(item.getAttribute('data-task-id'));
+      });
+    });
+
     // Start buttons
     const startButtons = document.querySelectorAll('.start-btn');
     startButtons.forEach((btn) => {
@@ -370,6 +1609,17 @@ class App {
       });
     });
 
+    // Edit buttons of deferred tasks
+    const deferredEditButtons = document.querySelectorAll(
+      '.deferred-task .deferred-edit-btn'
+    );
+    deferredEditButtons.forEach((btn) => {
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.handleEditTask(btn.getAttribute('data-task-id'));
+      });
+    });
+
     // Delete buttons in archive
     const archiveDeleteButtons = document.querySelectorAll(
       '.archived-task .delete-btn'
@@ -414,62 +1664,527 @@ class App {
       });
     });
 
-    // Complete task buttons (direct completion)
-    const completeTaskBtns = document.querySelectorAll('.complete-task-btn');
-    completeTaskBtns.forEach((btn) => {
-      btn.addEventListener('click', (e) => {
-        e.preventDefault();
-        const taskId = btn.getAttribute('data-task-id');
-        this.handleCompleteTask(taskId);
-      });
-    });
+    // Complete task buttons (direct completion)
+    const completeTaskBtns = document.querySelectorAll('.complete-task-btn');
+    completeTaskBtns.forEach((btn) => {
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        const taskId = btn.getAttribute('data-task-id');
+        this.handleCompleteTask(taskId);
+      });
+    });
+  }
+
+  /**
+   * Create a task from the quick-add bar
+   */
+  async handleQuickAdd() {
+    const input = document.getElementById('quick-add-input');
+    const parsed = QuickAdd.parse(input.value);
+    if (!parsed.description) {
+      if (input.value.trim()) {
+        UI.showError('Description is required');
+      }
+      return;
+    }
+
+    try {
+      input.disabled = true;
+      const task = await this.taskManager.saveTask(parsed);
+      this.tasks.push(task);
+      this.render();
+
+      input.value = '';
+      UI.renderQuickAddPreview(null);
+      UI.showToast(`Added "${task.description}"`, () => this.handleUndo());
+    } catch (error) {
+      console.error('Error adding task:', error);
+      UI.showError(error.message);
+    } finally {
+      input.disabled = false;
+      input.focus();
+    }
+  }
+
+  /**
+   * Add a task to the bulk selection, or take it out
+   * @param {string} taskId - Task ID
+   */
+  toggleSelection(taskId) {
+    if (this.selectedTaskIds.has(taskId)) {
+      this.selectedTaskIds.delete(taskId);
+    } else {
+      this.selectedTaskIds.add(taskId);
+    }
+    UI.renderSelection(this.selectedTaskIds);
+  }
+
+  /**
+   * Clear the bulk selection and reset the bulk action inputs
+   */
+  clearSelection() {
+    this.selectedTaskIds.clear();
+    ['bulk-date', 'bulk-priority', 'bulk-tag'].forEach((id) => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.value = '';
+      }
+    });
+    UI.renderSelection(this.selectedTaskIds);
+  }
+
+  /**
+   * Apply an action from the bulk action bar to the selected tasks
+   * @param {string} action - complete, delete, reschedule, priority, tag or
+   *   archive
+   * @param {Object} params - dueDate, priority or tag, depending on action
+   */
+  async handleBulkAction(action, params = {}) {
+    const ids = [...this.selectedTaskIds];
+    if (ids.length === 0) {
+      return;
+    }
+
+    if (action === 'delete') {
+      const confirmDelete = window.confirm(
+        `Are you sure you want to delete ${ids.length} task${
+          ids.length === 1 ? '' : 's'
+        }?`
+      );
+      if (!confirmDelete) {
+        return;
+      }
+    }
+
+    try {
+      const newlyCompleted = this.tasks.filter((task) => ids.includes(task.id));
+      const result = await this.taskManager.bulkAction(ids, action, params);
+
+      if (action === 'complete' && newlyCompleted.length > 0) {
+        newlyCompleted.forEach(() => gamification.recordTaskCompletion());
+        gamification.showCelebration(
+          newlyCompleted.length === 1
+            ? newlyCompleted[0].description
+            : `${newlyCompleted.length} tasks`
+        );
+        playCompletionSound();
+      }
+
+      this.clearSelection();
+      await this.loadTasks();
+      UI.showToast(result.message, () => this.handleUndo());
+    } catch (error) {
+      console.error('Error applying bulk action:', error);
+      UI.showError(error.message);
+    }
+  }
+
+  /**
+   * Handle form submission
+   */
+  async handleFormSubmit(e) {
+    e.preventDefault();
+
+    const formData = UI.getFormData();
+
+    // If editing, add the task ID and the version it was based on
+    if (this.editingTaskId) {
+      formData.id = this.editingTaskId;
+      formData.version = this.editingTask.version;
+    }
+
+    await this.saveForm(formData);
+  }
+
+  /**
+   * Save task form data and update the lists
+   * @param {Object} formData - Task fields (with id and version when editing)
+   */
+  async saveForm(formData) {
+    try {
+      UI.disableForm();
+
+      const task = await this.taskManager.saveTask(formData);
+      this.storeTask(task);
+
+      UI.hideModal();
+      this.editingTaskId = null;
+      this.editingTask = null;
+      this.editingForm = null;
+
+      // If editing active task, update display without full re-render (keeps timer running)
+      if (this.editingActiveTask) {
+        this.editingActiveTask = false;
+        UI.showActiveTask(task);
+      } else {
+        // Regular task edit/create - full render
+        this.render();
+      }
+    } catch (error) {
+      if (error.serverTask) {
+        await this.handleSaveConflict(formData, error.serverTask);
+      } else {
+        console.error('Error saving task:', error);
+        UI.showError(error.message);
+      }
+    } finally {
+      UI.enableForm();
+    }
+  }
+
+  /**
+   * Put a saved task into the task list, or the deferred list while it is
+   * hidden until a later date
+   * @param {Object} task - Saved task
+   */
+  storeTask(task) {
+    this.deferredTasks = this.deferredTasks.filter((t) => t.id !== task.id);
+    const existingIndex = this.tasks.findIndex((t) => t.id === task.id);
+    if (TaskManager.isDeferred(task)) {
+      if (existingIndex >= 0) {
+        this.tasks.splice(existingIndex, 1);
+      }
+      this.deferredTasks.push(task);
+      this.deferredTasks.sort((a, b) =>
+        a.hiddenUntil.localeCompare(b.hiddenUntil)
+      );
+    } else if (existingIndex >= 0) {
+      this.tasks[existingIndex] = task;
+    } else {
+      this.tasks.push(task);
+    }
+  }
+
+  /**
+   * Remember a task as opened in the form
+   * @param {Object} task - Task being edited
+   */
+  setEditBase(task) {
+    this.editingTask = JSON.parse(JSON.stringify(task));
+    this.editingForm = UI.getFormData();
+  }
+
+  /**
+   * Handle a save rejected because the task changed since it was opened
+   * Changes outside the form (e.g. the timer or sessions) can't clash with
+   * the edit, so it is saved again right away; otherwise the user picks
+   * how to resolve it.
+   * @param {Object} formData - Rejected form data
+   * @param {Object} serverTask - Current saved task
+   */
+  async handleSaveConflict(formData, serverTask) {
+    const fields = Object.keys(this.editingForm);
+    const differs = (a, b) => JSON.stringify(a) !== JSON.stringify(b);
+    const mine = fields.filter((f) =>
+      differs(formData[f], this.editingForm[f])
+    );
+    const theirs = fields.filter((f) =>
+      differs(serverTask[f], this.editingTask[f])
+    );
+
+    this.editingTask = JSON.parse(JSON.stringify(serverTask));
+    if (theirs.length === 0) {
+      await this.saveForm({ ...formData, version: serverTask.version });
+      return;
+    }
+
+    this.conflict = { formData, serverTask, mine };
+    UI.showConflictModal(
+      theirs,
+      mine.filter((f) => theirs.includes(f))
+    );
+  }
+
+  /**
+   * Handle the choice in the edit conflict prompt
+   * @param {string} choice - 'merge' (my edits on top of theirs),
+   *   'overwrite' (save the form as is) or 'theirs' (reload the form)
+   */
+  async handleConflictChoice(choice) {
+    const { formData, serverTask, mine } = this.conflict;
+    this.conflict = null;
+    UI.hideConflictModal();
+
+    if (choice === 'theirs') {
+      UI.clearForm();
+      UI.populateFormWithTask(serverTask);
+      this.setEditBase(serverTask);
+      this.refreshRecurrencePreview();
+      return;
+    }
+
+    const data = { ...formData, version: serverTask.version };
+    if (choice === 'merge') {
+      Object.keys(this.editingForm)
+        .filter((field) => !mine.includes(field))
+        .forEach((field) => {
+          data[field] = serverTask[field];
+        });
+    }
+    await this.saveForm(data);
+  }
+
+  /**
+   * Handle "+ New project…" in the task form
+   */
+  async handleCreateProject() {
+    const projectSelect = document.getElementById('project');
+    const name = window.prompt('New project name:');
+
+    if (!name || !name.trim()) {
+      projectSelect.value = '';
+      return;
+    }
+
+    try {
+      const project = await this.taskManager.saveProject({ name });
+      await this.loadProjects();
+      projectSelect.value = project.id;
+    } catch (error) {
+      projectSelect.value = '';
+      UI.showError(error.message);
+    }
+  }
+
+  /**
+   * Handle rename/delete of the project selected in the filter bar
+   */
+  async handleManageProject() {
+    const project = this.projects.find((p) => p.id === this.filter.project);
+    if (!project) {
+      UI.showError('Select a project in the filter first');
+      return;
+    }
+
+    const name = window.prompt(
+      `Rename "${project.name}" (leave empty to delete it):`,
+      project.name
+    );
+    if (name === null) {
+      return;
+    }
+
+    try {
+      if (name.trim()) {
+        await this.taskManager.saveProject({ id: project.id, name });
+      } else {
+        const confirmDelete = window.confirm(
+          `Delete project "${project.name}"? Its tasks are kept without a project.`
+        );
+        if (!confirmDelete) {
+          return;
+        }
+        await this.taskManager.deleteProject(project.id);
+        this.tasks = await this.taskManager.getActiveTasks();
+        UI.showToast(`Deleted project "${project.name}"`, () =>
+          this.handleUndo()
+        );
+      }
+      await this.loadProjects();
+      this.render();
+    } catch (error) {
+      console.error('Error managing project:', error);
+      UI.showError(error.message);
+    }
+  }
+
+  /**
+   * Switch between the task list and the calendar
+   * @param {string} layout - 'list', 'calendar' or 'board'
+   */
+  handleSelectLayout(layout) {
+    this.layout = layout;
+    this.saveLayout();
+    UI.setLayoutButtons(this.layout);
+    this.render();
   }
 
   /**
-   * Handle form submission
+   * Move a card dropped on a board column
+   * The 'start' and 'complete' columns go through the same flows as the
+   * START and DONE buttons (timer, recurring instances, streak); other
+   * columns set the task's status, stopping or restoring it as needed.
+   * @param {string} taskId - Task ID
+   * @param {string} columnId - Column dropped on
    */
-  async handleFormSubmit(e) {
-    e.preventDefault();
+  async handleBoardDrop(taskId, columnId) {
+    const column = this.boardColumns.find((c) => c.id === columnId);
+    const task = [...this.tasks, ...this.archivedTasks].find(
+      (t) => t.id === taskId
+    );
+    // Tasks moved to archive files are no longer in tasks.json
+    if (!column || !task || task.archivedToFile) {
+      return;
+    }
+    const currentColumnId = task.completed
+      ? (this.boardColumns.find((c) => c.action === 'complete') || {}).id
+      : this.getBoardColumnId(task);
+    if (currentColumnId === column.id) {
+      return;
+    }
+
+    if (column.action === 'complete') {
+      await this.handleCompleteTask(taskId);
+      return;
+    }
+    if (column.action === 'start') {
+      if (task.completed) {
+        await this.handleRestoreTask(taskId);
+      }
+      await this.handleStartTask(taskId);
+      return;
+    }
 
     try {
-      UI.disableForm();
+      if (taskId === this.activeTaskId) {
+        await this.handleStopTask();
+      }
+      const moved = await this.taskManager.setTaskStatus(taskId, column.id);
+      this.archivedTasks = this.archivedTasks.filter((t) => t.id !== taskId);
+      this.storeTask(moved);
+      this.render();
+      UI.showToast(`Moved "${moved.description}" to ${column.name}`, () =>
+        this.handleUndo()
+      );
+    } catch (error) {
+      console.error('Error moving task:', error);
+      UI.showError(error.message);
+    }
+  }
+
+  /**
+   * Show the calendar in another mode
+   * @param {string} mode - month, week or day
+   * @param {string} date - Date to show (YYYY-MM-DD)
+   */
+  handleCalendarMode(mode, date) {
+    this.calendarMode = mode;
+    this.calendarDate = date;
+    this.saveLayout();
+    this.render();
+  }
 
-      const formData = UI.getFormData();
+  /**
+   * Move a task dropped on the calendar to a new day (and hour)
+   * A task changed elsewhere in the meantime is moved in its saved state,
+   * since only the date and time change.
+   * @param {string} taskId - Task ID
+   * @param {string} dueDate - New due date (YYYY-MM-DD)
+   * @param {string} [slotTime] - Hour dropped on in the day view (HH:00, or
+   *   '' for all day); the due time is kept when dropped on a day
+   */
+  async handleReschedule(taskId, dueDate, slotTime) {
+    const task = [...this.tasks, ...this.deferredTasks].find(
+      (t) => t.id === taskId
+    );
+    if (!task) {
+      return;
+    }
+    const dueTime =
+      slotTime === undefined
+        ? task.dueTime || null
+        : CalendarView.getDroppedTime(task.dueTime, slotTime);
+    if (task.dueDate === dueDate && (task.dueTime || null) === dueTime) {
+      return;
+    }
 
-      // If editing, add the task ID to the form data
-      if (this.editingTaskId) {
-        formData.id = this.editingTaskId;
+    try {
+      let saved;
+      try {
+        saved = await this.taskManager.saveTask({ ...task, dueDate, dueTime });
+      } catch (error) {
+        if (!error.serverTask) {
+          throw error;
+        }
+        saved = await this.taskManager.saveTask({
+          ...error.serverTask,
+          dueDate,
+          dueTime,
+        });
       }
 
-      const task = await this.taskManager.saveTask(formData);
+      this.storeTask(saved);
+      this.render();
+      UI.showToast(
+        `Moved "${saved.description}" to ${TaskManager.formatDateTime(
+          dueDate,
+          dueTime
+        )}`,
+        () => this.handleUndo()
+      );
+    } catch (error) {
+      console.error('Error rescheduling task:', error);
+      UI.showError(error.message);
+    }
+  }
 
-      // Add to tasks list if not already there
-      const existingIndex = this.tasks.findIndex((t) => t.id === task.id);
-      if (existingIndex >= 0) {
-        this.tasks[existingIndex] = task;
-      } else {
-        this.tasks.push(task);
-      }
+  /**
+   * Show a view's tasks
+   * @param {string} viewId - View ID
+   */
+  handleSelectView(viewId) {
+    this.currentView = viewId;
+    this.saveCurrentView();
+    UI.renderViewTabs(this.views, this.currentView, this.projects);
+    this.render();
+  }
+
+  /**
+   * Save the current search query and filter as a custom view
+   */
+  async handleSaveView() {
+    const { project, tag, priority } = this.filter;
+    if (!this.searchQuery && !project && !tag && !priority) {
+      UI.showError('Search or pick a filter first, then save it as a view');
+      return;
+    }
 
-      // Reset reminder for this task in case it was edited
-      appointmentReminder.resetTaskReminder(task.id);
+    const name = window.prompt('View name:');
+    if (!name || !name.trim()) {
+      return;
+    }
 
-      UI.hideModal();
-      this.editingTaskId = null;
+    try {
+      const view = await this.taskManager.saveView({
+        name,
+        query: this.searchQuery,
+        filter: this.filter,
+      });
+      // Show the saved view in place of the search and filter it came from
+      this.searchQuery = '';
+      document.getElementById('search-input').value = '';
+      this.filter = { project: '', tag: '', priority: '' };
+      this.saveFilter();
+      UI.setFilterControls(this.filter);
+      this.currentView = view.id;
+      this.saveCurrentView();
+      await this.loadViews();
+      this.render();
+    } catch (error) {
+      UI.showError(error.message);
+    }
+  }
 
-      // If editing active task, update display without full re-render (keeps timer running)
-      if (this.editingActiveTask) {
-        this.editingActiveTask = false;
-        UI.showActiveTask(task);
-      } else {
-        // Regular task edit/create - full render
-        this.render();
-      }
+  /**
+   * Delete the shown custom view
+   */
+  async handleDeleteView() {
+    const view = this.views.find((v) => v.id === this.currentView);
+    if (!view || view.builtIn) {
+      return;
+    }
+    if (!window.confirm(`Delete view "${view.name}"?`)) {
+      return;
+    }
+
+    try {
+      await this.taskManager.deleteView(view.id);
+      this.currentView = 'all';
+      this.saveCurrentView();
+      await this.loadViews();
+      this.render();
     } catch (error) {
-      console.error('Error saving task:', error);
       UI.showError(error.message);
-    } finally {
-      UI.enableForm();
     }
   }
 
@@ -477,7 +2192,9 @@ class App {
    * Handle edit task
    */
   handleEditTask(taskId) {
-    const task = this.tasks.find((t) => t.id === taskId);
+    const task = [...this.tasks, ...this.deferredTasks].find(
+      (t) => t.id === taskId
+    );
     if (!task) {
       return;
     }
@@ -485,7 +2202,9 @@ class App {
     this.editingTaskId = taskId;
     UI.clearForm();
     UI.populateFormWithTask(task);
+    this.setEditBase(task);
     UI.showModal(true);
+    this.refreshRecurrencePreview();
   }
 
   /**
@@ -505,7 +2224,45 @@ class App {
     this.editingActiveTask = true;
     UI.clearForm();
     UI.populateFormWithTask(task);
+    this.setEditBase(task);
     UI.showModal(true);
+    this.refreshRecurrencePreview();
+  }
+
+  /**
+   * Handle a change to the recurrence builder controls
+   */
+  handleRecurrenceBuilderChange() {
+    document.getElementById('recurring').value = UI.buildRecurrenceRule();
+    UI.updateRecurrenceBuilderVisibility();
+    this.refreshRecurrencePreview();
+  }
+
+  /**
+   * Handle typing directly into the raw RRULE field
+   */
+  handleRecurrenceRuleInput() {
+    const rule = document.getElementById('recurring').value.trim();
+    UI.setRecurrenceBuilder(rule, false);
+    this.refreshRecurrencePreview();
+  }
+
+  /**
+   * Validate the current rule on the server and show upcoming dates
+   * Debounced so typing doesn't send a request per keystroke.
+   */
+  refreshRecurrencePreview() {
+    clearTimeout(this.recurrencePreviewTimeout);
+    this.recurrencePreviewTimeout = setTimeout(async () => {
+      const rule = document.getElementById('recurring').value.trim();
+      if (!rule) {
+        UI.renderRecurrencePreview(null);
+        return;
+      }
+      const dueDate = document.getElementById('due-date').value;
+      const preview = await this.taskManager.previewRecurrence(rule, dueDate);
+      UI.renderRecurrencePreview(preview);
+    }, 300);
   }
 
   /**
@@ -513,6 +2270,10 @@ class App {
    */
   async handleStartTask(taskId) {
     try {
+      if (this.pomodoro.getTaskId() !== taskId) {
+        this.pomodoro.stop();
+      }
+
       // Stop any running timer and get the stopped task back into the list
       if (this.timer.isRunning()) {
         const activeId = this.timer.getActiveTaskId();
@@ -566,6 +2327,7 @@ class App {
 
       // Stop timer
       this.timer.stop();
+      this.pomodoro.stop();
 
       // Update local state
       const index = this.tasks.findIndex((t) => t.id === this.activeTaskId);
@@ -596,11 +2358,27 @@ class App {
         return;
       }
 
+      // Warn before completing with open checklist items
+      const existing = this.tasks.find((t) => t.id === targetTaskId);
+      const progress = existing
+        ? TaskManager.getChecklistProgress(existing)
+        : null;
+      if (progress && progress.done < progress.total) {
+        const open = progress.total - progress.done;
+        const confirmComplete = window.confirm(
+          `${open} checklist item${open === 1 ? ' is' : 's are'} still open. Complete anyway?`
+        );
+        if (!confirmComplete) {
+          return;
+        }
+      }
+
       const task = await this.taskManager.completeTask(targetTaskId);
 
       // Stop timer if completing active task
       if (targetTaskId === this.activeTaskId) {
         this.timer.stop();
+        this.pomodoro.stop();
       }
 
       // Update local state
@@ -612,6 +2390,11 @@ class App {
       // Add to archived tasks
       this.archivedTasks.unshift(task);
 
+      // Pick up the next instance the server created for a recurring task
+      if (task.recurring) {
+        this.tasks = await this.taskManager.getActiveTasks();
+      }
+
       // Reset active task if it was the one being completed
       if (targetTaskId === this.activeTaskId) {
         this.activeTaskId = null;
@@ -627,12 +2410,164 @@ class App {
 
       // Re-render
       this.render();
+
+      UI.showToast(`Completed "${task.description}"`, () => this.handleUndo());
     } catch (error) {
       console.error('Error completing task:', error);
       UI.showError(error.message);
     }
   }
 
+  /**
+   * Handle ticking a checklist item on or off
+   * @param {string} taskId - Task ID
+   * @param {string} itemId - Checklist item ID
+   * @param {boolean} done - New done state
+   */
+  async handleToggleChecklistItem(taskId, itemId, done) {
+    try {
+      const task = await this.taskManager.updateChecklistItem(taskId, itemId, {
+        done,
+      });
+
+      const index = this.tasks.findIndex((t) => t.id === taskId);
+      if (index >= 0) {
+        this.tasks[index] = task;
+      }
+
+      // Refresh the panel only, so the running timer is untouched
+      if (taskId === this.activeTaskId) {
+        UI.showActiveTask(task);
+      } else {
+        this.render();
+      }
+    } catch (error) {
+      console.error('Error updating checklist item:', error);
+      UI.showError(error.message);
+    }
+  }
+
+  /**
+   * Ask for a session's start and end as local "YYYY-MM-DD HH:MM" strings
+   * @param {Object} defaults - { start, end } ISO timestamps to prefill
+   * @returns {Object|null} { start, end } ISO timestamps, or null if cancelled
+   */
+  static promptSessionTimes(defaults) {
+    const start = window.prompt(
+      'Session start (YYYY-MM-DD HH:MM):',
+      TaskManager.toLocalDateTimeString(defaults.start)
+    );
+    if (start === null) {
+      return null;
+    }
+    const end = window.prompt(
+      'Session end (YYYY-MM-DD HH:MM):',
+      TaskManager.toLocalDateTimeString(defaults.end)
+    );
+    if (end === null) {
+      return null;
+    }
+
+    const times = {
+      start: TaskManager.parseLocalDateTime(start),
+      end: TaskManager.parseLocalDateTime(end),
+    };
+    if (!times.start || !times.end) {
+      UI.showError('Use the format YYYY-MM-DD HH:MM');
+      return null;
+    }
+    return times;
+  }
+
+  /**
+   * Apply a task returned by a session endpoint to the active task panel
+   * @param {Object} task - Updated task
+   */
+  applySessionChange(task) {
+    const index = this.tasks.findIndex((t) => t.id === task.id);
+    if (index >= 0) {
+      this.tasks[index] = task;
+    }
+
+    // timeSpent changed, so restart the display from the new total
+    if (task.inProgress && task.startedAt) {
+      this.timer.start(task.id, task.startedAt, task.timeSpent);
+    }
+    UI.showActiveTask(task);
+  }
+
+  /**
+   * Handle adding a session by hand to the active task
+   */
+  async handleAddSession() {
+    const end = new Date();
+    const start = new Date(end.getTime() - 30 * 60 * 1000);
+    const times = App.promptSessionTimes({
+      start: start.toISOString(),
+      end: end.toISOString(),
+    });
+    if (!times) {
+      return;
+    }
+
+    try {
+      const task = await this.taskManager.addSession(this.activeTaskId, times);
+      this.applySessionChange(task);
+    } catch (error) {
+      UI.showError(error.message);
+    }
+  }
+
+  /**
+   * Handle editing a session of the active task
+   * @param {string} sessionId - Session ID
+   */
+  async handleEditSession(sessionId) {
+    const task = this.tasks.find((t) => t.id === this.activeTaskId);
+    const session =
+      task && (task.sessions || []).find((s) => s.id === sessionId);
+    if (!session) {
+      return;
+    }
+
+    const times = App.promptSessionTimes(session);
+    if (!times) {
+      return;
+    }
+
+    try {
+      const updated = await this.taskManager.updateSession(
+        task.id,
+        sessionId,
+        times
+      );
+      this.applySessionChange(updated);
+    } catch (error) {
+      UI.showError(error.message);
+    }
+  }
+
+  /**
+   * Handle deleting a session of the active task
+   * @param {string} sessionId - Session ID
+   */
+  async handleDeleteSession(sessionId) {
+    if (!window.confirm('Delete this session?')) {
+      return;
+    }
+
+    try {
+      const task = await this.taskManager.deleteSession(
+        this.activeTaskId,
+        sessionId
+      );
+      this.applySessionChange(task);
+      UI.showToast('Session deleted', () => this.handleUndo());
+    } catch (error) {
+      UI.showError(error.message);
+    }
+  }
+
   /**
    * Handle delete task
    */
@@ -654,12 +2589,15 @@ class App {
       // If active task was deleted, stop timer
       if (this.activeTaskId === taskId) {
         this.timer.stop();
+        this.pomodoro.stop();
         this.activeTaskId = null;
         UI.hideActiveTask();
       }
 
       // Re-render
       this.render();
+
+      UI.showToast('Task deleted', () => this.handleUndo());
     } catch (error) {
       console.error('Error deleting task:', error);
       UI.showError(error.message);
@@ -697,7 +2635,7 @@ class App {
         return;
       }
 
-      const response = await fetch('/api/archive/cleanup', {
+      const response = await this.taskManager.request('/api/archive/cleanup', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -722,12 +2660,130 @@ class App {
       await this.loadTasks();
 
       // Show success message
-      alert(`✓ Moved ${result.moved} completed tasks to archive files`);
+      UI.showToast(
+        `✓ Moved ${result.moved} completed tasks to archive files`,
+        () => this.handleUndo()
+      );
     } catch (error) {
       console.error('Error cleaning archive:', error);
       UI.showError(error.message);
     }
   }
+
+  /**
+   * Load and show the time report for the selected range
+   */
+  async handleLoadReport() {
+    try {
+      const { from, to } = UI.getReportRange();
+      const [report, estimates] = await Promise.all([
+        this.taskManager.getTimeReport(from, to),
+        this.taskManager.getEstimateReport(),
+      ]);
+      UI.renderTimeReport(report);
+      UI.renderEstimateReport(estimates);
+    } catch (error) {
+      UI.showError(error.message);
+    }
+  }
+
+  /**
+   * Download the time report for the selected range
+   * @param {string} format - 'csv' (timesheet rows) or 'json' (full report)
+   */
+  async handleDownloadReport(format) {
+    try {
+      const { from, to } = UI.getReportRange();
+      const link = document.createElement('a');
+
+      if (format === 'csv') {
+        link.href = this.taskManager.getTimeReportCsvUrl(from, to);
+        link.download = `timesheet_${from}_${to}.csv`;
+        link.click();
+        return;
+      }
+
+      const report = await this.taskManager.getTimeReport(from, to);
+      const blob = new Blob([JSON.stringify(report, null, 2)], {
+        type: 'application/json',
+      });
+      link.href = URL.createObjectURL(blob);
+      link.download = `time_report_${from}_${to}.json`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } catch (error) {
+      UI.showError(error.message);
+    }
+  }
+
+  /**
+   * Handle import of an .ics file
+   * @param {File} file - Dropped or picked file
+   */
+  async handleImportCalendar(file) {
+    try {
+      const result = await this.taskManager.importCalendar(await file.text());
+      await this.loadTasks();
+
+      const parts = [`📅 Imported ${result.imported.length} item(s)`];
+      if (result.duplicates.length > 0) {
+        parts.push(`${result.duplicates.length} already imported`);
+      }
+      if (result.skipped.length > 0) {
+        parts.push(`${result.skipped.length} skipped`);
+      }
+      if (result.warnings.length > 0) {
+        parts.push(`${result.warnings.length} without recurrence`);
+        console.warn('Calendar import warnings:', result.warnings);
+      }
+      UI.showToast(
+        parts.join(', '),
+        result.imported.length > 0 ? () => this.handleUndo() : null
+      );
+    } catch (error) {
+      console.error('Error importing calendar:', error);
+      UI.showError(error.message);
+    }
+  }
+
+  /**
+   * Handle undo of the most recent change (button or Ctrl+Z)
+   */
+  async handleUndo() {
+    try {
+      const result = await this.taskManager.undo();
+      await this.reloadAfterHistoryChange();
+      UI.showToast(`Undid: ${result.label}`);
+    } catch (error) {
+      UI.showToast(error.message);
+    }
+  }
+
+  /**
+   * Handle redo of the most recently undone change (Ctrl+Shift+Z / Ctrl+Y)
+   */
+  async handleRedo() {
+    try {
+      const result = await this.taskManager.redo();
+      await this.reloadAfterHistoryChange();
+      UI.showToast(`Redid: ${result.label}`, () => this.handleUndo());
+    } catch (error) {
+      UI.showToast(error.message);
+    }
+  }
+
+  /**
+   * Reload tasks after undo/redo, which may start or stop the active timer,
+   * or after the server event connection was lost
+   */
+  async reloadAfterHistoryChange() {
+    this.timer.stop();
+    this.activeTaskId = null;
+    UI.hideActiveTask();
+    // Undoing a project deletion brings the project back
+    await this.loadProjects();
+    await this.loadTasks();
+  }
 }
 
 // Initialize app when DOM is ready
@@ -1,145 +1,102 @@
+/* global TaskManager, UI */
+
 /**
  * Appointment Reminder Module
- * Handles browser notifications for calendar appointments
+ * Shows appointment reminders pushed by the server's reminder scheduler as
+ * in-app alerts, and as desktop notifications while the tab is hidden
  */
 
+const SNOOZE_OPTIONS = [
+  { label: '5 min', minutes: 5 },
+  { label: '10 min', minutes: 10 },
+  { label: '30 min', minutes: 30 },
+  { label: 'Tomorrow', minutes: null },
+];
+
 class AppointmentReminder {
   constructor() {
-    this.remindedTaskIds = new Set();
-    this.checkInterval = null;
-    this.loadRemindedTasks();
+    // Scheduling happens on the server; this client only snoozes
+    this.taskManager = new TaskManager();
   }
 
   /**
-   * Load previously reminded task IDs from localStorage
+   * Ask for permission to show desktop notifications
+   * Browsers only allow asking from a user action (e.g. a click), and only
+   * while the user hasn't answered yet.
    */
-  loadRemindedTasks() {
-    try {
-      const stored = localStorage.getItem('appointmentReminders');
-      if (stored) {
-        const reminders = JSON.parse(stored);
-        // Only keep reminders from today (compare dates)
-        const today = new Date().toDateString();
-        if (reminders.date === today) {
-          this.remindedTaskIds = new Set(reminders.taskIds);
-        } else {
-          // Clear old reminders and start fresh
-          this.saveRemindedTasks();
-        }
-      }
-    } catch (error) {
-      // Silently fail - use empty reminder set
+  requestPermission() {
+    if ('Notification' in window && Notification.permission === 'default') {
+      Notification.requestPermission().catch(() => {
+        // Older browsers take a callback instead; not worth supporting
+      });
     }
   }
 
   /**
-   * Save reminded task IDs to localStorage
+   * Show a reminder pushed by the server
+   * @param {Object} reminder - { taskId, description, dueAt, ... }
    */
-  saveRemindedTasks() {
-    try {
-      const reminders = {
-        date: new Date().toDateString(),
-        taskIds: Array.from(this.remindedTaskIds),
-      };
-      localStorage.setItem('appointmentReminders', JSON.stringify(reminders));
-    } catch (error) {
-      // Silently fail if localStorage not available
+  notify(reminder) {
+    const dueDateTime = new Date(reminder.dueAt);
+    this.showInAppAlert(reminder, dueDateTime);
+    // The in-app alert is easy to miss while the tab is in the background
+    if (document.hidden) {
+      this.showDesktopNotification(reminder, dueDateTime);
     }
   }
 
   /**
-   * Start checking for appointment reminders
-   * @param {Array} tasks - Array of active tasks
+   * Snooze a task's reminder on the server
+   * @param {string} taskId - Task ID
+   * @param {number|null} minutes - Minutes to snooze, or null for tomorrow
+   *   morning
    */
-  startCheckingReminders(tasks) {
-    // Check every minute (60000 ms)
-    if (this.checkInterval) {
-      clearInterval(this.checkInterval);
+  async snoozeReminder(taskId, minutes) {
+    try {
+      await this.taskManager.snoozeReminder(taskId, minutes);
+    } catch (error) {
+      UI.showError(`Failed to snooze reminder: ${error.message}`);
     }
-
-    this.checkInterval = setInterval(() => {
-      this.checkAndNotifyAppointments(tasks);
-    }, 60000);
-
-    // Also check immediately
-    this.checkAndNotifyAppointments(tasks);
   }
 
   /**
-   * Stop checking for reminders
+   * Show a desktop notification (if the user allowed them)
+   * @param {Object} reminder - Reminder from the server
+   * @param {Date} dueDateTime - Due date/time as Date object
    */
-  stopCheckingReminders() {
-    if (this.checkInterval) {
-      clearInterval(this.checkInterval);
-      this.checkInterval = null;
+  showDesktopNotification(reminder, dueDateTime) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') {
+      return;
     }
-  }
-
-  /**
-   * Check all appointments and send notifications if needed
-   * @param {Array} tasks - Array of active tasks
-   */
-  checkAndNotifyAppointments(tasks) {
-    if (!tasks || tasks.length === 0) return;
-
-    const now = new Date();
-    const nowMs = now.getTime();
-
-    tasks.forEach((task) => {
-      // Skip if not an appointment, already reminded, or no due date/time
-      if (!task.isAppointment || !task.dueDate || !task.dueTime) return;
-      if (this.remindedTaskIds.has(task.id)) return;
-
-      const dueDateTime = this.parseDueDateTime(task.dueDate, task.dueTime);
-      if (!dueDateTime) return;
 
-      const dueDateTimeMs = dueDateTime.getTime();
-      const reminderMinutes = task.reminderMinutes || 30;
-      const reminderWindowMs = reminderMinutes * 60000;
-      const reminderTimeMs = dueDateTimeMs - reminderWindowMs;
-
-      // Check if we're within the reminder window (from reminder time until due time + 5 minutes grace period)
-      // Grace period allows notifications that just passed the reminder window
-      const graceMs = 5 * 60000; // 5 minute grace period
-
-      if (nowMs >= reminderTimeMs && nowMs <= dueDateTimeMs + graceMs) {
-        this.showInAppAlert(task, dueDateTime);
-        this.remindedTaskIds.add(task.id);
-        this.saveRemindedTasks(); // Persist so it doesn't repeat on page reload
-      }
+    const timeStr = dueDateTime.toLocaleTimeString('en-US', {
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+    // The tag keeps several open tabs from showing the same reminder twice
+    const notification = new Notification('🔔 Appointment Reminder', {
+      body: `${reminder.description}\nat ${timeStr}`,
+      tag: `appointment-${reminder.taskId}`,
+    });
+    notification.addEventListener('click', () => {
+      window.focus();
+      notification.close();
     });
-  }
-
-  /**
-   * Parse due date and time strings into a Date object
-   * @param {string} dueDate - Date in YYYY-MM-DD format
-   * @param {string} dueTime - Time in HH:MM format
-   * @returns {Date|null} Parsed datetime or null if invalid
-   */
-  parseDueDateTime(dueDate, dueTime) {
-    try {
-      // dueDate is YYYY-MM-DD, dueTime is HH:MM
-      const dateTimeStr = `${dueDate}T${dueTime || '00:00'}`;
-      return new Date(dateTimeStr);
-    } catch (error) {
-      console.error('Error parsing due date/time:', error);
-      return null;
-    }
   }
 
   /**
    * Show in-app visual alert for appointment reminder
-   * @param {Object} task - Task object
+   * @param {Object} reminder - Reminder from the server
    * @param {Date} dueDateTime - Due date/time as Date object
    */
-  showInAppAlert(task, dueDateTime) {
+  showInAppAlert(reminder, dueDateTime) {
     const timeStr = dueDateTime.toLocaleTimeString('en-US', {
       hour: '2-digit',
       minute: '2-digit',
     });
 
     // Create alert element
-    const alertId = `appointment-alert-${task.id}`;
+    const alertId = `appointment-alert-${reminder.taskId}`;
     const existingAlert = document.getElementById(alertId);
     if (existingAlert) return; // Already showing
 
@@ -162,16 +119,34 @@ class AppointmentReminder {
       font-family: monospace;
     `;
 
+    const snoozeButtons = SNOOZE_OPTIONS.map(
+      (option, index) => `
+      <button class="snooze-alert-btn" data-snooze-index="${index}" style="
+        flex: 1;
+        padding: 4px 2px;
+        background-color: rgba(0, 26, 35, 0.2);
+        border: 1px solid rgba(0, 26, 35, 0.3);
+        color: #001a23;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 11px;
+        font-weight: bold;
+      " title="Remind me again">💤 ${option.label}</button>`
+    ).join('');
+
     alert.innerHTML = `
       <div style="display: flex; align-items: center; gap: 10px; margin-bottom: 10px;">
         <span style="font-size: 24px;">🔔</span>
         <div>
           <div>Appointment Reminder!</div>
-          <div style="font-size: 12px; margin-top: 4px;">${task.description}</div>
+          <div style="font-size: 12px; margin-top: 4px;">${UI.escapeHtml(reminder.description)}</div>
           <div style="font-size: 12px; color: rgba(0, 26, 35, 0.7);">at ${timeStr}</div>
         </div>
       </div>
-      <button id="close-alert-${task.id}" style="
+      <div style="display: flex; gap: 4px; margin-bottom: 6px;">
+        ${snoozeButtons}
+      </div>
+      <button id="close-alert-${reminder.taskId}" style="
         width: 100%;
         padding: 8px;
         background-color: rgba(0, 26, 35, 0.2);
@@ -207,13 +182,24 @@ class AppointmentReminder {
     document.body.appendChild(alert);
 
     // Add close handler
-    const closeBtn = document.getElementById(`close-alert-${task.id}`);
+    const closeBtn = document.getElementById(`close-alert-${reminder.taskId}`);
     if (closeBtn) {
       closeBtn.addEventListener('click', () => {
+        this.requestPermission();
         alert.remove();
       });
     }
 
+    // Snooze handlers
+    alert.querySelectorAll('.snooze-alert-btn').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        const option = SNOOZE_OPTIONS[Number(btn.dataset.snoozeIndex)];
+        this.requestPermission();
+        this.snoozeReminder(reminder.taskId, option.minutes);
+        alert.remove();
+      });
+    });
+
     // Auto-dismiss after 10 seconds
     setTimeout(() => {
       if (alert.parentNode) {
@@ -254,23 +240,6 @@ class AppointmentReminder {
       // Silently fail if audio context not available
     }
   }
-
-  /**
-   * Reset reminders for a specific task (used when task is updated)
-   * @param {string} taskId - Task ID to reset
-   */
-  resetTaskReminder(taskId) {
-    this.remindedTaskIds.delete(taskId);
-    this.saveRemindedTasks();
-  }
-
-  /**
-   * Clear all reminders (used at midnight or when clearing tasks)
-   */
-  clearAllReminders() {
-    this.remindedTaskIds.clear();
-    this.saveRemindedTasks();
-  }
 }
 
 // Create singleton instance
@@ -0,0 +1,154 @@
+/**
+ * Calendar View
+ * Date arithmetic for the month, week and day calendar: which days a view
+ * shows, paging between periods and the heading. Weeks start on Monday,
+ * like the time report.
+ */
+
+const CALENDAR_MODES = ['month', 'week', 'day'];
+// A month is shown as six full weeks so the grid doesn't change height
+const CALENDAR_MONTH_DAYS = 42;
+
+// eslint-disable-next-line no-unused-vars
+class CalendarView {
+  /**
+   * Check whether a calendar mode exists
+   * @param {string} mode - Mode to check
+   * @returns {boolean} True for month, week or day
+   */
+  static isMode(mode) {
+    return CALENDAR_MODES.includes(mode);
+  }
+
+  /**
+   * Parse a YYYY-MM-DD date as local midnight
+   * @param {string} dateStr - Date string
+   * @returns {Date} Local date
+   */
+  static parseDate(dateStr) {
+    return new Date(`${dateStr}T00:00:00`);
+  }
+
+  /**
+   * Format a date as local YYYY-MM-DD
+   * @param {Date} date - Date to format
+   * @returns {string} Date string
+   */
+  static formatDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Add days to a YYYY-MM-DD date
+   * @param {string} dateStr - Date string
+   * @param {number} days - Days to add (may be negative)
+   * @returns {string} Date string
+   */
+  static addDays(dateStr, days) {
+    const date = CalendarView.parseDate(dateStr);
+    date.setDate(date.getDate() + days);
+    return CalendarView.formatDate(date);
+  }
+
+  /**
+   * Get the Monday of a date's week
+   * @param {string} dateStr - Date string
+   * @returns {string} Monday in YYYY-MM-DD format
+   */
+  static getWeekStart(dateStr) {
+    const weekday = CalendarView.parseDate(dateStr).getDay();
+    return CalendarView.addDays(dateStr, -((weekday + 6) % 7));
+  }
+
+  /**
+   * Get the days a view shows
+   * @param {string} mode - month, week or day
+   * @param {string} dateStr - Any date in the period
+   * @returns {Object} { from, to, days } with days in YYYY-MM-DD format
+   */
+  static getRange(mode, dateStr) {
+    let from = dateStr;
+    let count = 1;
+    if (mode === 'month') {
+      from = CalendarView.getWeekStart(`${dateStr.slice(0, 7)}-01`);
+      count = CALENDAR_MONTH_DAYS;
+    } else if (mode === 'week') {
+      from = CalendarView.getWeekStart(dateStr);
+      count = 7;
+    }
+
+    const days = Array.from({ length: count }, (_, i) =>
+      CalendarView.addDays(from, i)
+    );
+    return { from, to: days[days.length - 1], days };
+  }
+
+  /**
+   * Move to the previous or next period
+   * @param {string} mode - month, week or day
+   * @param {string} dateStr - Current date
+   * @param {number} direction - -1 for back, 1 for forward
+   * @returns {string} Date in the new period
+   */
+  static shift(mode, dateStr, direction) {
+    if (mode === 'month') {
+      const date = CalendarView.parseDate(`${dateStr.slice(0, 7)}-01`);
+      date.setMonth(date.getMonth() + direction);
+      return CalendarView.formatDate(date);
+    }
+    return CalendarView.addDays(
+      dateStr,
+      mode === 'week' ? 7 * direction : direction
+    );
+  }
+
+  /**
+   * Get the heading of a view
+   * @param {string} mode - month, week or day
+   * @param {string} dateStr - Date in the period
+   * @returns {string} e.g. "October 2026", "Oct 19 – Oct 25, 2026" or
+   *   "Mon, Oct 19, 2026"
+   */
+  static getTitle(mode, dateStr) {
+    const date = CalendarView.parseDate(dateStr);
+    if (mode === 'month') {
+      return date.toLocaleDateString('en-US', {
+        month: 'long',
+        year: 'numeric',
+      });
+    }
+    if (mode === 'week') {
+      const { from, to } = CalendarView.getRange('week', dateStr);
+      const short = { month: 'short', day: 'numeric' };
+      return `${CalendarView.parseDate(from).toLocaleDateString(
+        'en-US',
+        short
+      )} – ${CalendarView.parseDate(to).toLocaleDateString('en-US', {
+        ...short,
+        year: 'numeric',
+      })}`;
+    }
+    return date.toLocaleDateString('en-US', {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+    });
+  }
+
+  /**
+   * Get the due time of an item dropped on an hour of the day view,
+   * keeping its minutes (10:30 dropped on 14:00 becomes 14:30)
+   * @param {string|null} time - Current due time (HH:MM)
+   * @param {string} slotTime - Hour dropped on (HH:00), or '' for all day
+   * @returns {string|null} New due time, or null for all day
+   */
+  static getDroppedTime(time, slotTime) {
+    if (!slotTime) {
+      return null;
+    }
+    return `${slotTime.slice(0, 2)}:${time ? time.slice(3, 5) : '00'}`;
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Idle Detector Module
+ * Notices when the user comes back after a stretch without input. Time with
+ * the tab hidden or the machine asleep counts as idle too, since no input
+ * events reach the page then. The last activity time is kept in
+ * localStorage so a reload can still tell how long the user was away.
+ */
+
+const LAST_ACTIVITY_KEY = 'lastActivity';
+const ACTIVITY_EVENTS = [
+  'mousemove',
+  'mousedown',
+  'keydown',
+  'wheel',
+  'touchstart',
+];
+// Don't touch localStorage on every mouse move
+const SAVE_THROTTLE_MS = 15 * 1000;
+
+// eslint-disable-next-line no-unused-vars
+class IdleDetector {
+  /**
+   * @param {Function} onReturn - Called with the Date the user went idle
+   *   when they come back after at least the idle threshold
+   */
+  constructor(onReturn) {
+    this.onReturn = onReturn;
+    this.idleMs = 10 * 60 * 1000;
+    // Last activity of the previous page load (null on first visit)
+    const stored = Number(localStorage.getItem(LAST_ACTIVITY_KEY));
+    this.previousActivity = stored > 0 ? new Date(stored) : null;
+    this.lastActivity = Date.now();
+    this.lastSaved = 0;
+
+    const handleActivity = () => this.recordActivity();
+    ACTIVITY_EVENTS.forEach((event) => {
+      document.addEventListener(event, handleActivity, { passive: true });
+    });
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) {
+        this.recordActivity();
+      }
+    });
+
+    this.save();
+  }
+
+  /**
+   * Set how long without input counts as idle
+   * @param {number} minutes - Idle threshold in minutes
+   */
+  setThreshold(minutes) {
+    this.idleMs = minutes * 60 * 1000;
+  }
+
+  /**
+   * Handle user activity, reporting the idle stretch it ends (if any)
+   */
+  recordActivity() {
+    const now = Date.now();
+    const idleSince = this.lastActivity;
+    this.lastActivity = now;
+
+    if (now - idleSince >= this.idleMs) {
+      this.save();
+      this.onReturn(new Date(idleSince));
+    } else if (now - this.lastSaved >= SAVE_THROTTLE_MS) {
+      this.save();
+    }
+  }
+
+  /**
+   * Persist the last activity time
+   */
+  save() {
+    this.lastSaved = Date.now();
+    localStorage.setItem(LAST_ACTIVITY_KEY, String(this.lastActivity));
+  }
+}
@@ -0,0 +1,236 @@
+/* global playCompletionSound */
+
+/**
+ * Pomodoro Module
+ * Counts down work and break periods for the active task. The task timer
+ * only runs during work periods; the app stops it for breaks. State is kept
+ * in localStorage so a reload continues the current period.
+ */
+
+const POMODORO_STATE_KEY = 'pomodoroState';
+const PHASE_LABELS = {
+  work: '🍅 WORK',
+  shortBreak: '☕ SHORT BREAK',
+  longBreak: '☕ LONG BREAK',
+};
+
+// eslint-disable-next-line no-unused-vars
+class PomodoroTimer {
+  /**
+   * @param {Object} handlers - Period boundary handlers
+   * @param {Function} handlers.onWorkEnd - Called with the task ID and the
+   *   end time (ms) when a work period is over
+   * @param {Function} handlers.onBreakEnd - Called with the task ID when a
+   *   break is over
+   */
+  constructor({ onWorkEnd, onBreakEnd }) {
+    this.onWorkEnd = onWorkEnd;
+    this.onBreakEnd = onBreakEnd;
+    this.settings = {
+      workMinutes: 25,
+      shortBreakMinutes: 5,
+      longBreakMinutes: 15,
+      longBreakEvery: 4,
+    };
+    this.intervalId = null;
+    this.state = PomodoroTimer.loadState();
+  }
+
+  /**
+   * Load saved state from localStorage
+   * @returns {Object|null} { taskId, phase, endsAt, cycle } or null
+   */
+  static loadState() {
+    try {
+      return JSON.parse(localStorage.getItem(POMODORO_STATE_KEY));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Save (or clear) state in localStorage
+   */
+  saveState() {
+    if (this.state) {
+      localStorage.setItem(POMODORO_STATE_KEY, JSON.stringify(this.state));
+    } else {
+      localStorage.removeItem(POMODORO_STATE_KEY);
+    }
+  }
+
+  /**
+   * Apply period lengths from config
+   * @param {Object} settings - { workMinutes, shortBreakMinutes,
+   *   longBreakMinutes, longBreakEvery }
+   */
+  setSettings(settings) {
+    this.settings = { ...this.settings, ...settings };
+  }
+
+  /**
+   * Get the task the pomodoro runs for
+   * @returns {string|null} Task ID
+   */
+  getTaskId() {
+    return this.state ? this.state.taskId : null;
+  }
+
+  /**
+   * Check whether a break is running
+   * @returns {boolean} True during short and long breaks
+   */
+  isOnBreak() {
+    return Boolean(this.state && this.state.phase !== 'work');
+  }
+
+  /**
+   * Start a work period
+   * @param {string} taskId - Task ID
+   */
+  startWork(taskId) {
+    // Keep counting towards the long break while staying on the same task
+    const cycle =
+      this.state && this.state.taskId === taskId ? this.state.cycle : 0;
+    this.startPhase(taskId, 'work', this.settings.workMinutes, cycle);
+  }
+
+  /**
+   * Start the break after a finished work period
+   */
+  startBreak() {
+    const { taskId } = this.state;
+    const cycle = this.state.cycle + 1;
+    const isLong = cycle % this.settings.longBreakEvery === 0;
+    this.startPhase(
+      taskId,
+      isLong ? 'longBreak' : 'shortBreak',
+      isLong ? this.settings.longBreakMinutes : this.settings.shortBreakMinutes,
+      cycle
+    );
+  }
+
+  /**
+   * Start a period and its countdown
+   * @param {string} taskId - Task ID
+   * @param {string} phase - 'work', 'shortBreak' or 'longBreak'
+   * @param {number} minutes - Period length
+   * @param {number} cycle - Work periods finished in the current set
+   */
+  startPhase(taskId, phase, minutes, cycle) {
+    this.state = {
+      taskId,
+      phase,
+      endsAt: Date.now() + minutes * 60 * 1000,
+      cycle,
+    };
+    this.saveState();
+    this.resume();
+  }
+
+  /**
+   * Continue the countdown of the saved period (e.g. after a reload)
+   * A break that ended while the page was closed is dropped rather than
+   * starting a new work period unattended.
+   * @returns {boolean} True if a period is running
+   */
+  resume() {
+    if (!this.state) {
+      return false;
+    }
+    if (this.state.phase !== 'work' && this.state.endsAt <= Date.now()) {
+      this.stop();
+      return false;
+    }
+
+    if (!this.intervalId) {
+      this.intervalId = setInterval(() => this.tick(), 1000);
+    }
+    this.tick();
+    return true;
+  }
+
+  /**
+   * Stop the pomodoro and hide its display
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+    this.state = null;
+    this.saveState();
+    this.updateDisplay();
+  }
+
+  /**
+   * Update the countdown and handle the end of a period
+   */
+  tick() {
+    if (!this.state) {
+      return;
+    }
+
+    if (this.state.endsAt > Date.now()) {
+      this.updateDisplay();
+      return;
+    }
+
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+    playCompletionSound();
+
+    const { taskId, phase, endsAt } = this.state;
+    if (phase === 'work') {
+      this.onWorkEnd(taskId, endsAt);
+    } else {
+      this.onBreakEnd(taskId);
+    }
+  }
+
+  /**
+   * Render the countdown into the active task section
+   */
+  updateDisplay() {
+    const display = document.getElementById('pomodoro-display');
+    const button = document.getElementById('pomodoro-btn');
+    if (button) {
+      button.classList.toggle('active', Boolean(this.state));
+    }
+    if (!display) {
+      return;
+    }
+    if (!this.state) {
+      display.classList.add('hidden');
+      return;
+    }
+
+    const { phase, cycle, endsAt } = this.state;
+    const label =
+      phase === 'work'
+        ? `${PHASE_LABELS.work} ${(cycle % this.settings.longBreakEvery) + 1}/${
+            this.settings.longBreakEvery
+          }`
+        : PHASE_LABELS[phase];
+    display.textContent = `${label} · ${PomodoroTimer.formatCountdown(
+      endsAt - Date.now()
+    )}`;
+    display.classList.toggle('on-break', phase !== 'work');
+    display.classList.remove('hidden');
+  }
+
+  /**
+   * Format remaining time as MM:SS
+   * @param {number} ms - Remaining milliseconds
+   * @returns {string} Countdown text
+   */
+  static formatCountdown(ms) {
+    const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(
+      2,
+      '0'
+    )}`;
+  }
+}
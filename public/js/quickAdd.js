@@ -0,0 +1,369 @@
+/**
+ * Quick Add Parser
+ * Turns a one-line entry such as "Call dentist tomorrow 3pm !high every week
+ * #personal" into task fields. Recognized phrases are taken out of the text
+ * (the last one of each kind wins, so "Weekly review every fri" keeps
+ * "Weekly" in the description); whatever is left is the description.
+ */
+
+// Weekday names by Date#getDay(), with their RRULE codes
+const QUICK_ADD_WEEKDAYS = [
+  ['sun', 'SU'],
+  ['mon', 'MO'],
+  ['tue', 'TU'],
+  ['wed', 'WE'],
+  ['thu', 'TH'],
+  ['fri', 'FR'],
+  ['sat', 'SA'],
+];
+const QUICK_ADD_MONTHS = [
+  'jan',
+  'feb',
+  'mar',
+  'apr',
+  'may',
+  'jun',
+  'jul',
+  'aug',
+  'sep',
+  'oct',
+  'nov',
+  'dec',
+];
+const QUICK_ADD_WEEKDAY_PATTERN =
+  '(?:mon|tue|tues|wed|thu|thur|thurs|fri|sat|sun)(?:day|sday|nesday|rsday|urday)?';
+// As a due date, abbreviations like "sun" or "wed" are only taken after
+// on/by/due/this/next or at the end ("Buy sun screen" is no date)
+const QUICK_ADD_WEEKDAY_FULL_PATTERN =
+  '(?:mon|tues|wednes|thurs|fri|satur|sun)day';
+const QUICK_ADD_WEEKDAY_SHORT_PATTERN =
+  '(?:mon|tues?|wed|thu(?:rs?)?|fri|sat|sun)';
+const QUICK_ADD_MONTH_PATTERN =
+  '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const QUICK_ADD_PRIORITIES = {
+  high: 'high',
+  h: 'high',
+  medium: 'medium',
+  med: 'medium',
+  m: 'medium',
+  low: 'low',
+  l: 'low',
+};
+
+// eslint-disable-next-line no-unused-vars
+class QuickAdd {
+  /**
+   * Parse a quick-add entry
+   * @param {string} text - Entry text
+   * @param {Date} now - Reference date for relative dates (default: now)
+   * @returns {Object} { description, dueDate, dueTime, priority, recurring,
+   *   tags }, ready for TaskManager.saveTask
+   */
+  static parse(text, now = new Date()) {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    // Single spaces, so patterns can match the gaps between words literally
+    let rest = ` ${(text || '').replace(/\s+/g, ' ')} `;
+
+    // Remove the last match of a pattern (with the g flag) and return it
+    // (or null)
+    const take = (pattern) => {
+      const match = [...rest.matchAll(pattern)].pop();
+      if (match) {
+        rest = `${rest.slice(0, match.index)} ${rest.slice(
+          match.index + match[0].length
+        )}`;
+      }
+      return match;
+    };
+
+    const tags = [];
+    let tagMatch = take(/\s#([\w-]+)(?=\s)/g);
+    while (tagMatch) {
+      tags.unshift(tagMatch[1].toLowerCase());
+      tagMatch = take(/\s#([\w-]+)(?=\s)/g);
+    }
+
+    const priorityMatch = take(/\s!(high|medium|med|low|h|m|l)(?=\s)/gi);
+    const priority = priorityMatch
+      ? QUICK_ADD_PRIORITIES[priorityMatch[1].toLowerCase()]
+      : 'medium';
+
+    const recurrence = QuickAdd.parseRecurrence(take);
+    const dueTime = QuickAdd.parseTime(take);
+    let dueDate = QuickAdd.parseDate(take, today);
+
+    // A time or a repeat without a date starts today (a weekly repeat on
+    // given days starts on the first of them)
+    if (!dueDate && (dueTime || recurrence)) {
+      const start = new Date(today);
+      while (
+        recurrence &&
+        recurrence.days.length > 0 &&
+        !recurrence.days.includes(QUICK_ADD_WEEKDAYS[start.getDay()][1])
+      ) {
+        start.setDate(start.getDate() + 1);
+      }
+      dueDate = QuickAdd.formatDate(start);
+    }
+
+    return {
+      description: rest.replace(/\s+/g, ' ').trim(),
+      dueDate,
+      dueTime,
+      priority,
+      recurring: recurrence ? recurrence.rule : null,
+      tags: [...new Set(tags)],
+    };
+  }
+
+  /**
+   * Take a repeat phrase ("every week", "every other day", "every 3 months",
+   * "every weekday", "every mon and thu", "daily") out of the entry
+   * @param {Function} take - Removes and returns the last match of a pattern
+   * @returns {Object|null} { rule, days } with the RRULE and its BYDAY codes
+   */
+  static parseRecurrence(take) {
+    const frequencies = {
+      day: 'DAILY',
+      daily: 'DAILY',
+      week: 'WEEKLY',
+      weekly: 'WEEKLY',
+      month: 'MONTHLY',
+      monthly: 'MONTHLY',
+      year: 'YEARLY',
+      yearly: 'YEARLY',
+      annually: 'YEARLY',
+    };
+
+    if (take(/\severy weekday(?=\s)/gi)) {
+      const days = ['MO', 'TU', 'WE', 'TH', 'FR'];
+      return { rule: `FREQ=WEEKLY;BYDAY=${days.join(',')}`, days };
+    }
+
+    const daysMatch = take(
+      new RegExp(
+        `\\severy (${QUICK_ADD_WEEKDAY_PATTERN}(?: ?(?:,|and|&) ?${QUICK_ADD_WEEKDAY_PATTERN})*)(?=\\s)`,
+        'gi'
+      )
+    );
+    if (daysMatch) {
+      const days = [
+        ...new Set(
+          daysMatch[1]
+            .toLowerCase()
+            .split(/ ?(?:,|and|&) ?/)
+            .map((name) => QuickAdd.weekdayCode(name))
+        ),
+      ];
+      return { rule: `FREQ=WEEKLY;BYDAY=${days.join(',')}`, days };
+    }
+
+    const intervalMatch = take(
+      /\severy (\d+|other) (day|week|month|year)s?(?=\s)/gi
+    );
+    const everyMatch =
+      intervalMatch || take(/\severy (day|week|month|year)(?=\s)/gi);
+    if (everyMatch) {
+      const [count, unit] = intervalMatch
+        ? [intervalMatch[1].toLowerCase(), intervalMatch[2]]
+        : ['1', everyMatch[1]];
+      const interval = count === 'other' ? 2 : parseInt(count, 10) || 1;
+      const freq = frequencies[unit.toLowerCase()];
+      return {
+        rule:
+          interval > 1 ? `FREQ=${freq};INTERVAL=${interval}` : `FREQ=${freq}`,
+        days: [],
+      };
+    }
+
+    const wordMatch = take(/\s(daily|weekly|monthly|yearly|annually)(?=\s)/gi);
+    if (wordMatch) {
+      return {
+        rule: `FREQ=${frequencies[wordMatch[1].toLowerCase()]}`,
+        days: [],
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Take a time ("3pm", "at 9:30am", "15:00", "noon") out of the entry
+   * @param {Function} take - Removes and returns the last match of a pattern
+   * @returns {string|null} Time in HH:MM format
+   */
+  static parseTime(take) {
+    const twelveHour = take(
+      /\s(?:(?:at|by) )?(1[0-2]|0?[1-9])(?::([0-5]\d))? ?(am|pm)(?=\s)/gi
+    );
+    if (twelveHour) {
+      let hours = parseInt(twelveHour[1], 10) % 12;
+      if (twelveHour[3].toLowerCase() === 'pm') {
+        hours += 12;
+      }
+      return `${String(hours).padStart(2, '0')}:${twelveHour[2] || '00'}`;
+    }
+
+    const twentyFourHour = take(
+      /\s(?:(?:at|by) )?([01]?\d|2[0-3]):([0-5]\d)(?=\s)/g
+    );
+    if (twentyFourHour) {
+      return `${twentyFourHour[1].padStart(2, '0')}:${twentyFourHour[2]}`;
+    }
+
+    if (take(/\s(?:(?:at|by) )?(?:noon|midday)(?=\s)/gi)) {
+      return '12:00';
+    }
+    return null;
+  }
+
+  /**
+   * Take a date out of the entry: "today", "tomorrow", "friday", "on fri",
+   * "next Fri", "this sat" (a bare "fri" only as the last word),
+   * "in 3 days", "in 2 weeks", "next week" (Monday), "next month" (the 1st),
+   * "eom" (last day of this month), "nov 3", "3 nov" or "2026-11-03"
+   * @param {Function} take - Removes and returns the last match of a pattern
+   * @param {Date} today - Today at midnight
+   * @returns {string|null} Date in YYYY-MM-DD format
+   */
+  static parseDate(take, today) {
+    const prefix = '\\s(?:(?:on|by|due) )?';
+    const date = new Date(today);
+
+    const iso = take(new RegExp(`${prefix}(\\d{4}-\\d{2}-\\d{2})(?=\\s)`, 'g'));
+    if (iso) {
+      return iso[1];
+    }
+
+    const named = take(
+      new RegExp(`${prefix}(today|tonight|tomorrow|tmrw|tmr)(?=\\s)`, 'gi')
+    );
+    if (named) {
+      if (/^(tomorrow|tmrw|tmr)$/i.test(named[1])) {
+        date.setDate(date.getDate() + 1);
+      }
+      return QuickAdd.formatDate(date);
+    }
+
+    const relative = take(
+      /\s(?:(?:due|by) )?in (\d+|a|an|one) (day|week|month)s?(?=\s)/gi
+    );
+    if (relative) {
+      const amount = parseInt(relative[1], 10) || 1;
+      const unit = relative[2].toLowerCase();
+      if (unit === 'month') {
+        QuickAdd.addMonths(date, amount);
+      } else {
+        date.setDate(date.getDate() + amount * (unit === 'week' ? 7 : 1));
+      }
+      return QuickAdd.formatDate(date);
+    }
+
+    if (
+      take(new RegExp(`${prefix}(?:eom|end of (?:the )?month)(?=\\s)`, 'gi'))
+    ) {
+      return QuickAdd.formatDate(
+        new Date(date.getFullYear(), date.getMonth() + 1, 0)
+      );
+    }
+
+    const nextPeriod = take(/\snext (week|month)(?=\s)/gi);
+    if (nextPeriod) {
+      if (nextPeriod[1].toLowerCase() === 'week') {
+        // Monday of next week
+        date.setDate(date.getDate() + ((8 - date.getDay()) % 7 || 7));
+      } else {
+        date.setMonth(date.getMonth() + 1, 1);
+      }
+      return QuickAdd.formatDate(date);
+    }
+
+    // Full names anywhere, abbreviations after a qualifier or at the end
+    const qualifier = '(?:(?:on|by|due|this) (?:next )?|next )';
+    const weekday = take(
+      new RegExp(
+        `\\s${qualifier}?(${QUICK_ADD_WEEKDAY_FULL_PATTERN})(?=\\s)|\\s${qualifier}(${QUICK_ADD_WEEKDAY_SHORT_PATTERN})(?=\\s)|\\s(${QUICK_ADD_WEEKDAY_SHORT_PATTERN})(?=\\s*$)`,
+        'gi'
+      )
+    );
+    if (weekday) {
+      // The first such day after today
+      const name = weekday[1] || weekday[2] || weekday[3];
+      const target = QUICK_ADD_WEEKDAYS.findIndex(
+        ([, code]) => code === QuickAdd.weekdayCode(name)
+      );
+      date.setDate(date.getDate() + (((target - date.getDay() + 6) % 7) + 1));
+      return QuickAdd.formatDate(date);
+    }
+
+    const monthDay =
+      take(
+        new RegExp(
+          `${prefix}(${QUICK_ADD_MONTH_PATTERN}) (\\d{1,2})(?:st|nd|rd|th)?(?=\\s)`,
+          'gi'
+        )
+      ) ||
+      take(
+        new RegExp(
+          `${prefix}(\\d{1,2})(?:st|nd|rd|th)? (${QUICK_ADD_MONTH_PATTERN})(?=\\s)`,
+          'gi'
+        )
+      );
+    if (monthDay) {
+      const [monthName, day] = /^\d/.test(monthDay[1])
+        ? [monthDay[2], monthDay[1]]
+        : [monthDay[1], monthDay[2]];
+      const month = QUICK_ADD_MONTHS.indexOf(
+        monthName.slice(0, 3).toLowerCase()
+      );
+      const candidate = new Date(today.getFullYear(), month, parseInt(day, 10));
+      if (candidate.getMonth() === month) {
+        // Dates already past this year mean next year
+        if (candidate < today) {
+          candidate.setFullYear(candidate.getFullYear() + 1);
+        }
+        return QuickAdd.formatDate(candidate);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the RRULE code of a weekday name
+   * @param {string} name - Full or abbreviated name (e.g. "thurs")
+   * @returns {string} e.g. "TH"
+   */
+  static weekdayCode(name) {
+    const prefix = name.slice(0, 3).toLowerCase();
+    return QUICK_ADD_WEEKDAYS.find(([short]) => short === prefix)[1];
+  }
+
+  /**
+   * Add months to a date, staying on the last day of shorter months
+   * @param {Date} date - Date (modified in place)
+   * @param {number} months - Months to add
+   */
+  static addMonths(date, months) {
+    const day = date.getDate();
+    date.setDate(1);
+    date.setMonth(date.getMonth() + months);
+    const lastDay = new Date(
+      date.getFullYear(),
+      date.getMonth() + 1,
+      0
+    ).getDate();
+    date.setDate(Math.min(day, lastDay));
+  }
+
+  /**
+   * Format a date as local YYYY-MM-DD
+   * @param {Date} date - Date to format
+   * @returns {string} Date string
+   */
+  static formatDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+}
@@ -8,13 +8,27 @@ class TaskManager {
     this.baseUrl = '/api';
   }
 
+  /**
+   * fetch() that identifies this page to the server, so server events
+   * about changes made here can be told apart from other tabs' changes
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options
+   * @returns {Promise<Response>} Response
+   */
+  request(url, options = {}) {
+    return fetch(url, {
+      ...options,
+      headers: { ...options.headers, 'X-Client-Id': TaskManager.clientId },
+    });
+  }
+
   /**
    * Fetch all active tasks
    * @returns {Promise<Array>} Array of tasks
    */
   async getActiveTasks() {
     try {
-      const response = await fetch(`${this.baseUrl}/tasks`);
+      const response = await this.request(`${this.baseUrl}/tasks`);
       if (!response.ok) {
         throw new Error('Failed to fetch tasks');
       }
@@ -31,7 +45,7 @@ class TaskManager {
    */
   async getArchivedTasks() {
     try {
-      const response = await fetch(`${this.baseUrl}/tasks/archived`);
+      const response = await this.request(`${this.baseUrl}/tasks/archived`);
       if (!response.ok) {
         throw new Error('Failed to fetch archived tasks');
       }
@@ -42,6 +56,41 @@ class TaskManager {
     }
   }
 
+  /**
+   * Fetch tasks hidden until a later date
+   * @returns {Promise<Array>} Array of deferred tasks
+   */
+  async getDeferredTasks() {
+    try {
+      const response = await this.request(`${this.baseUrl}/tasks/deferred`);
+      if (!response.ok) {
+        throw new Error('Failed to fetch deferred tasks');
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching deferred tasks:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Check whether a task is hidden until a later date
+   * Running tasks are never hidden.
+   * @param {Object} task - Task object
+   * @returns {boolean} True if the task is deferred
+   */
+  static isDeferred(task) {
+    if (!task.hiddenUntil || task.inProgress) {
+      return false;
+    }
+    const now = new Date();
+    const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(
+      2,
+      '0'
+    )}-${String(now.getDate()).padStart(2, '0')}`;
+    return task.hiddenUntil > today;
+  }
+
   /**
    * Create or update a task
    * @param {Object} taskData - Task data
@@ -49,7 +98,7 @@ class TaskManager {
    */
   async saveTask(taskData) {
     try {
-      const response = await fetch(`${this.baseUrl}/tasks`, {
+      const response = await this.request(`${this.baseUrl}/tasks`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -59,7 +108,10 @@ class TaskManager {
 
       if (!response.ok) {
         const error = await response.json();
-        throw new Error(error.error || 'Failed to save task');
+        const saveError = new Error(error.error || 'Failed to save task');
+        // Set on 409: the task changed since it was loaded
+        saveError.serverTask = error.task || null;
+        throw saveError;
       }
 
       return await response.json();
@@ -69,6 +121,36 @@ class TaskManager {
     }
   }
 
+  /**
+   * Apply one action to several tasks at once
+   * @param {Array<string>} ids - Task IDs
+   * @param {string} action - complete, delete, reschedule, priority, tag or
+   *   archive
+   * @param {Object} params - dueDate, priority or tag, depending on action
+   * @returns {Promise<Object>} { count, message, tasks }
+   */
+  async bulkAction(ids, action, params = {}) {
+    try {
+      const response = await this.request(`${this.baseUrl}/tasks/bulk`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ ids, action, ...params }),
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to apply bulk action');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error applying bulk action:', error);
+      throw error;
+    }
+  }
+
   /**
    * Start a task timer
    * @param {string} taskId - Task ID
@@ -76,9 +158,12 @@ class TaskManager {
    */
   async startTask(taskId) {
     try {
-      const response = await fetch(`${this.baseUrl}/tasks/${taskId}/start`, {
-        method: 'POST',
-      });
+      const response = await this.request(
+        `${this.baseUrl}/tasks/${taskId}/start`,
+        {
+          method: 'POST',
+        }
+      );
 
       if (!response.ok) {
         throw new Error('Failed to start task');
@@ -98,9 +183,12 @@ class TaskManager {
    */
   async stopTask(taskId) {
     try {
-      const response = await fetch(`${this.baseUrl}/tasks/${taskId}/stop`, {
-        method: 'POST',
-      });
+      const response = await this.request(
+        `${this.baseUrl}/tasks/${taskId}/stop`,
+        {
+          method: 'POST',
+        }
+      );
 
       if (!response.ok) {
         throw new Error('Failed to stop task');
@@ -113,6 +201,127 @@ class TaskManager {
     }
   }
 
+  /**
+   * Check a running timer picked up after a reload; the server stops it if
+   * the session is already longer than the configured maximum
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Object>} Task, no longer in progress if it was stopped
+   */
+  async resumeTask(taskId) {
+    try {
+      const response = await this.request(
+        `${this.baseUrl}/tasks/${taskId}/resume`,
+        {
+          method: 'POST',
+        }
+      );
+
+      if (!response.ok) {
+        throw new Error('Failed to resume task');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error resuming task:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a finished pomodoro (stops the task timer for the break)
+   * @param {string} taskId - Task ID
+   * @param {number} end - When the work period ended (epoch ms)
+   * @returns {Promise<Object>} Updated task
+   */
+  async finishPomodoro(taskId, end) {
+    try {
+      const response = await this.request(
+        `${this.baseUrl}/tasks/${taskId}/pomodoro`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ end: new Date(end).toISOString() }),
+        }
+      );
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to record pomodoro');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error recording pomodoro:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Snooze an appointment reminder
+   * @param {string} taskId - Task ID
+   * @param {number|null} minutes - Minutes to snooze, or null for tomorrow
+   *   morning
+   * @returns {Promise<Object>} { taskId, until }
+   */
+  async snoozeReminder(taskId, minutes) {
+    try {
+      const response = await this.request(
+        `${this.baseUrl}/tasks/${taskId}/reminder/snooze`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ minutes }),
+        }
+      );
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to snooze reminder');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error snoozing reminder:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove idle time from a running task timer
+   * @param {string} taskId - Task ID
+   * @param {Date} idleSince - When the user went idle
+   * @param {string} action - 'discard' (keep timing from now) or 'trim' (stop)
+   * @returns {Promise<Object>} Updated task
+   */
+  async removeIdleTime(taskId, idleSince, action) {
+    try {
+      const response = await this.request(
+        `${this.baseUrl}/tasks/${taskId}/idle`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ idleSince: idleSince.toISOString(), action }),
+        }
+      );
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to remove idle time');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error removing idle time:', error);
+      throw error;
+    }
+  }
+
   /**
    * Complete a task (move to archive)
    * @param {string} taskId - Task ID
@@ -120,9 +329,12 @@ class TaskManager {
    */
   async completeTask(taskId) {
     try {
-      const response = await fetch(`${this.baseUrl}/tasks/${taskId}/complete`, {
-        method: 'POST',
-      });
+      const response = await this.request(
+        `${this.baseUrl}/tasks/${taskId}/complete`,
+        {
+          method: 'POST',
+        }
+      );
 
       if (!response.ok) {
         throw new Error('Failed to complete task');
@@ -142,9 +354,12 @@ class TaskManager {
    */
   async restoreTask(taskId) {
     try {
-      const response = await fetch(`${this.baseUrl}/tasks/${taskId}/restore`, {
-        method: 'POST',
-      });
+      const response = await this.request(
+        `${this.baseUrl}/tasks/${taskId}/restore`,
+        {
+          method: 'POST',
+        }
+      );
 
       if (!response.ok) {
         throw new Error('Failed to restore task');
@@ -164,7 +379,7 @@ class TaskManager {
    */
   async deleteTask(taskId) {
     try {
-      const response = await fetch(`${this.baseUrl}/tasks/${taskId}`, {
+      const response = await this.request(`${this.baseUrl}/tasks/${taskId}`, {
         method: 'DELETE',
       });
 
@@ -179,6 +394,567 @@ class TaskManager {
     }
   }
 
+  /**
+   * Add a checklist item to a task
+   * @param {string} taskId - Task ID
+   * @param {string} text - Item text
+   * @returns {Promise<Object>} Updated task
+   */
+  async addChecklistItem(taskId, text) {
+    try {
+      const response = await this.request(
+        `${this.baseUrl}/tasks/${taskId}/checklist`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ text }),
+        }
+      );
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to add checklist item');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error adding checklist item:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a checklist item's text or done state
+   * @param {string} taskId - Task ID
+   * @param {string} itemId - Checklist item ID
+   * @param {Object} updates - { text?, done? }
+   * @returns {Promise<Object>} Updated task
+   */
+  async updateChecklistItem(taskId, itemId, updates) {
+    try {
+      const response = await this.request(
+        `${this.baseUrl}/tasks/${taskId}/checklist/${itemId}`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify(updates),
+        }
+      );
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to update checklist item');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error updating checklist item:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a checklist item
+   * @param {string} taskId - Task ID
+   * @param {string} itemId - Checklist item ID
+   * @returns {Promise<Object>} Updated task
+   */
+  async deleteChecklistItem(taskId, itemId) {
+    try {
+      const response = await this.request(
+        `${this.baseUrl}/tasks/${taskId}/checklist/${itemId}`,
+        {
+          method: 'DELETE',
+        }
+      );
+
+      if (!response.ok) {
+        throw new Error('Failed to remove checklist item');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error removing checklist item:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch all projects
+   * @returns {Promise<Array>} Array of projects
+   */
+  async getProjects() {
+    try {
+      const response = await this.request(`${this.baseUrl}/projects`);
+      if (!response.ok) {
+        throw new Error('Failed to fetch projects');
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching projects:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Create or rename a project
+   * @param {Object} projectData - { id?, name }
+   * @returns {Promise<Object>} Saved project
+   */
+  async saveProject(projectData) {
+    try {
+      const response = await this.request(`${this.baseUrl}/projects`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(projectData),
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to save project');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error saving project:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a project (tasks in it become unassigned)
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Object>} Result
+   */
+  async deleteProject(projectId) {
+    try {
+      const response = await this.request(
+        `${this.baseUrl}/projects/${projectId}`,
+        {
+          method: 'DELETE',
+        }
+      );
+
+      if (!response.ok) {
+        throw new Error('Failed to delete project');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error deleting project:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch the board columns
+   * @returns {Promise<Array>} Columns { id, name, action }
+   */
+  async getBoardColumns() {
+    try {
+      const response = await this.request(`${this.baseUrl}/board`);
+      if (!response.ok) {
+        throw new Error('Failed to fetch board');
+      }
+      return (await response.json()).columns;
+    } catch (error) {
+      console.error('Error fetching board:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Move a task to a board column without an action (stops it if running
+   * and restores it if completed)
+   * @param {string} taskId - Task ID
+   * @param {string} status - Column ID
+   * @returns {Promise<Object>} Updated task
+   */
+  async setTaskStatus(taskId, status) {
+    try {
+      const response = await this.request(
+        `${this.baseUrl}/tasks/${taskId}/status`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ status }),
+        }
+      );
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to move task');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error moving task:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch built-in and custom views with the open tasks in each
+   * @returns {Promise<Array>} Views with builtIn, count and taskIds
+   */
+  async getViews() {
+    try {
+      const response = await this.request(`${this.baseUrl}/views`);
+      if (!response.ok) {
+        throw new Error('Failed to fetch views');
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching views:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save the search query and filter as a custom view
+   * @param {Object} viewData - { id?, name, query, filter }
+   * @returns {Promise<Object>} Saved view
+   */
+  async saveView(viewData) {
+    try {
+      const response = await this.request(`${this.baseUrl}/views`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(viewData),
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to save view');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error saving view:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a custom view
+   * @param {string} viewId - View ID
+   * @returns {Promise<Object>} Result
+   */
+  async deleteView(viewId) {
+    try {
+      const response = await this.request(`${this.baseUrl}/views/${viewId}`, {
+        method: 'DELETE',
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to delete view');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error deleting view:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Undo the most recent task change
+   * @returns {Promise<Object>} Undone change ({ action, label })
+   */
+  async undo() {
+    try {
+      const response = await this.request(`${this.baseUrl}/undo`, {
+        method: 'POST',
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to undo');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error undoing change:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Redo the most recently undone task change
+   * @returns {Promise<Object>} Redone change ({ action, label })
+   */
+  async redo() {
+    try {
+      const response = await this.request(`${this.baseUrl}/redo`, {
+        method: 'POST',
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to redo');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error redoing change:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a time-tracking session by hand
+   * @param {string} taskId - Task ID
+   * @param {Object} session - { start, end } ISO timestamps
+   * @returns {Promise<Object>} Updated task
+   */
+  async addSession(taskId, session) {
+    try {
+      const response = await this.request(
+        `${this.baseUrl}/tasks/${taskId}/sessions`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify(session),
+        }
+      );
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to add session');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error adding session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Edit a time-tracking session's start and/or end
+   * @param {string} taskId - Task ID
+   * @param {string} sessionId - Session ID
+   * @param {Object} updates - { start?, end? } ISO timestamps
+   * @returns {Promise<Object>} Updated task
+   */
+  async updateSession(taskId, sessionId, updates) {
+    try {
+      const response = await this.request(
+        `${this.baseUrl}/tasks/${taskId}/sessions/${sessionId}`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify(updates),
+        }
+      );
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to update session');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error updating session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a time-tracking session
+   * @param {string} taskId - Task ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Updated task
+   */
+  async deleteSession(taskId, sessionId) {
+    try {
+      const response = await this.request(
+        `${this.baseUrl}/tasks/${taskId}/sessions/${sessionId}`,
+        {
+          method: 'DELETE',
+        }
+      );
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to remove session');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error removing session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Import appointments and to-dos from an .ics file
+   * @param {string} icsText - Contents of the .ics file
+   * @returns {Promise<Object>} { imported, duplicates, skipped, warnings }
+   */
+  async importCalendar(icsText) {
+    try {
+      const response = await this.request(`${this.baseUrl}/import/ics`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'text/calendar',
+        },
+        body: icsText,
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to import calendar');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error importing calendar:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the time report for a date range
+   * @param {string} from - First day in YYYY-MM-DD format
+   * @param {string} to - Last day in YYYY-MM-DD format
+   * @returns {Promise<Object>} Report with totals by day, week, priority and task
+   */
+  async getTimeReport(from, to) {
+    try {
+      const params = new URLSearchParams({ from, to });
+      const response = await this.request(
+        `${this.baseUrl}/reports/time?${params}`
+      );
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to load time report');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error loading time report:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Search active, completed and archived tasks
+   * @param {string} query - Words, "phrases" and operators (priority:high,
+   *   due:<2026-11-01, is:recurring, ...)
+   * @returns {Promise<Object>} { query, total, results } with each result's
+   *   task, source, score and highlights
+   */
+  async search(query) {
+    try {
+      const params = new URLSearchParams({ q: query });
+      const response = await this.request(`${this.baseUrl}/search?${params}`);
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to search tasks');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error searching tasks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get open tasks laid out by due date, with upcoming occurrences of
+   * recurring tasks
+   * @param {string} from - First day (YYYY-MM-DD)
+   * @param {string} to - Last day (YYYY-MM-DD)
+   * @returns {Promise<Object>} { from, to, entries: [{ taskId, date, time,
+   *   projected, description, priority, ... }] }
+   */
+  async getCalendar(from, to) {
+    try {
+      const params = new URLSearchParams({ from, to });
+      const response = await this.request(`${this.baseUrl}/calendar?${params}`);
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to load calendar');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error loading calendar:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the estimate accuracy summary of completed tasks
+   * @returns {Promise<Object>} Estimate report
+   */
+  async getEstimateReport() {
+    try {
+      const response = await this.request(`${this.baseUrl}/reports/estimates`);
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to load estimate report');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error loading estimate report:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the URL of the CSV timesheet for a date range
+   * @param {string} from - First day in YYYY-MM-DD format
+   * @param {string} to - Last day in YYYY-MM-DD format
+   * @returns {string} Download URL
+   */
+  getTimeReportCsvUrl(from, to) {
+    const params = new URLSearchParams({ from, to, format: 'csv' });
+    return `${this.baseUrl}/reports/time?${params}`;
+  }
+
+  /**
+   * Validate a recurrence rule and fetch its next occurrences
+   * @param {string} rule - RRULE string
+   * @param {string} start - First occurrence in YYYY-MM-DD format
+   * @returns {Promise<Object>} { dates } on success or { error } if invalid
+   */
+  async previewRecurrence(rule, start) {
+    try {
+      const params = new URLSearchParams({ rule, count: 5 });
+      if (start) {
+        params.set('start', start);
+      }
+      const response = await this.request(
+        `${this.baseUrl}/recurrence/preview?${params}`
+      );
+      return await response.json();
+    } catch (error) {
+      console.error('Error previewing recurrence:', error);
+      return { error: 'Preview unavailable' };
+    }
+  }
+
   /**
    * Parse comma-separated links string to array
    * @param {string} linksString - Comma-separated links
@@ -206,6 +982,77 @@ class TaskManager {
     return links.join(', ');
   }
 
+  /**
+   * Parse comma- or space-separated tags (a leading # is optional)
+   * @param {string} tagsString - e.g. "#work, urgent"
+   * @returns {Array<string>} Lowercase tags without '#'
+   */
+  static parseTags(tagsString) {
+    if (!tagsString || typeof tagsString !== 'string') {
+      return [];
+    }
+    const tags = tagsString
+      .split(/[\s,]+/)
+      .map((tag) => tag.replace(/^#+/, '').toLowerCase())
+      .filter((tag) => tag.length > 0);
+    return [...new Set(tags)];
+  }
+
+  /**
+   * Convert tags array to display string
+   * @param {Array} tags - Array of tags
+   * @returns {string} Space-separated tags with '#'
+   */
+  static tagsToString(tags) {
+    if (!Array.isArray(tags)) {
+      return '';
+    }
+    return tags.map((tag) => `#${tag}`).join(' ');
+  }
+
+  /**
+   * Parse newline-separated checklist text into items
+   * @param {string} checklistString - One item per line
+   * @returns {Array} Array of { text } items
+   */
+  static parseChecklist(checklistString) {
+    if (!checklistString || typeof checklistString !== 'string') {
+      return [];
+    }
+    return checklistString
+      .split('\n')
+      .map((line) => line.trim())
+      .filter((line) => line.length > 0)
+      .map((text) => ({ text }));
+  }
+
+  /**
+   * Convert checklist items to newline-separated text
+   * @param {Array} checklist - Checklist items
+   * @returns {string} One item per line
+   */
+  static checklistToString(checklist) {
+    if (!Array.isArray(checklist)) {
+      return '';
+    }
+    return checklist.map((item) => item.text).join('\n');
+  }
+
+  /**
+   * Get checklist progress for a task
+   * @param {Object} task - Task object
+   * @returns {Object|null} { done, total } or null if the task has no checklist
+   */
+  static getChecklistProgress(task) {
+    if (!Array.isArray(task.checklist) || task.checklist.length === 0) {
+      return null;
+    }
+    return {
+      done: task.checklist.filter((item) => item.done).length,
+      total: task.checklist.length,
+    };
+  }
+
   /**
    * Get priority icon
    * @param {string} priority - Priority level
@@ -224,16 +1071,169 @@ class TaskManager {
     }
   }
 
+  /**
+   * Format an ISO timestamp as local "YYYY-MM-DD HH:MM" (for editing)
+   * @param {string} isoString - ISO timestamp
+   * @returns {string} Local date and time
+   */
+  static toLocalDateTimeString(isoString) {
+    const date = new Date(isoString);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+      date.getDate()
+    )} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+
+  /**
+   * Parse a local "YYYY-MM-DD HH:MM" string into an ISO timestamp
+   * @param {string} value - Local date and time
+   * @returns {string|null} ISO timestamp, or null if unparseable
+   */
+  static parseLocalDateTime(value) {
+    const match = (value || '')
+      .trim()
+      .match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})$/);
+    if (!match) {
+      return null;
+    }
+    const [, year, month, day, hours, minutes] = match.map(Number);
+    return new Date(year, month - 1, day, hours, minutes).toISOString();
+  }
+
   /**
    * Get recurring icon
-   * @param {string} recurring - Recurring interval ('daily', 'weekly', or null)
+   * @param {string} recurring - 'daily', 'weekly', an RRULE string, or null
    * @returns {string} Icon symbol or empty string if not recurring
    */
   static getRecurringIcon(recurring) {
-    if (recurring === 'daily' || recurring === 'weekly') {
-      return '↻';
+    return recurring ? '↻' : '';
+  }
+
+  /**
+   * Convert a task's recurrence to an RRULE string
+   * Legacy 'daily'/'weekly' values (and workingDaysOnly) are mapped.
+   * @param {string} recurring - 'daily', 'weekly', an RRULE string, or null
+   * @param {boolean} workingDaysOnly - Legacy weekdays-only flag
+   * @returns {string} RRULE string (empty if not recurring)
+   */
+  static toRRule(recurring, workingDaysOnly = false) {
+    if (!recurring) {
+      return '';
     }
-    return '';
+    if (recurring === 'daily') {
+      return workingDaysOnly
+        ? 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR'
+        : 'FREQ=DAILY';
+    }
+    if (recurring === 'weekly') {
+      return 'FREQ=WEEKLY';
+    }
+    return recurring.replace(/^RRULE:/i, '');
+  }
+
+  /**
+   * Split an RRULE string into its parts
+   * Validation happens on the server; this only reads the key/value pairs.
+   * @param {string} rule - e.g. 'FREQ=WEEKLY;BYDAY=MO,WE'
+   * @returns {Object} Uppercase keys mapped to raw values
+   */
+  static parseRRule(rule) {
+    const parts = {};
+    (rule || '')
+      .replace(/^RRULE:/i, '')
+      .split(';')
+      .forEach((part) => {
+        const [key, value] = part.split('=');
+        if (key && value) {
+          parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+        }
+      });
+    return parts;
+  }
+
+  /**
+   * Describe a task's recurrence in plain words
+   * @param {string} recurring - 'daily', 'weekly', an RRULE string, or null
+   * @param {boolean} workingDaysOnly - Legacy weekdays-only flag
+   * @param {string} mode - 'schedule' or 'completion'
+   * @returns {string} e.g. "Every 2 weeks on Tue, Thu, 10 times"
+   */
+  static describeRecurrence(
+    recurring,
+    workingDaysOnly = false,
+    mode = 'schedule'
+  ) {
+    const parts = TaskManager.parseRRule(
+      TaskManager.toRRule(recurring, workingDaysOnly)
+    );
+    if (!parts.FREQ) {
+      return '';
+    }
+
+    const dayNames = {
+      MO: 'Mon',
+      TU: 'Tue',
+      WE: 'Wed',
+      TH: 'Thu',
+      FR: 'Fri',
+      SA: 'Sat',
+      SU: 'Sun',
+    };
+    const units = {
+      DAILY: ['Daily', 'days'],
+      WEEKLY: ['Weekly', 'weeks'],
+      MONTHLY: ['Monthly', 'months'],
+      YEARLY: ['Yearly', 'years'],
+    };
+    const [single, plural] = units[parts.FREQ] || [parts.FREQ, 'periods'];
+    const interval = parseInt(parts.INTERVAL, 10) || 1;
+    let text = interval > 1 ? `Every ${interval} ${plural}` : single;
+
+    const ordinal = (n) =>
+      ({ 1: '1st', 2: '2nd', 3: '3rd', '-1': 'last', '-2': '2nd-last' })[n] ||
+      `${n}th`;
+
+    if (parts.BYDAY) {
+      const days = parts.BYDAY.split(',');
+      const dayText = (day) => {
+        const match = day.match(/^([+-]?\d*)([A-Z]{2})$/);
+        if (!match) {
+          return day;
+        }
+        const name = dayNames[match[2]] || match[2];
+        return match[1] ? `the ${ordinal(Number(match[1]))} ${name}` : name;
+      };
+      let byDayText = days.map(dayText).join(', ');
+      if (parts.BYDAY === 'MO,TU,WE,TH,FR') {
+        byDayText = parts.BYSETPOS ? 'weekday' : 'weekdays';
+      }
+      if (parts.BYSETPOS) {
+        const positions = parts.BYSETPOS.split(',').map(Number);
+        text += ` on the ${positions.map(ordinal).join(', ')} ${byDayText}`;
+      } else {
+        text += ` on ${byDayText}`;
+      }
+    }
+
+    if (parts.BYMONTHDAY) {
+      const days = parts.BYMONTHDAY.split(',').map((day) =>
+        Number(day) === -1 ? 'last day' : day
+      );
+      text += ` on day ${days.join(', ')}`;
+    }
+
+    if (mode === 'completion') {
+      text += ' after completion';
+    }
+
+    if (parts.COUNT) {
+      text += `, ${parts.COUNT} times`;
+    } else if (parts.UNTIL) {
+      const until = parts.UNTIL.replace(/-/g, '').slice(0, 8);
+      text += `, until ${until.slice(0, 4)}-${until.slice(4, 6)}-${until.slice(6, 8)}`;
+    }
+
+    return text;
   }
 
   /**
@@ -296,3 +1296,8 @@ class TaskManager {
     return result;
   }
 }
+
+// Random ID of this page, sent with every request (see request())
+TaskManager.clientId = `${Date.now().toString(36)}-${Math.random()
+  .toString(36)
+  .slice(2)}`;
@@ -9,6 +9,8 @@ class TaskTimer {
     this.activeTaskId = null;
     this.previousTimeSpent = 0;
     this.startedAt = null;
+    // Optional callback receiving the total seconds on every update
+    this.onTick = null;
   }
 
   /**
@@ -70,6 +72,10 @@ class TaskTimer {
     if (timerDisplay) {
       timerDisplay.textContent = display;
     }
+
+    if (this.onTick) {
+      this.onTick(totalSeconds);
+    }
   }
 
   /**
@@ -1,10 +1,13 @@
-/* global TaskManager, TaskTimer */
+/* global TaskManager, TaskTimer, CalendarView */
 
 /**
  * UI Module
  * Handles all UI interactions and rendering
  */
 
+// Entries shown per day in the month calendar before "+N more"
+const CALENDAR_MONTH_ENTRIES = 3;
+
 class UI {
   /**
    * Show modal
@@ -41,6 +44,8 @@ class UI {
     const form = document.getElementById('task-form');
     if (form) {
       form.reset();
+      UI.setRecurrenceBuilder('');
+      UI.setReminderOffsets([30], false);
     }
   }
 
@@ -55,6 +60,7 @@ class UI {
     const metaDiv = document.getElementById('active-task-meta');
     const detailsDiv = document.getElementById('active-task-extended-details');
     const linksDiv = document.getElementById('active-task-links');
+    const checklistDiv = document.getElementById('active-task-checklist');
 
     if (section && title) {
       title.textContent = task.description;
@@ -67,7 +73,12 @@ class UI {
       }
       if (task.recurring) {
         const recurringIcon = TaskManager.getRecurringIcon(task.recurring);
-        metaHtml += `<span class="active-priority">${recurringIcon} ${task.recurring}</span>`;
+        const recurrenceText = TaskManager.describeRecurrence(
+          task.recurring,
+          task.workingDaysOnly,
+          task.recurrenceMode
+        );
+        metaHtml += `<span class="active-priority">${recurringIcon} ${UI.escapeHtml(recurrenceText)}</span>`;
       }
       if (task.dueDate || task.dueTime) {
         const dateTimeStr = TaskManager.formatDateTime(
@@ -76,6 +87,34 @@ class UI {
         );
         metaHtml += `<span class="active-due">${dateTimeStr}</span>`;
       }
+      if (task.pomodoros) {
+        metaHtml += `<span class="active-priority" title="Pomodoros finished">🍅 ${task.pomodoros}</span>`;
+      }
+      const progress = TaskManager.getChecklistProgress(task);
+      if (progress) {
+        metaHtml += `<span class="checklist-progress${
+          progress.done === progress.total ? ' complete' : ''
+        }">☑ ${progress.done}/${progress.total}</span>`;
+      }
+
+      // Build checklist (tick-off happens here while the timer runs)
+      let checklistHtml = '';
+      if (progress) {
+        checklistHtml = task.checklist
+          .map(
+            (item) => `<label class="active-checklist-item${
+              item.done ? ' done' : ''
+            }">
+              <input type="checkbox" class="active-checklist-checkbox" data-task-id="${UI.escapeHtml(
+                task.id
+              )}" data-item-id="${UI.escapeHtml(item.id)}"${
+                item.done ? ' checked' : ''
+              } />
+              ${UI.escapeHtml(item.text)}
+            </label>`
+          )
+          .join('');
+      }
 
       // Build extended details
       let extendedDetailsHtml = '';
@@ -107,14 +146,233 @@ class UI {
       if (linksDiv) {
         linksDiv.innerHTML = linksHtml;
       }
-      if (details && (metaHtml || extendedDetailsHtml || linksHtml)) {
+      if (checklistDiv) {
+        checklistDiv.innerHTML = checklistHtml;
+      }
+      if (
+        details &&
+        (metaHtml || extendedDetailsHtml || linksHtml || checklistHtml)
+      ) {
         details.classList.remove('hidden');
       }
 
+      const sessionsDiv = document.getElementById('active-task-sessions');
+      if (sessionsDiv) {
+        sessionsDiv.innerHTML = UI.renderSessions(task);
+      }
+
+      UI.setEstimateProgress(task);
+
       section.classList.remove('hidden');
     }
   }
 
+  /**
+   * Set up the estimate progress bar for the active task
+   * The bar is hidden for tasks without an estimate.
+   * @param {Object} task - Task object
+   */
+  static setEstimateProgress(task) {
+    const progress = document.getElementById('estimate-progress');
+    if (!progress) {
+      return;
+    }
+
+    if (!task.estimateMinutes) {
+      progress.classList.add('hidden');
+      delete progress.dataset.estimateSeconds;
+      return;
+    }
+
+    progress.dataset.estimateSeconds = String(task.estimateMinutes * 60);
+    progress.classList.remove('hidden');
+
+    const runningSeconds =
+      task.inProgress && task.startedAt
+        ? Math.floor((Date.now() - new Date(task.startedAt).getTime()) / 1000)
+        : 0;
+    UI.updateEstimateProgress((task.timeSpent || 0) + runningSeconds);
+  }
+
+  /**
+   * Update the estimate progress bar with the tracked time
+   * Turns amber from 80% of the estimate and red once it is exceeded.
+   * @param {number} trackedSeconds - Total tracked seconds
+   */
+  static updateEstimateProgress(trackedSeconds) {
+    const progress = document.getElementById('estimate-progress');
+    const bar = document.getElementById('estimate-bar');
+    const label = document.getElementById('estimate-label');
+    const estimateSeconds = Number(
+      progress && progress.dataset.estimateSeconds
+    );
+    if (!estimateSeconds || !bar || !label) {
+      return;
+    }
+
+    const ratio = trackedSeconds / estimateSeconds;
+    bar.style.width = `${Math.min(ratio, 1) * 100}%`;
+    progress.classList.toggle('warning', ratio >= 0.8 && ratio <= 1);
+    progress.classList.toggle('over', ratio > 1);
+    label.textContent =
+      ratio > 1
+        ? `+${TaskTimer.formatTime(trackedSeconds - estimateSeconds)} over`
+        : `${Math.round(ratio * 100)}% of ${UI.formatMinutes(
+            estimateSeconds / 60
+          )}`;
+  }
+
+  /**
+   * Format a number of minutes as e.g. "1h 30m"
+   * @param {number} minutes - Minutes
+   * @returns {string} Formatted duration
+   */
+  static formatMinutes(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const rest = Math.round(minutes % 60);
+    if (!hours) {
+      return `${rest}m`;
+    }
+    return rest ? `${hours}h ${rest}m` : `${hours}h`;
+  }
+
+  /**
+   * Build the session log of a task (newest first, running session on top)
+   * @param {Object} task - Task object
+   * @returns {string} HTML string
+   */
+  static renderSessions(task) {
+    const dateOptions = { weekday: 'short', month: 'short', day: 'numeric' };
+    const timeOptions = { hour: '2-digit', minute: '2-digit' };
+    const formatTime = (iso) =>
+      new Date(iso).toLocaleTimeString('en-US', timeOptions);
+
+    const rows = [...(task.sessions || [])].reverse().map((session) => {
+      const start = new Date(session.start);
+      const seconds = Math.floor(
+        (new Date(session.end).getTime() - start.getTime()) / 1000
+      );
+      return `<div class="session-item" data-session-id="${UI.escapeHtml(
+        session.id
+      )}">
+          <span class="session-range">${start.toLocaleDateString(
+            'en-US',
+            dateOptions
+          )} ${formatTime(session.start)}–${formatTime(session.end)}</span>
+          <span class="session-duration">${TaskTimer.formatTime(seconds)}</span>
+          ${UI.renderSessionFlag(session)}
+          <button class="session-btn session-edit-btn" title="Edit session">✎</button>
+          <button class="session-btn session-delete-btn" title="Delete session">✗</button>
+        </div>`;
+    });
+
+    if (task.inProgress && task.startedAt) {
+      rows.unshift(`<div class="session-item running">
+          <span class="session-range">${new Date(
+            task.startedAt
+          ).toLocaleDateString('en-US', dateOptions)} ${formatTime(
+            task.startedAt
+          )}–now</span>
+          <span class="session-duration">▸ running</span>
+        </div>`);
+    }
+
+    return `<div class="sessions-header">
+        <span>Sessions (${rows.length})</span>
+        <button class="session-btn session-add-btn" title="Add a session by hand">+ ADD</button>
+      </div>
+      <div class="sessions-list">${rows.join('')}</div>`;
+  }
+
+  /**
+   * Build the warning marker of an unusually long session
+   * @param {Object} session - Session object
+   * @returns {string} HTML string (empty for normal sessions)
+   */
+  static renderSessionFlag(session) {
+    if (session.capped) {
+      return '<span class="session-flag" title="Cut off at the maximum session length – edit it if you really worked longer">⚠</span>';
+    }
+    if (session.flagged) {
+      return '<span class="session-flag" title="Longer than the maximum session length – was the timer left running?">⚠</span>';
+    }
+    return '';
+  }
+
+  /**
+   * Show the idle time prompt
+   * @param {Object} task - Running task
+   * @param {Date} idleSince - When the user went idle
+   */
+  static showIdleModal(task, idleSince) {
+    const modal = document.getElementById('idle-modal');
+    const message = document.getElementById('idle-message');
+    if (!modal || !message) {
+      return;
+    }
+
+    const awaySeconds = Math.floor((Date.now() - idleSince.getTime()) / 1000);
+    const since = idleSince.toLocaleString('en-US', {
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+    message.innerHTML = `You were away for <strong>${TaskTimer.formatTime(
+      awaySeconds
+    )}</strong> (since ${since}) while "${UI.escapeHtml(
+      task.description
+    )}" was running. What should happen to that time?`;
+    modal.classList.remove('hidden');
+  }
+
+  /**
+   * Show the prompt for a task changed elsewhere while it was being edited
+   * @param {Array<string>} theirFields - Form fields changed elsewhere
+   * @param {Array<string>} bothFields - Fields also changed in the form
+   */
+  static showConflictModal(theirFields, bothFields) {
+    const modal = document.getElementById('conflict-modal');
+    const message = document.getElementById('conflict-message');
+    if (!modal || !message) {
+      return;
+    }
+
+    const describe = (fields) =>
+      fields
+        .map((field) => field.replace(/([A-Z])/g, ' $1').toLowerCase())
+        .join(', ');
+    message.innerHTML = `This task was saved in another tab or window while you were editing it. Changed there: <strong>${describe(
+      theirFields
+    )}</strong>.${
+      bothFields.length > 0
+        ? ` You changed <strong>${describe(
+            bothFields
+          )}</strong> too; merging keeps your value.`
+        : ''
+    } Merge saves your edits on top of their changes, Overwrite saves the form as it is.`;
+    modal.classList.remove('hidden');
+  }
+
+  /**
+   * Hide the edit conflict prompt
+   */
+  static hideConflictModal() {
+    const modal = document.getElementById('conflict-modal');
+    if (modal) {
+      modal.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Hide the idle time prompt
+   */
+  static hideIdleModal() {
+    const modal = document.getElementById('idle-modal');
+    if (modal) {
+      modal.classList.add('hidden');
+    }
+  }
+
   /**
    * Hide active task section
    */
@@ -132,43 +390,51 @@ class UI {
   /**
    * Render task list
    * @param {Array} tasks - Array of tasks
+   * @param {Array} projects - Projects, used to show project names
    */
-  static renderTaskList(tasks) {
+  static renderTaskList(
+    tasks,
+    projects = [],
+    emptyMessage = 'No tasks yet. Create one to get started!'
+  ) {
     const taskList = document.getElementById('task-list');
     if (!taskList) {
       return;
     }
 
     if (tasks.length === 0) {
-      taskList.innerHTML =
-        '<div class="empty-state">No tasks yet. Create one to get started!</div>';
+      taskList.innerHTML = `<div class="empty-state">${UI.escapeHtml(
+        emptyMessage
+      )}</div>`;
       return;
     }
 
     taskList.innerHTML = tasks
-      .map((task) => UI.createTaskElement(task))
+      .map((task) => UI.createTaskElement(task, projects))
       .join('');
   }
 
   /**
    * Create task element HTML
    * @param {Object} task - Task object
+   * @param {Array} projects - Projects, used to show the project name
    * @returns {string} HTML string
    */
-  static createTaskElement(task) {
+  static createTaskElement(task, projects = []) {
     const priorityIcon = TaskManager.getPriorityIcon(task.priority);
     const recurringIcon = TaskManager.getRecurringIcon(task.recurring);
     const dateTimeStr = TaskManager.formatDateTime(task.dueDate, task.dueTime);
     const dateTimeHtml = dateTimeStr
       ? `<span class="task-due">${dateTimeStr}</span>`
       : '';
+    const progress = TaskManager.getChecklistProgress(task);
+    const progressHtml = progress
+      ? `<span class="checklist-progress${
+          progress.done === progress.total ? ' complete' : ''
+        }" title="Checklist">☑ ${progress.done}/${progress.total}</span>`
+      : '';
 
-    // Escape HTML in task description
-    const escapeHtml = (text) => {
-      const div = document.createElement('div');
-      div.textContent = text;
-      return div.innerHTML;
-    };
+    const { escapeHtml } = UI;
 
     // Format links for display
     const linksHtml =
@@ -187,6 +453,29 @@ class UI {
            </div>`
         : '';
 
+    // Format project and tags for display
+    const project = projects.find((p) => p.id === task.project);
+    const projectHtml = project
+      ? `<span class="project-badge">${escapeHtml(project.name)}</span>`
+      : '';
+    const tagsHtml = (task.tags || [])
+      .map((tag) => `<span class="tag-chip">#${escapeHtml(tag)}</span>`)
+      .join('');
+
+    // Format checklist for display
+    const checklistHtml = progress
+      ? `<div class="task-checklist">
+           ${task.checklist
+             .map(
+               (item) =>
+                 `<div class="task-checklist-item${item.done ? ' done' : ''}">${
+                   item.done ? '☑' : '☐'
+                 } ${escapeHtml(item.text)}</div>`
+             )
+             .join('')}
+         </div>`
+      : '';
+
     // Format details for display
     const detailsHtml =
       task.details && task.details.trim()
@@ -200,12 +489,15 @@ class UI {
       <div class="task-item" data-task-id="${escapeHtml(task.id)}">
         <div class="task-item-header">
           <span class="priority-icon">${priorityIcon}</span>
-          ${recurringIcon ? `<span class="priority-icon" title="Recurring: ${task.recurring}">${recurringIcon}</span>` : ''}
+          ${recurringIcon ? `<span class="priority-icon" title="Recurring: ${UI.escapeHtml(TaskManager.describeRecurrence(task.recurring, task.workingDaysOnly, task.recurrenceMode))}">${recurringIcon}</span>` : ''}
           ${task.isAppointment ? `<span class="appointment-badge" title="Calendar Appointment">🔔</span>` : ''}
           <div class="task-content" style="flex: 1">
             <div class="task-title">${escapeHtml(task.description)}</div>
             <div class="task-meta">
+              ${projectHtml}
               ${dateTimeHtml}
+              ${progressHtml}
+              ${tagsHtml}
             </div>
           </div>
           <button class="expand-btn" data-task-id="${escapeHtml(
@@ -214,6 +506,7 @@ class UI {
         </div>
         <div class="task-item-details hidden">
           ${detailsHtml}
+          ${checklistHtml}
           ${linksHtml}
         </div>
         <div class="task-actions">
@@ -234,6 +527,444 @@ class UI {
     `;
   }
 
+  /**
+   * Escape a text and wrap the given character ranges in <mark>
+   * @param {string} text - Text to show
+   * @param {Array<Array<number>>} ranges - Sorted [start, end) ranges
+   * @returns {string} HTML string
+   */
+  static highlight(text, ranges = []) {
+    let html = '';
+    let position = 0;
+    ranges.forEach(([start, end]) => {
+      html += `${UI.escapeHtml(text.slice(position, start))}<mark>${UI.escapeHtml(
+        text.slice(start, end)
+      )}</mark>`;
+      position = end;
+    });
+    return html + UI.escapeHtml(text.slice(position));
+  }
+
+  /**
+   * Show the task list, the calendar or the board
+   * @param {string} layout - 'list', 'calendar' or 'board'
+   */
+  static showLayout(layout) {
+    const sections = {
+      list: 'task-list-section',
+      calendar: 'calendar-section',
+      board: 'board-section',
+    };
+    Object.entries(sections).forEach(([name, id]) => {
+      const section = document.getElementById(id);
+      if (section) {
+        section.classList.toggle('hidden', name !== layout);
+      }
+    });
+  }
+
+  /**
+   * Render the board
+   * Columns carry data-column-id so cards can be dropped on them.
+   * @param {Array} columns - Columns { id, name, action, tasks }
+   * @param {Object} options - { activeTaskId, hiddenDone } where hiddenDone
+   *   counts completed tasks left out of the last column
+   */
+  static renderBoard(columns, { activeTaskId, hiddenDone }) {
+    const container = document.getElementById('board-columns');
+    if (!container) {
+      return;
+    }
+
+    container.innerHTML = columns
+      .map((column) => {
+        const cards = column.tasks
+          .map((task) => {
+            const classes = [
+              'board-card',
+              `priority-${task.priority || 'medium'}`,
+              task.id === activeTaskId ? 'active' : '',
+              task.completed ? 'completed' : '',
+            ].filter(Boolean);
+            const dateTimeStr = TaskManager.formatDateTime(
+              task.dueDate,
+              task.dueTime
+            );
+            const meta = [
+              dateTimeStr ? UI.escapeHtml(dateTimeStr) : '',
+              task.recurring ? '↻' : '',
+              ...(task.tags || []).map(
+                (tag) => `<span class="tag-chip">#${UI.escapeHtml(tag)}</span>`
+              ),
+            ].filter(Boolean);
+            // Tasks moved to archive files are no longer in tasks.json, so
+            // they can't change column
+            return `<div class="${classes.join(' ')}" draggable="${!task.archivedToFile}" data-task-id="${UI.escapeHtml(
+              task.id
+            )}" title="${UI.escapeHtml(task.description)}">
+              <div class="board-card-title">${TaskManager.getPriorityIcon(
+                task.priority
+              )} ${UI.escapeHtml(task.description)}</div>
+              ${
+                meta.length
+                  ? `<div class="board-card-meta">${meta.join(' ')}</div>`
+                  : ''
+              }
+            </div>`;
+          })
+          .join('');
+        const more =
+          column.action === 'complete' && hiddenDone > 0
+            ? `<div class="board-empty">+${hiddenDone} older</div>`
+            : '';
+
+        return `<div class="board-column" data-column-id="${UI.escapeHtml(
+          column.id
+        )}">
+          <div class="board-column-header">${UI.escapeHtml(
+            column.name
+          )} <span class="view-count">${column.tasks.length}</span></div>
+          <div class="board-cards">${
+            cards || '<div class="board-empty">Drop tasks here</div>'
+          }${more}</div>
+        </div>`;
+      })
+      .join('');
+  }
+
+  /**
+   * Mark the selected layout button
+   * @param {string} layout - Selected layout
+   */
+  static setLayoutButtons(layout) {
+    document.querySelectorAll('.layout-btn').forEach((btn) => {
+      btn.classList.toggle(
+        'active',
+        btn.getAttribute('data-layout') === layout
+      );
+    });
+  }
+
+  /**
+   * Render one calendar entry
+   * Saved tasks can be dragged to another day or hour; projected
+   * occurrences of recurring tasks can't.
+   * @param {Object} entry - Entry from TaskManager.getCalendar
+   * @param {Set<string>} deferredIds - IDs of deferred tasks (shown dimmed)
+   * @returns {string} HTML string
+   */
+  static createCalendarEntry(entry, deferredIds) {
+    const classes = [
+      'calendar-entry',
+      `priority-${entry.priority}`,
+      entry.projected ? 'projected' : '',
+      entry.isAppointment ? 'appointment' : '',
+      entry.inProgress ? 'in-progress' : '',
+      deferredIds.has(entry.taskId) ? 'deferred' : '',
+    ].filter(Boolean);
+    const icons = `${entry.isAppointment ? '📅' : ''}${
+      entry.recurring ? '↻' : ''
+    }`;
+    const title = `${entry.time ? `${entry.time} ` : ''}${entry.description}${
+      entry.projected ? ' (upcoming occurrence)' : ''
+    }`;
+
+    return `<div class="${classes.join(' ')}" data-task-id="${UI.escapeHtml(
+      entry.taskId
+    )}" draggable="${!entry.projected}" title="${UI.escapeHtml(title)}">${
+      entry.time
+        ? `<span class="calendar-time">${UI.escapeHtml(entry.time)}</span>`
+        : ''
+    }${icons ? `${icons} ` : ''}${UI.escapeHtml(entry.description)}</div>`;
+  }
+
+  /**
+   * Render the calendar
+   * Day cells (month and week) and hour slots (day) carry data-date and
+   * data-time so entries can be dropped on them.
+   * @param {string} mode - month, week or day
+   * @param {string} date - Date the calendar is on (YYYY-MM-DD)
+   * @param {Array} entries - Entries in the shown range
+   * @param {Object} options - { today, deferredIds }
+   */
+  static renderCalendar(mode, date, entries, { today, deferredIds }) {
+    const grid = document.getElementById('calendar-grid');
+    const title = document.getElementById('calendar-title');
+    const modeSelect = document.getElementById('calendar-mode');
+    if (!grid) {
+      return;
+    }
+    if (title) {
+      title.textContent = CalendarView.getTitle(mode, date);
+    }
+    if (modeSelect) {
+      modeSelect.value = mode;
+    }
+
+    const { days } = CalendarView.getRange(mode, date);
+    const byDate = {};
+    entries.forEach((entry) => {
+      (byDate[entry.date] = byDate[entry.date] || []).push(entry);
+    });
+    const renderEntries = (list) =>
+      list.map((entry) => UI.createCalendarEntry(entry, deferredIds)).join('');
+
+    if (mode === 'day') {
+      const dayEntries = byDate[date] || [];
+      const slots = [
+        { time: '', label: 'All day' },
+        ...Array.from({ length: 24 }, (_, hour) => {
+          const time = `${String(hour).padStart(2, '0')}:00`;
+          return { time, label: time };
+        }),
+      ];
+      grid.className = 'calendar-grid calendar-day-view';
+      grid.innerHTML = slots
+        .map(({ time, label }) => {
+          const slotEntries = dayEntries.filter((entry) =>
+            time
+              ? (entry.time || '').slice(0, 2) === time.slice(0, 2)
+              : !entry.time
+          );
+          return `<div class="calendar-slot" data-date="${date}" data-time="${time}">
+            <span class="calendar-hour">${label}</span>
+            <div class="calendar-slot-entries">${renderEntries(
+              slotEntries
+            )}</div>
+          </div>`;
+        })
+        .join('');
+      return;
+    }
+
+    const weekdayOptions = { weekday: 'short' };
+    if (mode === 'week') {
+      grid.className = 'calendar-grid calendar-week-view';
+      grid.innerHTML = days
+        .map((day) => {
+          const label = CalendarView.parseDate(day).toLocaleDateString(
+            'en-US',
+            { ...weekdayOptions, month: 'short', day: 'numeric' }
+          );
+          return `<div class="calendar-day${
+            day === today ? ' today' : ''
+          }" data-date="${day}">
+            <button class="calendar-day-number" data-date="${day}">${label}</button>
+            ${renderEntries(byDate[day] || [])}
+          </div>`;
+        })
+        .join('');
+      return;
+    }
+
+    // Month: weekday header plus six weeks; busy days show the first few
+    // entries and a link to the day view
+    const month = date.slice(0, 7);
+    const header = days
+      .slice(0, 7)
+      .map(
+        (day) =>
+          `<div class="calendar-weekday">${CalendarView.parseDate(
+            day
+          ).toLocaleDateString('en-US', weekdayOptions)}</div>`
+      )
+      .join('');
+    grid.className = 'calendar-grid calendar-month-view';
+    grid.innerHTML =
+      header +
+      days
+        .map((day) => {
+          const dayEntries = byDate[day] || [];
+          const hidden = dayEntries.length - CALENDAR_MONTH_ENTRIES;
+          const classes = [
+            'calendar-day',
+            day.startsWith(month) ? '' : 'other-month',
+            day === today ? 'today' : '',
+          ].filter(Boolean);
+          return `<div class="${classes.join(' ')}" data-date="${day}">
+            <button class="calendar-day-number" data-date="${day}">${Number(
+              day.slice(8)
+            )}</button>
+            ${renderEntries(dayEntries.slice(0, CALENDAR_MONTH_ENTRIES))}
+            ${
+              hidden > 0
+                ? `<button class="calendar-more" data-date="${day}">+${hidden} more</button>`
+                : ''
+            }
+          </div>`;
+        })
+        .join('');
+  }
+
+  /**
+   * Render search results in place of the task list
+   * @param {Array} results - Results of TaskManager.search
+   * @param {string|null} message - Shown instead when there are no results
+   *   (e.g. an invalid operator)
+   */
+  static renderSearchResults(results, message = null) {
+    const taskList = document.getElementById('task-list');
+    if (!taskList) {
+      return;
+    }
+
+    if (results.length === 0) {
+      taskList.innerHTML = `<div class="empty-state">${UI.escapeHtml(
+        message || 'No matching tasks'
+      )}</div>`;
+      return;
+    }
+
+    const sourceLabels = {
+      completed: '✓ Completed',
+      archive: '📦 Archived',
+    };
+    taskList.innerHTML = results
+      .map(({ task, source, highlights }) => {
+        const title = highlights.find((h) => h.field === 'description');
+        const snippets = highlights
+          .filter((h) => h.field !== 'description')
+          .map(
+            (h) =>
+              `<div class="search-snippet">${
+                h.field === 'links' ? '🔗 ' : ''
+              }${UI.highlight(h.text, h.ranges)}</div>`
+          )
+          .join('');
+        const dateTimeStr = TaskManager.formatDateTime(
+          task.dueDate,
+          task.dueTime
+        );
+        const tagsHtml = (task.tags || [])
+          .map((tag) => `<span class="tag-chip">#${UI.escapeHtml(tag)}</span>`)
+          .join('');
+        let actionHtml = '';
+        if (source === 'active') {
+          actionHtml = `<button class="expand-btn search-edit-btn" data-task-id="${UI.escapeHtml(
+            task.id
+          )}" title="Edit task">◇</button>`;
+        } else if (source === 'completed') {
+          actionHtml = `<button class="expand-btn search-restore-btn" data-task-id="${UI.escapeHtml(
+            task.id
+          )}" title="Restore task">↶</button>`;
+        }
+
+        return `
+      <div class="task-item search-result" data-task-id="${UI.escapeHtml(
+        task.id
+      )}">
+        <div class="task-item-header">
+          <span class="priority-icon">${TaskManager.getPriorityIcon(
+            task.priority
+          )}</span>
+          <div class="task-content" style="flex: 1">
+            <div class="task-title">${
+              title
+                ? UI.highlight(title.text, title.ranges)
+                : UI.escapeHtml(task.description)
+            }</div>
+            <div class="task-meta">
+              ${
+                sourceLabels[source]
+                  ? `<span class="search-source">${sourceLabels[source]}</span>`
+                  : ''
+              }
+              ${dateTimeStr ? `<span class="task-due">${dateTimeStr}</span>` : ''}
+              ${tagsHtml}
+            </div>
+            ${snippets}
+          </div>
+          ${actionHtml}
+        </div>
+      </div>`;
+      })
+      .join('');
+  }
+
+  /**
+   * Show what a quick-add entry will create (hidden while the entry is empty)
+   * @param {Object|null} parsed - Result of QuickAdd.parse, or null
+   */
+  static renderQuickAddPreview(parsed) {
+    const preview = document.getElementById('quick-add-preview');
+    if (!preview) {
+      return;
+    }
+
+    const isEmpty =
+      !parsed ||
+      (!parsed.description &&
+        !parsed.dueDate &&
+        !parsed.recurring &&
+        parsed.tags.length === 0);
+    preview.classList.toggle('hidden', isEmpty);
+    if (isEmpty) {
+      preview.innerHTML = '';
+      return;
+    }
+
+    const parts = [
+      parsed.description
+        ? `<span class="quick-add-description">${UI.escapeHtml(
+            parsed.description
+          )}</span>`
+        : '<span class="quick-add-missing">Description missing</span>',
+    ];
+    if (parsed.dueDate || parsed.dueTime) {
+      parts.push(
+        `<span class="task-due">${UI.escapeHtml(
+          TaskManager.formatDateTime(parsed.dueDate, parsed.dueTime)
+        )}</span>`
+      );
+    }
+    if (parsed.priority !== 'medium') {
+      parts.push(
+        `<span class="priority-icon">${TaskManager.getPriorityIcon(
+          parsed.priority
+        )}</span>${parsed.priority}`
+      );
+    }
+    if (parsed.recurring) {
+      parts.push(
+        `<span>↻ ${UI.escapeHtml(
+          TaskManager.describeRecurrence(parsed.recurring)
+        )}</span>`
+      );
+    }
+    parsed.tags.forEach((tag) => {
+      parts.push(`<span class="tag-chip">#${UI.escapeHtml(tag)}</span>`);
+    });
+    if (parsed.description) {
+      parts.push('<span class="quick-add-hint">↵ add</span>');
+    }
+    preview.innerHTML = parts.join('');
+  }
+
+  /**
+   * Highlight selected tasks and show the bulk action bar while any are
+   * selected
+   * @param {Set<string>} selectedIds - IDs of selected tasks
+   */
+  static renderSelection(selectedIds) {
+    document
+      .querySelectorAll('.task-item, .archived-task:not(.deferred-task)')
+      .forEach((element) => {
+        element.classList.toggle(
+          'selected',
+          selectedIds.has(element.getAttribute('data-task-id'))
+        );
+      });
+
+    const bar = document.getElementById('bulk-bar');
+    const count = document.getElementById('bulk-count');
+    if (bar) {
+      bar.classList.toggle('hidden', selectedIds.size === 0);
+    }
+    if (count) {
+      count.textContent = `${selectedIds.size} selected`;
+    }
+  }
+
   /**
    * Render archive section
    * @param {Array} tasks - Array of archived tasks
@@ -261,13 +992,57 @@ class UI {
       .join('');
   }
 
+  /**
+   * Render the deferred tasks section (hidden when there are none)
+   * @param {Array} tasks - Tasks hidden until a later date
+   */
+  static renderDeferred(tasks) {
+    const section = document.getElementById('deferred-section');
+    const count = document.getElementById('deferred-count');
+    const list = document.getElementById('deferred-list');
+    if (!section || !list) {
+      return;
+    }
+
+    section.classList.toggle('hidden', tasks.length === 0);
+    if (count) {
+      count.textContent = tasks.length > 0 ? `(${tasks.length})` : '';
+    }
+
+    list.innerHTML = tasks
+      .map((task) => {
+        const until = new Date(`${task.hiddenUntil}T00:00`).toLocaleDateString(
+          'en-US',
+          { weekday: 'short', month: 'short', day: 'numeric' }
+        );
+        return `
+      <div class="archived-task deferred-task" data-task-id="${UI.escapeHtml(
+        task.id
+      )}">
+        <div class="archived-task-info">
+          <div class="deferred-task-title">${UI.escapeHtml(
+            task.description
+          )}</div>
+          <div class="archived-task-time">Hidden until ${until}</div>
+        </div>
+        <button class="restore-btn deferred-edit-btn" data-task-id="${UI.escapeHtml(
+          task.id
+        )}" title="Edit task (clear Hide Until to show it now)">✎ EDIT</button>
+      </div>`;
+      })
+      .join('');
+  }
+
   /**
    * Create archived task element HTML
    * @param {Object} task - Task object
    * @returns {string} HTML string
    */
   static createArchivedTaskElement(task) {
-    const timeSpent = TaskTimer.formatTime(task.timeSpent || 0);
+    let timeSpent = TaskTimer.formatTime(task.timeSpent || 0);
+    if (task.estimateMinutes) {
+      timeSpent += ` / est. ${UI.formatMinutes(task.estimateMinutes)}`;
+    }
     const completedDate = task.completedAt
       ? new Date(task.completedAt).toLocaleDateString('en-US', {
           month: 'short',
@@ -281,12 +1056,7 @@ class UI {
         })
       : '';
 
-    // Escape HTML in task description
-    const escapeHtml = (text) => {
-      const div = document.createElement('div');
-      div.textContent = text;
-      return div.innerHTML;
-    };
+    const { escapeHtml } = UI;
 
     return `
       <div class="archived-task" data-task-id="${escapeHtml(task.id)}">
@@ -309,6 +1079,130 @@ class UI {
     `;
   }
 
+  /**
+   * Fill the project dropdowns (filter bar and task form)
+   * @param {Array} projects - Array of projects
+   */
+  static renderProjectOptions(projects) {
+    const options = projects
+      .map(
+        (p) =>
+          `<option value="${UI.escapeHtml(p.id)}">${UI.escapeHtml(p.name)}</option>`
+      )
+      .join('');
+
+    const filterSelect = document.getElementById('filter-project');
+    if (filterSelect) {
+      const current = filterSelect.value;
+      filterSelect.innerHTML = `<option value="">All projects</option>
+        <option value="none">No project</option>${options}`;
+      filterSelect.value = current;
+    }
+
+    const formSelect = document.getElementById('project');
+    if (formSelect) {
+      const current = formSelect.value;
+      formSelect.innerHTML = `<option value="">No project</option>${options}
+        <option value="__new__">+ New project…</option>`;
+      formSelect.value = current;
+    }
+  }
+
+  /**
+   * Fill the tag filter dropdown
+   * @param {Array<string>} tags - Tags in use
+   * @param {string} selected - Currently filtered tag
+   */
+  static renderTagOptions(tags, selected) {
+    const select = document.getElementById('filter-tag');
+    if (!select) return;
+
+    select.innerHTML = `<option value="">All tags</option>${tags
+      .map(
+        (tag) =>
+          `<option value="${UI.escapeHtml(tag)}">#${UI.escapeHtml(tag)}</option>`
+      )
+      .join('')}`;
+    select.value = tags.includes(selected) ? selected : '';
+  }
+
+  /**
+   * Set the filter bar controls to a filter
+   * @param {Object} filter - { project, tag, priority }
+   */
+  static setFilterControls(filter) {
+    const fields = {
+      'filter-project': filter.project,
+      'filter-tag': filter.tag,
+      'filter-priority': filter.priority,
+    };
+    Object.entries(fields).forEach(([id, value]) => {
+      const el = document.getElementById(id);
+      if (el) {
+        el.value = value || '';
+      }
+    });
+  }
+
+  /**
+   * Render the view tabs with their task counts
+   * @param {Array} views - Views from the server
+   * @param {string} currentId - ID of the shown view
+   * @param {Array} projects - Projects, to name them in tooltips
+   */
+  static renderViewTabs(views, currentId, projects) {
+    const nav = document.getElementById('view-tabs');
+    if (!nav) return;
+
+    const tabs = views.map((view) => {
+      const active = view.id === currentId ? ' active' : '';
+      const custom = view.builtIn ? '' : ' custom';
+      const title = view.builtIn
+        ? ''
+        : ` title="${UI.escapeHtml(UI.describeView(view, projects))}"`;
+      return `<button class="view-tab${active}${custom}" data-view-id="${UI.escapeHtml(
+        view.id
+      )}"${title}>${UI.escapeHtml(view.name)} <span class="view-count">${
+        view.count
+      }</span></button>`;
+    });
+
+    const current = views.find((view) => view.id === currentId);
+    if (current && !current.builtIn) {
+      tabs.push(
+        `<button id="delete-view-btn" class="filter-btn" title="${UI.escapeHtml(
+          `Delete view "${current.name}"`
+        )}">✗</button>`
+      );
+    }
+    tabs.push(
+      '<button id="save-view-btn" class="filter-btn" title="Save the search and filter as a view">+ VIEW</button>'
+    );
+    nav.innerHTML = tabs.join('');
+  }
+
+  /**
+   * Describe what a custom view selects, e.g. for its tooltip
+   * @param {Object} view - Custom view
+   * @param {Array} projects - Projects, to name the filtered one
+   * @returns {string} e.g. "#work · high priority · search: dentist"
+   */
+  static describeView(view, projects) {
+    const { project, tag, priority } = view.filter || {};
+    const projectName =
+      project === 'none'
+        ? 'No project'
+        : (projects.find((p) => p.id === project) || {}).name;
+    return [
+      projectName,
+      tag && `#${tag}`,
+      priority && `${priority} priority`,
+      view.query && `search: ${view.query}`,
+    ]
+      .filter(Boolean)
+      .join(' · ');
+  }
+
   /**
    * Toggle archive visibility
    */
@@ -347,6 +1241,195 @@ class UI {
     }
   }
 
+  /**
+   * Show time report modal
+   * Defaults to the last 7 days when no range has been picked yet.
+   */
+  static showReportModal() {
+    const modal = document.getElementById('report-modal');
+    const fromInput = document.getElementById('report-from');
+    const toInput = document.getElementById('report-to');
+    if (!modal) {
+      return;
+    }
+
+    if (fromInput && toInput && !fromInput.value && !toInput.value) {
+      const today = new Date();
+      const weekAgo = new Date();
+      weekAgo.setDate(weekAgo.getDate() - 6);
+      fromInput.value = UI.toDateInputValue(weekAgo);
+      toInput.value = UI.toDateInputValue(today);
+    }
+    modal.classList.remove('hidden');
+  }
+
+  /**
+   * Hide time report modal
+   */
+  static hideReportModal() {
+    const modal = document.getElementById('report-modal');
+    if (modal) {
+      modal.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Format a date for a date input (local YYYY-MM-DD)
+   * @param {Date} date - Date to format
+   * @returns {string} Date string
+   */
+  static toDateInputValue(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Get the date range selected in the time report modal
+   * @returns {{from: string, to: string}} Range in YYYY-MM-DD format
+   */
+  static getReportRange() {
+    return {
+      from: document.getElementById('report-from').value,
+      to: document.getElementById('report-to').value,
+    };
+  }
+
+  /**
+   * Render a time report into the report modal
+   * @param {Object} report - Report from the server
+   */
+  static renderTimeReport(report) {
+    const container = document.getElementById('report-content');
+    if (!container) {
+      return;
+    }
+
+    if (report.totalSeconds === 0) {
+      container.innerHTML =
+        '<div class="report-empty">No time tracked in this range</div>';
+      return;
+    }
+
+    const table = (title, rows) => `
+      <div class="report-section">
+        <h4>${title}</h4>
+        <table class="report-table">
+          ${rows
+            .map(
+              ([label, seconds]) => `
+            <tr>
+              <td>${UI.escapeHtml(label)}</td>
+              <td>${TaskTimer.formatTime(seconds)}</td>
+            </tr>`
+            )
+            .join('')}
+        </table>
+      </div>`;
+
+    container.innerHTML = `
+      <div class="report-total">Total: ${TaskTimer.formatTime(
+        report.totalSeconds
+      )}</div>
+      ${table(
+        'By task',
+        report.byTask.map((task) => [
+          `${task.completed ? '✓ ' : ''}${task.description}`,
+          task.seconds,
+        ])
+      )}
+      ${table(
+        'By priority',
+        report.byPriority
+          .filter((entry) => entry.seconds > 0)
+          .map((entry) => [entry.priority, entry.seconds])
+      )}
+      ${table(
+        'By week',
+        report.byWeek.map((entry) => [
+          `Week of ${entry.weekStart}`,
+          entry.seconds,
+        ])
+      )}
+      ${table(
+        'By day',
+        report.byDay.map((entry) => [entry.date, entry.seconds])
+      )}
+    `;
+  }
+
+  /**
+   * Render the estimate accuracy summary into the report modal
+   * @param {Object} report - Estimate report from the server
+   */
+  static renderEstimateReport(report) {
+    const container = document.getElementById('report-estimates');
+    if (!container) {
+      return;
+    }
+
+    if (report.count === 0) {
+      container.innerHTML =
+        '<div class="report-section"><h4>Estimate accuracy</h4><div class="report-empty">No completed tasks with an estimate yet</div></div>';
+      return;
+    }
+
+    const formatRatio = (ratio) =>
+      ratio === null ? '–' : `${Math.round(ratio * 100)}%`;
+    const rows = [
+      ['Completed tasks with an estimate', report.count],
+      [
+        'Tracked vs. estimated (total)',
+        `${TaskTimer.formatTime(report.actualSeconds)} / ${TaskTimer.formatTime(
+          report.estimatedSeconds
+        )} (${formatRatio(report.overallRatio)})`,
+      ],
+      ['Typical task (median)', formatRatio(report.medianRatio)],
+      ['Within ±20%', report.accurate],
+      ['Over by more than 20%', report.over],
+      ['Under by more than 20%', report.under],
+      ...report.byPriority
+        .filter((entry) => entry.count > 0)
+        .map((entry) => [
+          `Median, ${entry.priority} priority (${entry.count})`,
+          formatRatio(entry.medianRatio),
+        ]),
+      ...report.overruns.map((entry) => [
+        `Overrun: ${entry.description}`,
+        formatRatio(entry.ratio),
+      ]),
+    ];
+
+    container.innerHTML = `
+      <div class="report-section">
+        <h4>Estimate accuracy (tracked time as % of estimate)</h4>
+        <table class="report-table">
+          ${rows
+            .map(
+              ([label, value]) => `
+            <tr>
+              <td>${UI.escapeHtml(label)}</td>
+              <td>${UI.escapeHtml(String(value))}</td>
+            </tr>`
+            )
+            .join('')}
+        </table>
+      </div>`;
+  }
+
+  /**
+   * Escape text for safe insertion into HTML, including quoted attribute
+   * values
+   * @param {string} text - Raw text
+   * @returns {string} Escaped HTML
+   */
+  static escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    // innerHTML leaves quotes as they are; encode them for attribute values
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+
   /**
    * Show error message
    * @param {string} message - Error message
@@ -355,6 +1438,52 @@ class UI {
     alert(`Error: ${message}`);
   }
 
+  /**
+   * Show a toast with an UNDO button at the bottom of the screen
+   * Replaces any toast already showing.
+   * @param {string} message - Message to display
+   * @param {Function|null} onUndo - Called when UNDO is clicked (no button if null)
+   */
+  static showToast(message, onUndo = null) {
+    UI.hideToast();
+
+    const toast = document.createElement('div');
+    toast.id = 'undo-toast';
+    toast.className = 'undo-toast';
+
+    const text = document.createElement('span');
+    text.className = 'undo-toast-text';
+    text.textContent = message;
+    toast.appendChild(text);
+
+    if (onUndo) {
+      const undoBtn = document.createElement('button');
+      undoBtn.className = 'undo-toast-btn';
+      undoBtn.textContent = '↶ UNDO';
+      undoBtn.title = 'Undo (Ctrl+Z)';
+      undoBtn.addEventListener('click', () => {
+        UI.hideToast();
+        onUndo();
+      });
+      toast.appendChild(undoBtn);
+    }
+
+    document.body.appendChild(toast);
+
+    UI.toastTimeout = setTimeout(() => UI.hideToast(), 6000);
+  }
+
+  /**
+   * Remove the toast if one is showing
+   */
+  static hideToast() {
+    clearTimeout(UI.toastTimeout);
+    const toast = document.getElementById('undo-toast');
+    if (toast) {
+      toast.remove();
+    }
+  }
+
   /**
    * Get form data
    * @returns {Object} Form data
@@ -363,35 +1492,87 @@ class UI {
     const description = document.getElementById('description').value;
     const dueDate = document.getElementById('due-date').value;
     const dueTime = document.getElementById('due-time').value;
+    const hiddenUntil = document.getElementById('hidden-until').value;
     const priority = document.getElementById('priority').value;
     const linksInput = document.getElementById('links').value;
-    const recurring = document.getElementById('recurring').value;
+    const recurring = document.getElementById('recurring').value.trim();
     const details = document.getElementById('details').value;
     const isAppointment = document.getElementById('is-appointment').checked;
-    const reminderMinutes = parseInt(
-      document.getElementById('reminder-minutes').value,
+    const reminderMinutes = UI.getReminderOffsets();
+    const links = TaskManager.parseLinks(linksInput);
+    const checklist = TaskManager.parseChecklist(
+      document.getElementById('checklist').value
+    );
+    const tags = TaskManager.parseTags(document.getElementById('tags').value);
+    const project = document.getElementById('project').value;
+    const estimateMinutes = parseInt(
+      document.getElementById('estimate-minutes').value,
       10
     );
-    const workingDaysOnly =
-      document.getElementById('working-days-only').checked;
-    const links = TaskManager.parseLinks(linksInput);
 
     const formData = {
       description,
       dueDate: dueDate || null,
       dueTime: dueTime || null,
+      hiddenUntil: hiddenUntil || null,
       priority,
+      estimateMinutes: estimateMinutes > 0 ? estimateMinutes : null,
       recurring: recurring || null,
+      recurrenceMode: document.getElementById('recurrence-mode').value,
       details: details || null,
       isAppointment,
       reminderMinutes: isAppointment ? reminderMinutes : null,
-      workingDaysOnly: recurring === 'daily' ? workingDaysOnly : false,
+      workingDaysOnly: false,
       links,
+      checklist,
+      tags,
+      project: project || null,
     };
 
     return formData;
   }
 
+  /**
+   * Get the ticked reminder offsets of the task form
+   * @returns {Array<number>} Minutes before the appointment, largest first
+   */
+  static getReminderOffsets() {
+    return Array.from(
+      document.querySelectorAll('#reminder-minutes input:checked')
+    )
+      .map((checkbox) => Number(checkbox.value))
+      .sort((a, b) => b - a);
+  }
+
+  /**
+   * Tick reminder offsets in the task form
+   * Offsets without a checkbox (e.g. from an imported invite) get one, so
+   * editing the task keeps them.
+   * @param {Array<number>} offsets - Minutes before the appointment
+   * @param {boolean} enabled - Whether the offsets can be changed
+   */
+  static setReminderOffsets(offsets, enabled) {
+    const fieldset = document.getElementById('reminder-minutes');
+    fieldset
+      .querySelectorAll('label[data-custom]')
+      .forEach((label) => label.remove());
+
+    offsets.forEach((minutes) => {
+      if (!fieldset.querySelector(`input[value="${minutes}"]`)) {
+        const label = document.createElement('label');
+        label.className = 'recurrence-day';
+        label.dataset.custom = 'true';
+        label.innerHTML = `<input type="checkbox" value="${minutes}" />${UI.formatMinutes(minutes)}`;
+        fieldset.appendChild(label);
+      }
+    });
+
+    fieldset.querySelectorAll('input').forEach((checkbox) => {
+      checkbox.checked = offsets.includes(Number(checkbox.value));
+    });
+    fieldset.disabled = !enabled;
+  }
+
   /**
    * Populate form with task data for editing
    * @param {Object} task - Task object
@@ -400,21 +1581,216 @@ class UI {
     document.getElementById('description').value = task.description || '';
     document.getElementById('due-date').value = task.dueDate || '';
     document.getElementById('due-time').value = task.dueTime || '';
+    document.getElementById('hidden-until').value = task.hiddenUntil || '';
     document.getElementById('priority').value = task.priority || 'medium';
-    document.getElementById('recurring').value = task.recurring || '';
+    document.getElementById('estimate-minutes').value =
+      task.estimateMinutes || '';
+    UI.setRecurrenceBuilder(
+      TaskManager.toRRule(task.recurring, task.workingDaysOnly)
+    );
+    document.getElementById('recurrence-mode').value =
+      task.recurrenceMode || 'schedule';
     document.getElementById('details').value = task.details || '';
     document.getElementById('is-appointment').checked =
       task.isAppointment || false;
-    document.getElementById('reminder-minutes').value =
-      task.reminderMinutes || 30;
-    document.getElementById('reminder-minutes').disabled = !task.isAppointment;
-    document.getElementById('working-days-only').checked =
-      task.workingDaysOnly || false;
-    document.getElementById('working-days-only').disabled =
-      task.recurring !== 'daily';
+    UI.setReminderOffsets(
+      [].concat(task.reminderMinutes || 30),
+      Boolean(task.isAppointment)
+    );
     document.getElementById('links').value = TaskManager.linksToString(
       task.links
     );
+    document.getElementById('checklist').value = TaskManager.checklistToString(
+      task.checklist
+    );
+    document.getElementById('tags').value = TaskManager.tagsToString(task.tags);
+    document.getElementById('project').value = task.project || '';
+  }
+
+  /**
+   * Build an RRULE string from the recurrence builder controls
+   * @returns {string} RRULE string (empty if the task doesn't repeat)
+   */
+  static buildRecurrenceRule() {
+    const freq = document.getElementById('recurrence-freq').value;
+    if (!freq) {
+      return '';
+    }
+
+    const parts = [`FREQ=${freq}`];
+    const interval = parseInt(
+      document.getElementById('recurrence-interval').value,
+      10
+    );
+    if (interval > 1) {
+      parts.push(`INTERVAL=${interval}`);
+    }
+
+    if (freq === 'WEEKLY') {
+      const days = Array.from(
+        document.querySelectorAll('#recurrence-weekdays input:checked')
+      ).map((checkbox) => checkbox.value);
+      if (days.length > 0) {
+        parts.push(`BYDAY=${days.join(',')}`);
+      }
+    }
+
+    if (freq === 'MONTHLY') {
+      const mode = document.getElementById('recurrence-month-mode').value;
+      if (mode === 'monthday') {
+        const days = document
+          .getElementById('recurrence-monthdays')
+          .value.split(',')
+          .map((day) => parseInt(day, 10))
+          .filter((day) => day && Math.abs(day) <= 31);
+        if (days.length > 0) {
+          parts.push(`BYMONTHDAY=${days.join(',')}`);
+        }
+      } else if (mode === 'weekday') {
+        const pos = document.getElementById('recurrence-setpos').value;
+        const day = document.getElementById('recurrence-setday').value;
+        parts.push(
+          day.includes(',')
+            ? `BYDAY=${day};BYSETPOS=${pos}`
+            : `BYDAY=${pos}${day}`
+        );
+      }
+    }
+
+    const end = document.getElementById('recurrence-end').value;
+    if (end === 'count') {
+      const count = parseInt(
+        document.getElementById('recurrence-count').value,
+        10
+      );
+      if (count > 0) {
+        parts.push(`COUNT=${count}`);
+      }
+    } else if (end === 'until') {
+      const until = document.getElementById('recurrence-until').value;
+      if (until) {
+        parts.push(`UNTIL=${until.replace(/-/g, '')}`);
+      }
+    }
+
+    return parts.join(';');
+  }
+
+  /**
+   * Load an RRULE string into the recurrence builder controls
+   * @param {string} rule - RRULE string (empty for no recurrence)
+   * @param {boolean} updateRuleField - Also overwrite the raw rule input
+   */
+  static setRecurrenceBuilder(rule, updateRuleField = true) {
+    const parts = TaskManager.parseRRule(rule);
+    const byDay = parts.BYDAY ? parts.BYDAY.split(',') : [];
+
+    if (updateRuleField) {
+      document.getElementById('recurring').value = rule || '';
+    }
+    document.getElementById('recurrence-freq').value = parts.FREQ || '';
+    document.getElementById('recurrence-interval').value =
+      parseInt(parts.INTERVAL, 10) || 1;
+
+    document
+      .querySelectorAll('#recurrence-weekdays input')
+      .forEach((checkbox) => {
+        checkbox.checked =
+          parts.FREQ === 'WEEKLY' && byDay.includes(checkbox.value);
+      });
+
+    const monthMode = document.getElementById('recurrence-month-mode');
+    const numbered = byDay.length === 1 && byDay[0].match(/^([+-]?\d+)(\w\w)$/);
+    monthMode.value = '';
+    if (parts.BYMONTHDAY) {
+      monthMode.value = 'monthday';
+      document.getElementById('recurrence-monthdays').value =
+        parts.BYMONTHDAY.split(',').join(', ');
+    } else if (numbered) {
+      monthMode.value = 'weekday';
+      document.getElementById('recurrence-setpos').value = numbered[1];
+      document.getElementById('recurrence-setday').value = numbered[2];
+    } else if (parts.BYSETPOS && byDay.length > 0) {
+      monthMode.value = 'weekday';
+      document.getElementById('recurrence-setpos').value = parts.BYSETPOS;
+      document.getElementById('recurrence-setday').value = parts.BYDAY;
+    }
+
+    const endSelect = document.getElementById('recurrence-end');
+    endSelect.value = '';
+    if (parts.COUNT) {
+      endSelect.value = 'count';
+      document.getElementById('recurrence-count').value = parts.COUNT;
+    } else if (parts.UNTIL) {
+      const until = parts.UNTIL.replace(/-/g, '').slice(0, 8);
+      endSelect.value = 'until';
+      document.getElementById('recurrence-until').value =
+        `${until.slice(0, 4)}-${until.slice(4, 6)}-${until.slice(6, 8)}`;
+    }
+
+    UI.updateRecurrenceBuilderVisibility();
+  }
+
+  /**
+   * Show only the recurrence builder controls relevant to the current rule
+   */
+  static updateRecurrenceBuilderVisibility() {
+    const freq = document.getElementById('recurrence-freq').value;
+    const rule = document.getElementById('recurring').value.trim();
+    const monthMode = document.getElementById('recurrence-month-mode').value;
+    const end = document.getElementById('recurrence-end').value;
+    const units = {
+      DAILY: 'days',
+      WEEKLY: 'weeks',
+      MONTHLY: 'months',
+      YEARLY: 'years',
+    };
+    const toggle = (id, visible) =>
+      document.getElementById(id).classList.toggle('hidden', !visible);
+
+    toggle('recurrence-builder', Boolean(freq || rule));
+    toggle('recurrence-weekdays', freq === 'WEEKLY');
+    toggle('recurrence-monthly', freq === 'MONTHLY');
+    toggle('recurrence-monthdays', monthMode === 'monthday');
+    toggle('recurrence-setpos', monthMode === 'weekday');
+    toggle('recurrence-setday', monthMode === 'weekday');
+    toggle('recurrence-count', end === 'count');
+    toggle('recurrence-until', end === 'until');
+    document.getElementById('recurrence-unit').textContent =
+      units[freq] || 'periods';
+
+    if (!rule) {
+      UI.renderRecurrencePreview(null);
+    }
+  }
+
+  /**
+   * Render the recurrence summary and upcoming dates under the builder
+   * @param {Object|null} preview - { rule, dates } or { error }; null clears it
+   */
+  static renderRecurrencePreview(preview) {
+    const container = document.getElementById('recurrence-preview');
+    if (!container) {
+      return;
+    }
+
+    if (!preview) {
+      container.innerHTML = '';
+      return;
+    }
+
+    if (preview.error) {
+      container.innerHTML = `<span class="recurrence-error">✗ ${UI.escapeHtml(preview.error)}</span>`;
+      return;
+    }
+
+    const summary = TaskManager.describeRecurrence(
+      preview.rule,
+      false,
+      document.getElementById('recurrence-mode').value
+    );
+    const dates = preview.dates.join(' · ');
+    container.innerHTML = `<div>↻ ${UI.escapeHtml(summary)}</div><div class="recurrence-dates">Next: ${UI.escapeHtml(dates) || 'none'}</div>`;
   }
 
   /**
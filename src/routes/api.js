@@ -3,15 +3,191 @@ const {
   readTasks,
   getTask,
   saveTask,
+  updateTask,
   deleteTask,
   writeTasks,
   readArchivedTasks,
   archiveTasks,
   readConfig,
-} = require('../utils/fileManager');
+  writeConfig,
+} = require('../utils/storage');
+const { recordMutation, undo, redo } = require('../utils/journal');
+const {
+  RECURRENCE_MODES,
+  validateRecurring,
+  nextInstanceDate,
+  occurrencesBetween,
+} = require('../utils/recurrence');
+const {
+  getSessions,
+  applySessions,
+  closeActiveSession,
+  createSessionId,
+  getTimeTrackingSettings,
+  normalizeSessionTimes,
+  assertNoOverlap,
+} = require('../utils/sessions');
+const {
+  getTaskUid,
+  buildCalendar,
+  parseCalendar,
+  componentToTask,
+} = require('../utils/icalendar');
+const {
+  buildTimeReport,
+  buildEstimateReport,
+  reportToCsv,
+} = require('../utils/timeReport');
+const { addClient, broadcast } = require('../utils/eventStream');
+const { searchTasks } = require('../utils/search');
+const { validateView, evaluateViews } = require('../utils/views');
+const { buildCalendarView } = require('../utils/calendarView');
+const { getBoardColumns } = require('../utils/board');
+const {
+  getDueDateTime,
+  checkReminders,
+  snoozeReminder,
+} = require('../utils/reminderScheduler');
+const {
+  normalizeReminderMinutes,
+  validateReminderMinutes,
+} = require('../utils/reminders');
 
 const router = express.Router();
 
+// Actions accepted by POST /api/tasks/bulk
+const BULK_ACTIONS = [
+  'complete',
+  'delete',
+  'reschedule',
+  'priority',
+  'tag',
+  'archive',
+];
+
+/**
+ * Normalize tags: lowercase, no leading '#', no blanks or duplicates
+ * @param {Array} tags - Submitted tags
+ * @returns {Array<string>} Normalized tags
+ */
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) {
+    return [];
+  }
+  const normalized = tags
+    .filter((tag) => typeof tag === 'string')
+    .map((tag) => tag.trim().replace(/^#+/, '').toLowerCase())
+    .filter((tag) => tag.length > 0);
+  return [...new Set(normalized)];
+}
+
+/**
+ * Check whether a task's timer is running
+ * @param {Object|null} task - Task object
+ * @returns {boolean} True while the task is being timed
+ */
+function isRunning(task) {
+  return Boolean(task && task.inProgress && task.startedAt);
+}
+
+/**
+ * Push task changes to connected clients
+ * Sends a `tasks` event with the new state of every changed task (null when
+ * it left tasks.json) and, when a timer started or stopped, a `timer` event
+ * naming the running task.
+ * @param {Object} req - Express request (its X-Client-Id header tells the
+ *   client that made the change to ignore the event)
+ * @param {string} action - Mutation name
+ * @param {Array<Object>} changes - { id, before, after } per changed task
+ * @param {Object} archived - Tasks moved to archive files, keyed by date
+ */
+function broadcastTaskChanges(req, action, changes, archived = null) {
+  const origin = req.get('X-Client-Id') || null;
+  broadcast('tasks', {
+    origin,
+    action,
+    changes: changes.map(({ id, after }) => ({ id, task: after })),
+    archived: archived ? Object.values(archived).flat() : [],
+  });
+
+  const timerChanged = changes.some(
+    ({ before, after }) =>
+      isRunning(before) !== isRunning(after) ||
+      (isRunning(after) && before.startedAt !== after.startedAt)
+  );
+  if (timerChanged) {
+    const running = readTasks().find(isRunning);
+    broadcast('timer', {
+      origin,
+      taskId: running ? running.id : null,
+      startedAt: running ? running.startedAt : null,
+    });
+  }
+}
+
+/**
+ * Record a task mutation in the journal and push it to connected clients
+ * Takes the request followed by the arguments of recordMutation.
+ * @param {Object} req - Express request
+ * @param {string} action - Mutation name (e.g. 'delete', 'complete')
+ * @param {string} label - Human-readable description for the undo toast
+ * @param {Array} beforeTasks - tasks.json contents before the mutation
+ * @param {Array} afterTasks - tasks.json contents after the mutation
+ * @param {Object} archived - Tasks written to archive files, keyed by date
+ * @param {Object} projects - { before, after } project lists, when the
+ *   mutation also changed them
+ * @returns {Object|null} Recorded entry, or null if nothing changed
+ */
+function commitMutation(
+  req,
+  action,
+  label,
+  beforeTasks,
+  afterTasks,
+  archived = null,
+  projects = null
+) {
+  const entry = recordMutation(
+    action,
+    label,
+    beforeTasks,
+    afterTasks,
+    archived,
+    projects
+  );
+  if (entry) {
+    broadcastTaskChanges(req, action, entry.changes, archived);
+  }
+  return entry;
+}
+
+/**
+ * Save the config and push it to connected clients as a `config` event
+ * @param {Object} req - Express request
+ * @param {Object} config - Configuration object
+ */
+function commitConfig(req, config) {
+  writeConfig(config);
+  broadcast('config', {
+    origin: req.get('X-Client-Id') || null,
+    config,
+  });
+}
+
+/**
+ * Push the config to connected clients after undo/redo changed its projects
+ * @param {Object} req - Express request
+ * @param {Object} entry - Undone or redone journal entry
+ */
+function broadcastProjectChanges(req, entry) {
+  if (entry.projects) {
+    broadcast('config', {
+      origin: req.get('X-Client-Id') || null,
+      config: readConfig(),
+    });
+  }
+}
+
 /**
  * Validate task object
  */
@@ -24,10 +200,58 @@ function validateTask(task) {
     throw new Error('Invalid priority value');
   }
 
+  if (task.hiddenUntil && !/^\d{4}-\d{2}-\d{2}$/.test(task.hiddenUntil)) {
+    throw new Error('Hidden until must be a date in YYYY-MM-DD format');
+  }
+
+  if (
+    task.estimateMinutes !== null &&
+    task.estimateMinutes !== undefined &&
+    !(Number.isFinite(task.estimateMinutes) && task.estimateMinutes > 0)
+  ) {
+    throw new Error('Estimate must be a positive number of minutes');
+  }
+
+  if (task.recurrenceMode && !RECURRENCE_MODES.includes(task.recurrenceMode)) {
+    throw new Error('Recurrence mode must be "schedule" or "completion"');
+  }
+
   if (task.details && typeof task.details !== 'string') {
     throw new Error('Details must be a string');
   }
 
+  if (task.tags && !Array.isArray(task.tags)) {
+    throw new Error('Tags must be an array');
+  }
+
+  if (task.tags) {
+    task.tags.forEach((tag) => {
+      if (!/^[\w-]+$/.test(tag)) {
+        throw new Error(
+          `Invalid tag: ${tag} (use letters, numbers, - and _ only)`
+        );
+      }
+    });
+  }
+
+  if (task.project) {
+    const projects = readConfig().projects || [];
+    if (!projects.some((project) => project.id === task.project)) {
+      throw new Error('Unknown project');
+    }
+  }
+
+  if (task.checklist !== undefined) {
+    if (!Array.isArray(task.checklist)) {
+      throw new Error('Checklist must be an array');
+    }
+    task.checklist.forEach((item) => {
+      if (typeof item.text !== 'string' || item.text.trim().length === 0) {
+        throw new Error('Checklist items need text');
+      }
+    });
+  }
+
   if (task.links && Array.isArray(task.links)) {
     task.links.forEach((link) => {
       try {
@@ -41,54 +265,222 @@ function validateTask(task) {
 }
 
 /**
- * Calculate next due date for recurring task
- * @param {string} currentDate - Current due date in YYYY-MM-DD format
- * @param {string} recurring - Recurring interval ('daily' or 'weekly')
- * @returns {string} Next due date in YYYY-MM-DD format
+ * Generate a timestamp-based task ID that isn't in use yet
+ * Several tasks created in the same millisecond (e.g. by an import) would
+ * otherwise be likely to collide.
+ * @param {Set<string>} takenIds - IDs in use; the new ID is added to it
+ * @returns {string} Task ID
  */
-function calculateNextDueDate(currentDate, recurring, workingDaysOnly = false) {
-  if (!currentDate || !recurring) {
-    return currentDate;
-  }
+function createTaskId(takenIds) {
+  let id;
+  do {
+    id = `${Date.now()}${Math.floor(Math.random() * 1000)}`;
+  } while (takenIds.has(id));
+  takenIds.add(id);
+  return id;
+}
 
-  // Parse date string (YYYY-MM-DD) and create date in local timezone
-  const [year, month, day] = currentDate.split('-').map(Number);
-  const date = new Date(year, month - 1, day);
+/**
+ * Create a new checklist item
+ * @param {string} text - Item text
+ * @returns {Object} Checklist item
+ */
+function createChecklistItem(text) {
+  return {
+    id: `${Date.now()}${Math.floor(Math.random() * 1000)}`,
+    text: text.trim(),
+    done: false,
+  };
+}
 
-  if (recurring === 'daily') {
-    date.setDate(date.getDate() + 1);
+/**
+ * Build a task's checklist from submitted items, keeping the id and done
+ * state of existing items matched by id or, failing that, by text
+ * @param {Array} items - Submitted items ({ id?, text, done? })
+ * @param {Array} existing - Task's current checklist
+ * @returns {Array} Normalized checklist
+ */
+function normalizeChecklist(items, existing = []) {
+  if (!Array.isArray(items)) {
+    return existing;
+  }
 
-    // If working days only, skip weekends (0 = Sunday, 6 = Saturday)
-    if (workingDaysOnly) {
-      const dayOfWeek = date.getDay();
-      if (dayOfWeek === 0) {
-        // Sunday - move to Monday
-        date.setDate(date.getDate() + 1);
-      } else if (dayOfWeek === 6) {
-        // Saturday - move to Monday
-        date.setDate(date.getDate() + 2);
+  return items
+    .filter((item) => item && typeof item.text === 'string' && item.text.trim())
+    .map((item) => {
+      const match =
+        existing.find((e) => item.id && e.id === item.id) ||
+        existing.find((e) => e.text === item.text.trim());
+      if (match) {
+        return {
+          ...match,
+          text: item.text.trim(),
+          done: typeof item.done === 'boolean' ? item.done : match.done,
+        };
       }
-    }
-  } else if (recurring === 'weekly') {
-    date.setDate(date.getDate() + 7);
+      return { ...createChecklistItem(item.text), done: item.done === true };
+    });
+}
+
+/**
+ * Format a date as YYYY-MM-DD in the server's local timezone
+ * @param {Date} date - Date to format (default: now)
+ * @returns {string} Local date string
+ */
+function getLocalDateString(date = new Date()) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Check whether a task is deferred ("hidden until" a later date)
+ * A running task is never hidden, so its timer can always be resumed.
+ * @param {Object} task - Task object
+ * @param {string} today - Today in YYYY-MM-DD format
+ * @returns {boolean} True if the task is hidden today
+ */
+function isDeferred(task, today) {
+  return Boolean(
+    task.hiddenUntil && task.hiddenUntil > today && !task.inProgress
+  );
+}
+
+/**
+ * Pick the DTSTART anchor for a task's recurrence rule
+ * The existing anchor is kept while the rule is unchanged and the due date
+ * is still one of its occurrences, so INTERVAL and COUNT stay aligned.
+ * @param {Object} task - Task with recurring, dueDate and workingDaysOnly
+ * @param {Object} existingTask - Stored task before this update (optional)
+ * @returns {string|null} Anchor date in YYYY-MM-DD format
+ */
+function getRecurrenceStart(task, existingTask = null) {
+  if (!task.recurring || !task.dueDate) {
+    return null;
+  }
+
+  const anchor = existingTask && existingTask.recurrenceStart;
+  if (
+    anchor &&
+    existingTask.recurring === task.recurring &&
+    anchor <= task.dueDate &&
+    occurrencesBetween(task.recurring, anchor, task.dueDate, task.dueDate, {
+      workingDaysOnly: task.workingDaysOnly,
+    }).length > 0
+  ) {
+    return anchor;
+  }
+  return task.dueDate;
+}
+
+/**
+ * Mark a task completed, closing its running session
+ * @param {Object} task - Task (modified in place)
+ * @param {Object} config - Configuration (time tracking settings)
+ * @returns {Object|null} Next instance of a recurring task, or null when the
+ *   task doesn't repeat or its series has ended
+ */
+function completeTask(task, config) {
+  closeActiveSession(task, {
+    settings: getTimeTrackingSettings(config),
+  });
+
+  task.completed = true;
+  task.archived = true;
+  task.inProgress = false;
+  task.startedAt = null;
+  task.completedAt = new Date().toISOString();
+  task.updatedAt = new Date().toISOString();
+
+  // If task is recurring, create a new task for the next occurrence
+  // (unless COUNT or UNTIL has ended the series)
+  const nextDueDate =
+    task.recurring && task.dueDate
+      ? nextInstanceDate(task, getLocalDateString())
+      : null;
+  if (nextDueDate) {
+    // Completion-based series re-anchor on every instance
+    const completionMode = task.recurrenceMode === 'completion';
+    return {
+      id: `${Date.now()}${Math.floor(Math.random() * 1000)}`,
+      uid: getTaskUid(task),
+      description: task.description,
+      dueDate: nextDueDate,
+      dueTime: task.dueTime || null,
+      hiddenUntil: null,
+      priority: task.priority,
+      estimateMinutes: task.estimateMinutes || null,
+      recurring: task.recurring,
+      recurrenceMode: task.recurrenceMode || 'schedule',
+      recurrenceStart: completionMode
+        ? nextDueDate
+        : task.recurrenceStart || task.dueDate,
+      recurrenceCount: (task.recurrenceCount || 1) + 1,
+      details: task.details || null,
+      isAppointment: task.isAppointment || false,
+      reminderMinutes: task.reminderMinutes || null,
+      workingDaysOnly: task.workingDaysOnly || false,
+      completed: false,
+      archived: false,
+      inProgress: false,
+      startedAt: null,
+      timeSpent: 0,
+      sessions: [],
+      pomodoros: 0,
+      completedAt: null,
+      links: task.links || [],
+      checklist: (task.checklist || []).map((item) => ({
+        ...item,
+        done: false,
+      })),
+      tags: task.tags || [],
+      project: task.project || null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
   }
+  return null;
+}
 
-  // Format back to YYYY-MM-DD without timezone conversion
-  const newYear = date.getFullYear();
-  const newMonth = String(date.getMonth() + 1).padStart(2, '0');
-  const newDay = String(date.getDate()).padStart(2, '0');
+/**
+ * Write completed tasks to the daily archive files of their completion date
+ * @param {Array<Object>} tasksToMove - Completed tasks (flagged
+ *   archivedToFile in place)
+ * @returns {Object} The moved tasks keyed by date (YYYY-MM-DD)
+ */
+function moveToArchiveFiles(tasksToMove) {
+  const tasksByDate = {};
+  tasksToMove.forEach((task) => {
+    task.archivedToFile = true;
+    // Extract date from completedAt timestamp (YYYY-MM-DD)
+    const completedDate = new Date(task.completedAt)
+      .toISOString()
+      .split('T')[0];
+    if (!tasksByDate[completedDate]) {
+      tasksByDate[completedDate] = [];
+    }
+    tasksByDate[completedDate].push(task);
+  });
 
-  return `${newYear}-${newMonth}-${newDay}`;
+  // Save tasks to their respective archive files by completion date
+  Object.entries(tasksByDate).forEach(([dateStr, tasksForDate]) => {
+    archiveTasks(dateStr, tasksForDate);
+  });
+  return tasksByDate;
 }
 
 /**
  * GET /api/tasks
- * Returns all active (non-archived) tasks
+ * Returns all active (non-archived) tasks, except deferred ones
  */
 router.get('/tasks', (_req, res) => {
   try {
+    const today = getLocalDateString();
     const tasks = readTasks();
-    const activeTasks = tasks.filter((task) => !task.archived);
+    const activeTasks = tasks.filter(
+      (task) => !task.archived && !isDeferred(task, today)
+    );
     res.json(activeTasks);
   } catch (error) {
     console.error('Error fetching tasks:', error);
@@ -96,6 +488,23 @@ router.get('/tasks', (_req, res) => {
   }
 });
 
+/**
+ * GET /api/tasks/deferred
+ * Returns active tasks hidden until a later date
+ */
+router.get('/tasks/deferred', (_req, res) => {
+  try {
+    const today = getLocalDateString();
+    const deferredTasks = readTasks()
+      .filter((task) => !task.archived && isDeferred(task, today))
+      .sort((a, b) => a.hiddenUntil.localeCompare(b.hiddenUntil));
+    res.json(deferredTasks);
+  } catch (error) {
+    console.error('Error fetching deferred tasks:', error);
+    res.status(500).json({ error: 'Failed to fetch deferred tasks' });
+  }
+});
+
 /**
  * GET /api/tasks/archived
  * Returns all archived (completed) tasks from both tasks.json and archive files
@@ -119,6 +528,176 @@ router.get('/tasks/archived', (_req, res) => {
   }
 });
 
+/**
+ * GET /api/calendar.ics
+ * iCalendar feed: VEVENTs for appointments, VTODOs for other dated tasks
+ */
+router.get('/calendar.ics', (_req, res) => {
+  try {
+    res
+      .type('text/calendar; charset=utf-8')
+      .set('Content-Disposition', 'inline; filename="tasks.ics"')
+      .send(buildCalendar(readTasks()));
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).json({ error: 'Failed to build calendar feed' });
+  }
+});
+
+/**
+ * GET /api/calendar
+ * Open tasks laid out by due date and time, with upcoming occurrences of
+ * recurring tasks. Query: from, to (YYYY-MM-DD, inclusive, at most 92 days)
+ */
+router.get('/calendar', (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if (!datePattern.test(from) || !datePattern.test(to)) {
+      return res
+        .status(400)
+        .json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+    if (from > to) {
+      return res.status(400).json({ error: 'from must not be after to' });
+    }
+    const days = (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000);
+    if (days >= 92) {
+      return res
+        .status(400)
+        .json({ error: 'Calendar range cannot exceed 92 days' });
+    }
+
+    res.json({ from, to, entries: buildCalendarView(readTasks(), from, to) });
+  } catch (error) {
+    console.error('Error building calendar:', error);
+    res.status(500).json({ error: 'Failed to build calendar' });
+  }
+});
+
+/**
+ * POST /api/import/ics
+ * Import VEVENTs (as appointments) and VTODOs from an .ics file sent as the
+ * raw request body. Items whose UID already exists are reported as
+ * duplicates instead of being imported again.
+ */
+router.post(
+  '/import/ics',
+  express.text({ type: ['text/calendar', 'text/plain'], limit: '5mb' }),
+  (req, res) => {
+    let components;
+    try {
+      components = parseCalendar(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      const beforeTasks = readTasks();
+      const existingTasks = [...beforeTasks, ...readArchivedTasks()];
+      const knownUids = new Set(existingTasks.map(getTaskUid));
+      const takenIds = new Set(existingTasks.map((task) => task.id));
+      const today = getLocalDateString();
+      const imported = [];
+      const duplicates = [];
+      const skipped = [];
+      const warnings = [];
+
+      components.forEach((component) => {
+        const result = componentToTask(component);
+        if (result.skip) {
+          skipped.push({
+            description: result.description,
+            reason: result.skip,
+          });
+          return;
+        }
+
+        const { fields } = result;
+        if (fields.uid && knownUids.has(fields.uid)) {
+          duplicates.push({ uid: fields.uid, description: fields.description });
+          return;
+        }
+
+        const id = createTaskId(takenIds);
+        const task = {
+          ...fields,
+          id,
+          uid: fields.uid || `${id}@local-task-manager`,
+          recurrenceMode: 'schedule',
+          workingDaysOnly: false,
+          completed: false,
+          archived: false,
+          inProgress: false,
+          startedAt: null,
+          timeSpent: 0,
+          sessions: [],
+          pomodoros: 0,
+          completedAt: null,
+          checklist: [],
+          project: null,
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString(),
+        };
+
+        // Recurring items keep their series start and become due on the
+        // next occurrence from today
+        if (task.recurring) {
+          task.recurrenceStart = task.dueDate;
+          task.recurrenceCount = 1;
+          const [nextDate] = occurrencesBetween(
+            task.recurring,
+            task.recurrenceStart,
+            today,
+            '9999-12-31',
+            { limit: 1 }
+          );
+          if (!nextDate) {
+            skipped.push({
+              description: task.description,
+              reason: 'recurring series has ended',
+            });
+            return;
+          }
+          task.dueDate = nextDate;
+        }
+
+        try {
+          validateTask(task);
+        } catch (error) {
+          skipped.push({
+            description: task.description,
+            reason: error.message,
+          });
+          return;
+        }
+
+        result.warnings.forEach((warning) =>
+          warnings.push({ description: task.description, warning })
+        );
+        knownUids.add(task.uid);
+        imported.push(task);
+      });
+
+      if (imported.length > 0) {
+        writeTasks([...beforeTasks, ...imported]);
+        commitMutation(
+          req,
+          'import',
+          `Imported ${imported.length} item(s) from calendar`,
+          beforeTasks,
+          readTasks()
+        );
+      }
+
+      res.json({ imported, duplicates, skipped, warnings });
+    } catch (error) {
+      console.error('Error importing calendar:', error);
+      res.status(500).json({ error: 'Failed to import calendar' });
+    }
+  }
+);
+
 /**
  * POST /api/tasks
  * Create or update a task
@@ -133,10 +712,17 @@ router.post('/tasks', (req, res) => {
       priority,
       links,
       recurring,
+      recurrenceMode,
       details,
       isAppointment,
       reminderMinutes,
       workingDaysOnly,
+      checklist,
+      tags,
+      project,
+      estimateMinutes,
+      hiddenUntil,
+      version,
     } = req.body;
 
     // Validate required fields
@@ -144,30 +730,67 @@ router.post('/tasks', (req, res) => {
       return res.status(400).json({ error: 'Description is required' });
     }
 
-    // Validate recurring value
-    if (recurring && !['daily', 'weekly'].includes(recurring)) {
-      return res
-        .status(400)
-        .json({ error: 'Recurring must be "daily" or "weekly"' });
+    // Validate recurring value ('daily', 'weekly' or an RRULE)
+    if (recurring) {
+      try {
+        validateRecurring(recurring);
+      } catch (error) {
+        return res
+          .status(400)
+          .json({ error: `Invalid recurrence rule: ${error.message}` });
+      }
+    }
+
+    // Validate reminder offsets (minutes before the appointment)
+    if (isAppointment) {
+      try {
+        validateReminderMinutes(reminderMinutes);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
     }
 
     // Check if task exists (update case)
+    const beforeTasks = readTasks();
     let task;
+    let isUpdate = false;
     if (id) {
       const existingTask = getTask(id);
       if (existingTask) {
+        // Optimistic concurrency: the update must be based on the stored
+        // version, otherwise the client gets the current copy to merge with
+        if (version === undefined || version === null) {
+          return res
+            .status(428)
+            .json({ error: 'Task version is required for updates' });
+        }
+        if (Number(version) !== existingTask.version) {
+          return res.status(409).json({
+            error: 'Task was changed elsewhere since it was loaded',
+            task: existingTask,
+          });
+        }
+        isUpdate = true;
         // Preserve existing metadata and timer data
         task = {
           ...existingTask,
           description: description.trim(),
           dueDate: dueDate || null,
           dueTime: dueTime || null,
+          hiddenUntil: hiddenUntil || null,
           priority: priority || 'medium',
+          estimateMinutes: estimateMinutes ? Number(estimateMinutes) : null,
           recurring: recurring || null,
+          recurrenceMode: recurrenceMode || 'schedule',
           details: details || null,
           links: links || [],
+          checklist: normalizeChecklist(checklist, existingTask.checklist),
+          tags: normalizeTags(tags),
+          project: project || null,
           isAppointment: isAppointment || false,
-          reminderMinutes: isAppointment ? reminderMinutes || 30 : null,
+          reminderMinutes: isAppointment
+            ? normalizeReminderMinutes(reminderMinutes)
+            : null,
           workingDaysOnly:
             recurring === 'daily' ? workingDaysOnly || false : false,
           updatedAt: new Date().toISOString(),
@@ -179,11 +802,16 @@ router.post('/tasks', (req, res) => {
           description: description.trim(),
           dueDate: dueDate || null,
           dueTime: dueTime || null,
+          hiddenUntil: hiddenUntil || null,
           priority: priority || 'medium',
+          estimateMinutes: estimateMinutes ? Number(estimateMinutes) : null,
           recurring: recurring || null,
+          recurrenceMode: recurrenceMode || 'schedule',
           details: details || null,
           isAppointment: isAppointment || false,
-          reminderMinutes: isAppointment ? reminderMinutes || 30 : null,
+          reminderMinutes: isAppointment
+            ? normalizeReminderMinutes(reminderMinutes)
+            : null,
           workingDaysOnly:
             recurring === 'daily' ? workingDaysOnly || false : false,
           completed: false,
@@ -191,8 +819,13 @@ router.post('/tasks', (req, res) => {
           inProgress: false,
           startedAt: null,
           timeSpent: 0,
+          sessions: [],
+          pomodoros: 0,
           completedAt: null,
           links: links || [],
+          checklist: normalizeChecklist(checklist),
+          tags: normalizeTags(tags),
+          project: project || null,
           createdAt: new Date().toISOString(),
           updatedAt: new Date().toISOString(),
         };
@@ -204,11 +837,16 @@ router.post('/tasks', (req, res) => {
         description: description.trim(),
         dueDate: dueDate || null,
         dueTime: dueTime || null,
+        hiddenUntil: hiddenUntil || null,
         priority: priority || 'medium',
+        estimateMinutes: estimateMinutes ? Number(estimateMinutes) : null,
         recurring: recurring || null,
+        recurrenceMode: recurrenceMode || 'schedule',
         details: details || null,
         isAppointment: isAppointment || false,
-        reminderMinutes: isAppointment ? reminderMinutes || 30 : null,
+        reminderMinutes: isAppointment
+          ? normalizeReminderMinutes(reminderMinutes)
+          : null,
         workingDaysOnly:
           recurring === 'daily' ? workingDaysOnly || false : false,
         completed: false,
@@ -216,15 +854,35 @@ router.post('/tasks', (req, res) => {
         inProgress: false,
         startedAt: null,
         timeSpent: 0,
+        sessions: [],
+        pomodoros: 0,
         completedAt: null,
         links: links || [],
+        checklist: normalizeChecklist(checklist),
+        tags: normalizeTags(tags),
+        project: project || null,
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
       };
     }
 
+    const storedTask = isUpdate ? getTask(task.id) : null;
+    task.recurrenceStart = getRecurrenceStart(task, storedTask);
+    // Instances created so far; a new anchor starts a new series
+    task.recurrenceCount =
+      storedTask && storedTask.recurrenceStart === task.recurrenceStart
+        ? storedTask.recurrenceCount || 1
+        : 1;
+
     validateTask(task);
-    const savedTask = saveTask(task);
+    const savedTask = isUpdate ? updateTask(task) : saveTask(task);
+    commitMutation(
+      req,
+      isUpdate ? 'update' : 'create',
+      `${isUpdate ? 'Updated' : 'Created'} "${savedTask.description}"`,
+      beforeTasks,
+      readTasks()
+    );
     res.json(savedTask);
   } catch (error) {
     console.error('Error creating task:', error);
@@ -239,11 +897,15 @@ router.post('/tasks', (req, res) => {
 router.post('/tasks/:id/start', (req, res) => {
   try {
     const { id } = req.params;
+    const beforeTasks = readTasks();
     const tasks = readTasks();
+    const config = readConfig();
+    const settings = getTimeTrackingSettings(config);
 
-    // Stop any other active task
+    // Stop any other active task, keeping its time as a session
     tasks.forEach((task) => {
       if (task.inProgress && task.id !== id) {
+        closeActiveSession(task, { settings });
         task.inProgress = false;
         task.startedAt = null;
       }
@@ -255,11 +917,28 @@ router.post('/tasks/:id/start', (req, res) => {
       return res.status(404).json({ error: 'Task not found' });
     }
 
+    // Materialize legacy timeSpent as a session so it can be edited
+    applySessions(task, getSessions(task));
     task.inProgress = true;
     task.startedAt = new Date().toISOString();
     task.updatedAt = new Date().toISOString();
 
-    saveTask(task);
+    // A started task moves into the board's "Doing" column
+    const startColumn = getBoardColumns(config).find(
+      (column) => column.action === 'start'
+    );
+    if (startColumn) {
+      task.status = startColumn.id;
+    }
+
+    writeTasks(tasks);
+    commitMutation(
+      req,
+      'start',
+      `Started "${task.description}"`,
+      beforeTasks,
+      readTasks()
+    );
     res.json(task);
   } catch (error) {
     console.error('Error starting task:', error);
@@ -274,24 +953,29 @@ router.post('/tasks/:id/start', (req, res) => {
 router.post('/tasks/:id/stop', (req, res) => {
   try {
     const { id } = req.params;
+    const beforeTasks = readTasks();
     const task = getTask(id);
 
     if (!task) {
       return res.status(404).json({ error: 'Task not found' });
     }
 
-    if (task.inProgress && task.startedAt) {
-      const elapsed = Math.floor(
-        (Date.now() - new Date(task.startedAt).getTime()) / 1000
-      );
-      task.timeSpent += elapsed;
-    }
+    closeActiveSession(task, {
+      settings: getTimeTrackingSettings(readConfig()),
+    });
 
     task.inProgress = false;
     task.startedAt = null;
     task.updatedAt = new Date().toISOString();
 
-    saveTask(task);
+    updateTask(task);
+    commitMutation(
+      req,
+      'stop',
+      `Stopped "${task.description}"`,
+      beforeTasks,
+      readTasks()
+    );
     res.json(task);
   } catch (error) {
     console.error('Error stopping task:', error);
@@ -300,143 +984,770 @@ router.post('/tasks/:id/stop', (req, res) => {
 });
 
 /**
- * POST /api/tasks/:id/complete
- * Complete and archive task
+ * POST /api/tasks/:id/resume
+ * Check a running timer when a page picks it up again. A session already
+ * longer than maxSessionHours (a forgotten timer) is recorded, capped or
+ * flagged per the longSessions setting, and the timer is stopped.
  */
-router.post('/tasks/:id/complete', (req, res) => {
+router.post('/tasks/:id/resume', (req, res) => {
   try {
     const { id } = req.params;
-    const allTasks = readTasks();
-    const taskIndex = allTasks.findIndex((t) => t.id === id);
+    const beforeTasks = readTasks();
+    const task = getTask(id);
 
-    if (taskIndex < 0) {
+    if (!task) {
       return res.status(404).json({ error: 'Task not found' });
     }
 
-    const task = allTasks[taskIndex];
-
-    if (task.inProgress && task.startedAt) {
-      const elapsed = Math.floor(
-        (Date.now() - new Date(task.startedAt).getTime()) / 1000
-      );
-      task.timeSpent += elapsed;
+    const settings = getTimeTrackingSettings(readConfig());
+    const runningMs = isRunning(task)
+      ? Date.now() - Date.parse(task.startedAt)
+      : 0;
+    if (!(runningMs > settings.maxSessionHours * 60 * 60 * 1000)) {
+      return res.json(task);
     }
 
-    task.completed = true;
-    task.archived = true;
+    closeActiveSession(task, { settings });
     task.inProgress = false;
     task.startedAt = null;
-    task.completedAt = new Date().toISOString();
     task.updatedAt = new Date().toISOString();
 
-    // Update the completed task
-    allTasks[taskIndex] = task;
-
-    // If task is recurring, create a new task for the next occurrence
-    if (task.recurring && task.dueDate) {
-      const nextDueDate = calculateNextDueDate(
-        task.dueDate,
-        task.recurring,
-        task.workingDaysOnly
-      );
-      const newTask = {
-        id: `${Date.now()}${Math.floor(Math.random() * 1000)}`,
-        description: task.description,
-        dueDate: nextDueDate,
-        dueTime: task.dueTime || null,
-        priority: task.priority,
-        recurring: task.recurring,
-        details: task.details || null,
-        isAppointment: task.isAppointment || false,
-        reminderMinutes: task.reminderMinutes || null,
-        workingDaysOnly: task.workingDaysOnly || false,
-        completed: false,
-        archived: false,
-        inProgress: false,
-        startedAt: null,
-        timeSpent: 0,
-        completedAt: null,
-        links: task.links || [],
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-      };
-      allTasks.push(newTask);
+    updateTask(task);
+    commitMutation(
+      req,
+      'stop',
+      `Stopped the forgotten timer of "${task.description}"`,
+      beforeTasks,
+      readTasks()
+    );
+    res.json(task);
+  } catch (error) {
+    console.error('Error resuming task:', error);
+    res.status(500).json({ error: 'Failed to resume task' });
+  }
+});
+
+/**
+ * POST /api/tasks/:id/pomodoro
+ * Record a finished pomodoro: count it on the task and stop the timer so
+ * the break that follows isn't tracked. Body: { end? } - when the work
+ * period ended, if that was earlier than now (e.g. the page was closed)
+ */
+router.post('/tasks/:id/pomodoro', (req, res) => {
+  try {
+    const { id } = req.params;
+    const beforeTasks = readTasks();
+    const task = getTask(id);
+
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
     }
+    if (!task.inProgress || !task.startedAt) {
+      return res.status(400).json({ error: 'Task timer is not running' });
+    }
+
+    const endMs = Date.parse(req.body.end);
+    const end =
+      endMs > Date.parse(task.startedAt) && endMs < Date.now()
+        ? new Date(endMs).toISOString()
+        : undefined;
+    closeActiveSession(task, {
+      end,
+      settings: getTimeTrackingSettings(readConfig()),
+    });
 
-    // Write all changes at once
-    writeTasks(allTasks);
+    task.pomodoros = (task.pomodoros || 0) + 1;
+    task.inProgress = false;
+    task.startedAt = null;
+    task.updatedAt = new Date().toISOString();
 
+    updateTask(task);
+    commitMutation(
+      req,
+      'pomodoro',
+      `Finished a pomodoro of "${task.description}"`,
+      beforeTasks,
+      readTasks()
+    );
     res.json(task);
   } catch (error) {
-    console.error('Error completing task:', error);
-    res.status(500).json({ error: 'Failed to complete task' });
+    console.error('Error recording pomodoro:', error);
+    res.status(500).json({ error: 'Failed to record pomodoro' });
   }
 });
 
 /**
- * POST /api/tasks/:id/restore
- * Move task from archive back to active list
+ * POST /api/tasks/:id/idle
+ * Drop idle time from the running timer: the current session ends at
+ * idleSince, then the timer either restarts now (action 'discard') or stays
+ * stopped (action 'trim'). Body: { idleSince, action }
  */
-router.post('/tasks/:id/restore', (req, res) => {
+router.post('/tasks/:id/idle', (req, res) => {
   try {
     const { id } = req.params;
+    const { idleSince, action } = req.body;
+    const beforeTasks = readTasks();
     const task = getTask(id);
 
     if (!task) {
       return res.status(404).json({ error: 'Task not found' });
     }
+    if (!task.inProgress || !task.startedAt) {
+      return res.status(400).json({ error: 'Task timer is not running' });
+    }
+    if (!['discard', 'trim'].includes(action)) {
+      return res
+        .status(400)
+        .json({ error: 'action must be "discard" or "trim"' });
+    }
 
-    task.archived = false;
-    task.completed = false;
-    task.updatedAt = new Date().toISOString();
+    const idleMs = Date.parse(idleSince);
+    if (Number.isNaN(idleMs) || idleMs > Date.now()) {
+      return res
+        .status(400)
+        .json({ error: 'idleSince must be a timestamp in the past' });
+    }
+
+    // Keep the part of the session before the user went idle, if any
+    if (idleMs > Date.parse(task.startedAt)) {
+      closeActiveSession(task, {
+        end: new Date(idleMs).toISOString(),
+        settings: getTimeTrackingSettings(readConfig()),
+      });
+    }
 
-    saveTask(task);
+    const now = new Date().toISOString();
+    task.inProgress = action === 'discard';
+    task.startedAt = action === 'discard' ? now : null;
+    task.updatedAt = now;
+
+    updateTask(task);
+    commitMutation(
+      req,
+      'idle',
+      `Removed idle time from "${task.description}"`,
+      beforeTasks,
+      readTasks()
+    );
     res.json(task);
   } catch (error) {
-    console.error('Error restoring task:', error);
-    res.status(500).json({ error: 'Failed to restore task' });
+    console.error('Error removing idle time:', error);
+    res.status(500).json({ error: 'Failed to remove idle time' });
   }
 });
 
 /**
- * DELETE /api/tasks/:id
- * Permanently delete task
+ * POST /api/tasks/:id/complete
+ * Complete and archive task
  */
-router.delete('/tasks/:id', (req, res) => {
+router.post('/tasks/:id/complete', (req, res) => {
   try {
     const { id } = req.params;
+    const beforeTasks = readTasks();
     const task = getTask(id);
 
     if (!task) {
       return res.status(404).json({ error: 'Task not found' });
     }
+    // Completing twice would create a second next instance of a recurring task
+    if (task.completed) {
+      return res.status(409).json({ error: 'Task is already completed' });
+    }
 
-    deleteTask(id);
-    res.json({ success: true, message: 'Task deleted' });
+    const nextInstance = completeTask(task, readConfig());
+    updateTask(task);
+    if (nextInstance) {
+      saveTask(nextInstance);
+    }
+    commitMutation(
+      req,
+      'complete',
+      `Completed "${task.description}"`,
+      beforeTasks,
+      readTasks()
+    );
+
+    res.json(task);
   } catch (error) {
-    console.error('Error deleting task:', error);
-    res.status(500).json({ error: 'Failed to delete task' });
+    console.error('Error completing task:', error);
+    res.status(500).json({ error: 'Failed to complete task' });
   }
 });
 
 /**
- * POST /api/archive/cleanup
- * Move archived tasks completed before a specified date to archive files
- * and mark them with archivedToFile flag
+ * POST /api/tasks/:id/restore
+ * Move task from archive back to active list
  */
-router.post('/archive/cleanup', (req, res) => {
+router.post('/tasks/:id/restore', (req, res) => {
   try {
-    const { cutoffDate } = req.body;
+    const { id } = req.params;
+    const beforeTasks = readTasks();
+    const task = getTask(id);
 
-    if (!cutoffDate) {
-      return res.status(400).json({ error: 'Cutoff date is required' });
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
     }
 
-    const tasks = readTasks();
-    const cutoffTime = new Date(cutoffDate).getTime();
+    task.archived = false;
+    task.completed = false;
+    task.updatedAt = new Date().toISOString();
 
-    // Find tasks to move (archived and completed before cutoff date)
-    const tasksToMove = tasks.filter((task) => {
+    updateTask(task);
+    commitMutation(
+      req,
+      'restore',
+      `Restored "${task.description}"`,
+      beforeTasks,
+      readTasks()
+    );
+    res.json(task);
+  } catch (error) {
+    console.error('Error restoring task:', error);
+    res.status(500).json({ error: 'Failed to restore task' });
+  }
+});
+
+/**
+ * POST /api/tasks/:id/status
+ * Move a task to a board column; body: { status } (a column ID). Columns
+ * with an action are entered via /start or /complete instead. A running
+ * task is stopped and a completed one restored.
+ */
+router.post('/tasks/:id/status', (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+    const beforeTasks = readTasks();
+    const config = readConfig();
+
+    const column = getBoardColumns(config).find((c) => c.id === status);
+    if (!column) {
+      return res.status(400).json({ error: 'Unknown board column' });
+    }
+    if (column.action) {
+      return res.status(400).json({
+        error: `Use POST /api/tasks/:id/${column.action} to move a task to "${column.name}"`,
+      });
+    }
+
+    const task = getTask(id);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (task.inProgress) {
+      closeActiveSession(task, {
+        settings: getTimeTrackingSettings(config),
+      });
+      task.inProgress = false;
+      task.startedAt = null;
+    }
+    task.completed = false;
+    task.archived = false;
+    task.status = column.id;
+    task.updatedAt = new Date().toISOString();
+
+    updateTask(task);
+    commitMutation(
+      req,
+      'status',
+      `Moved "${task.description}" to ${column.name}`,
+      beforeTasks,
+      readTasks()
+    );
+    res.json(task);
+  } catch (error) {
+    console.error('Error moving task:', error);
+    res.status(500).json({ error: 'Failed to move task' });
+  }
+});
+
+/**
+ * POST /api/tasks/:id/checklist
+ * Append a checklist item to a task
+ */
+router.post('/tasks/:id/checklist', (req, res) => {
+  try {
+    const { id } = req.params;
+    const { text } = req.body;
+    const beforeTasks = readTasks();
+    const task = getTask(id);
+
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      return res.status(400).json({ error: 'Checklist item text is required' });
+    }
+
+    task.checklist = [...(task.checklist || []), createChecklistItem(text)];
+    task.updatedAt = new Date().toISOString();
+
+    updateTask(task);
+    commitMutation(
+      req,
+      'checklist',
+      `Added checklist item to "${task.description}"`,
+      beforeTasks,
+      readTasks()
+    );
+    res.json(task);
+  } catch (error) {
+    console.error('Error adding checklist item:', error);
+    res.status(500).json({ error: 'Failed to add checklist item' });
+  }
+});
+
+/**
+ * POST /api/tasks/:id/checklist/reorder
+ * Reorder checklist items; body: { itemIds: [...] } in the new order
+ */
+router.post('/tasks/:id/checklist/reorder', (req, res) => {
+  try {
+    const { id } = req.params;
+    const { itemIds } = req.body;
+    const beforeTasks = readTasks();
+    const task = getTask(id);
+
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const checklist = task.checklist || [];
+    if (
+      !Array.isArray(itemIds) ||
+      itemIds.length !== checklist.length ||
+      !checklist.every((item) => itemIds.includes(item.id))
+    ) {
+      return res
+        .status(400)
+        .json({ error: 'itemIds must list every checklist item once' });
+    }
+
+    task.checklist = itemIds.map((itemId) =>
+      checklist.find((item) => item.id === itemId)
+    );
+    task.updatedAt = new Date().toISOString();
+
+    updateTask(task);
+    commitMutation(
+      req,
+      'checklist',
+      `Reordered checklist of "${task.description}"`,
+      beforeTasks,
+      readTasks()
+    );
+    res.json(task);
+  } catch (error) {
+    console.error('Error reordering checklist:', error);
+    res.status(500).json({ error: 'Failed to reorder checklist' });
+  }
+});
+
+/**
+ * POST /api/tasks/:id/checklist/:itemId
+ * Update a checklist item; body: { text?, done? }
+ */
+router.post('/tasks/:id/checklist/:itemId', (req, res) => {
+  try {
+    const { id, itemId } = req.params;
+    const { text, done } = req.body;
+    const beforeTasks = readTasks();
+    const task = getTask(id);
+
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const item = (task.checklist || []).find((i) => i.id === itemId);
+    if (!item) {
+      return res.status(404).json({ error: 'Checklist item not found' });
+    }
+
+    if (text !== undefined) {
+      if (typeof text !== 'string' || text.trim().length === 0) {
+        return res
+          .status(400)
+          .json({ error: 'Checklist item text is required' });
+      }
+      item.text = text.trim();
+    }
+    if (done !== undefined) {
+      item.done = Boolean(done);
+    }
+    task.updatedAt = new Date().toISOString();
+
+    updateTask(task);
+    commitMutation(
+      req,
+      'checklist',
+      `Updated checklist item "${item.text}"`,
+      beforeTasks,
+      readTasks()
+    );
+    res.json(task);
+  } catch (error) {
+    console.error('Error updating checklist item:', error);
+    res.status(500).json({ error: 'Failed to update checklist item' });
+  }
+});
+
+/**
+ * DELETE /api/tasks/:id/checklist/:itemId
+ * Remove a checklist item
+ */
+router.delete('/tasks/:id/checklist/:itemId', (req, res) => {
+  try {
+    const { id, itemId } = req.params;
+    const beforeTasks = readTasks();
+    const task = getTask(id);
+
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const item = (task.checklist || []).find((i) => i.id === itemId);
+    if (!item) {
+      return res.status(404).json({ error: 'Checklist item not found' });
+    }
+
+    task.checklist = task.checklist.filter((i) => i.id !== itemId);
+    task.updatedAt = new Date().toISOString();
+
+    updateTask(task);
+    commitMutation(
+      req,
+      'checklist',
+      `Removed checklist item "${item.text}"`,
+      beforeTasks,
+      readTasks()
+    );
+    res.json(task);
+  } catch (error) {
+    console.error('Error removing checklist item:', error);
+    res.status(500).json({ error: 'Failed to remove checklist item' });
+  }
+});
+
+/**
+ * POST /api/tasks/:id/sessions
+ * Add a time-tracking session by hand; body: { start, end }
+ */
+router.post('/tasks/:id/sessions', (req, res) => {
+  try {
+    const { id } = req.params;
+    const beforeTasks = readTasks();
+    const task = getTask(id);
+
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    let session;
+    try {
+      session = {
+        id: createSessionId(),
+        ...normalizeSessionTimes(req.body.start, req.body.end),
+      };
+      assertNoOverlap(task, session);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    applySessions(task, [...getSessions(task), session]);
+    task.updatedAt = new Date().toISOString();
+
+    updateTask(task);
+    commitMutation(
+      req,
+      'sessions',
+      `Added a session to "${task.description}"`,
+      beforeTasks,
+      readTasks()
+    );
+    res.json(task);
+  } catch (error) {
+    console.error('Error adding session:', error);
+    res.status(500).json({ error: 'Failed to add session' });
+  }
+});
+
+/**
+ * POST /api/tasks/:id/sessions/:sessionId
+ * Edit a session's times; body: { start?, end? }
+ */
+router.post('/tasks/:id/sessions/:sessionId', (req, res) => {
+  try {
+    const { id, sessionId } = req.params;
+    const beforeTasks = readTasks();
+    const task = getTask(id);
+
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const sessions = getSessions(task);
+    const existing = sessions.find((s) => s.id === sessionId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    let updated;
+    try {
+      updated = {
+        ...existing,
+        ...normalizeSessionTimes(
+          req.body.start || existing.start,
+          req.body.end || existing.end
+        ),
+      };
+      assertNoOverlap(task, updated);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    // The session has been reviewed, so it's no longer suspicious
+    delete updated.flagged;
+    delete updated.capped;
+
+    applySessions(
+      task,
+      sessions.map((s) => (s.id === sessionId ? updated : s))
+    );
+    task.updatedAt = new Date().toISOString();
+
+    updateTask(task);
+    commitMutation(
+      req,
+      'sessions',
+      `Edited a session of "${task.description}"`,
+      beforeTasks,
+      readTasks()
+    );
+    res.json(task);
+  } catch (error) {
+    console.error('Error updating session:', error);
+    res.status(500).json({ error: 'Failed to update session' });
+  }
+});
+
+/**
+ * DELETE /api/tasks/:id/sessions/:sessionId
+ * Remove a session
+ */
+router.delete('/tasks/:id/sessions/:sessionId', (req, res) => {
+  try {
+    const { id, sessionId } = req.params;
+    const beforeTasks = readTasks();
+    const task = getTask(id);
+
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const sessions = getSessions(task);
+    if (!sessions.some((s) => s.id === sessionId)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    applySessions(
+      task,
+      sessions.filter((s) => s.id !== sessionId)
+    );
+    task.updatedAt = new Date().toISOString();
+
+    updateTask(task);
+    commitMutation(
+      req,
+      'sessions',
+      `Removed a session from "${task.description}"`,
+      beforeTasks,
+      readTasks()
+    );
+    res.json(task);
+  } catch (error) {
+    console.error('Error removing session:', error);
+    res.status(500).json({ error: 'Failed to remove session' });
+  }
+});
+
+/**
+ * DELETE /api/tasks/:id
+ * Permanently delete task
+ */
+router.delete('/tasks/:id', (req, res) => {
+  try {
+    const { id } = req.params;
+    const beforeTasks = readTasks();
+    const task = getTask(id);
+
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    deleteTask(id);
+    commitMutation(
+      req,
+      'delete',
+      `Deleted "${task.description}"`,
+      beforeTasks,
+      readTasks()
+    );
+    res.json({ success: true, message: 'Task deleted' });
+  } catch (error) {
+    console.error('Error deleting task:', error);
+    res.status(500).json({ error: 'Failed to delete task' });
+  }
+});
+
+/**
+ * POST /api/tasks/bulk
+ * Apply one action to several tasks in a single write (and a single undo
+ * step). Body: { ids, action } plus `dueDate` for reschedule, `priority`
+ * for priority and `tag` for tag. Actions: complete, delete, reschedule,
+ * priority, tag, archive (move completed tasks to archive files).
+ */
+router.post('/tasks/bulk', (req, res) => {
+  try {
+    const { ids, action, dueDate, priority, tag } = req.body;
+
+    if (
+      !Array.isArray(ids) ||
+      ids.length === 0 ||
+      !ids.every((id) => typeof id === 'string')
+    ) {
+      return res
+        .status(400)
+        .json({ error: 'ids must be a non-empty list of task IDs' });
+    }
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        error: `Action must be one of: ${BULK_ACTIONS.join(', ')}`,
+      });
+    }
+    if (action === 'reschedule' && !/^\d{4}-\d{2}-\d{2}$/.test(dueDate)) {
+      return res
+        .status(400)
+        .json({ error: 'Due date must be in YYYY-MM-DD format' });
+    }
+    if (
+      action === 'priority' &&
+      !['low', 'medium', 'high'].includes(priority)
+    ) {
+      return res.status(400).json({ error: 'Invalid priority value' });
+    }
+    const [newTag] = normalizeTags([tag]);
+    if (action === 'tag' && !/^[\w-]+$/.test(newTag || '')) {
+      return res.status(400).json({
+        error: 'Tag is required (use letters, numbers, - and _ only)',
+      });
+    }
+
+    const beforeTasks = readTasks();
+    let tasks = readTasks();
+    const selected = tasks.filter((task) => ids.includes(task.id));
+    if (selected.length < new Set(ids).size) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    if (action === 'archive' && !selected.every((task) => task.completed)) {
+      return res
+        .status(400)
+        .json({ error: 'Only completed tasks can be archived to file' });
+    }
+
+    const now = new Date().toISOString();
+    const count = selected.length;
+    const noun = count === 1 ? '1 task' : `${count} tasks`;
+    let archived = null;
+    let label;
+
+    switch (action) {
+      case 'complete': {
+        const config = readConfig();
+        selected
+          .filter((task) => !task.completed)
+          .forEach((task) => {
+            const nextInstance = completeTask(task, config);
+            if (nextInstance) {
+              tasks.push(nextInstance);
+            }
+          });
+        label = `Completed ${noun}`;
+        break;
+      }
+      case 'delete':
+        tasks = tasks.filter((task) => !selected.includes(task));
+        label = `Deleted ${noun}`;
+        break;
+      case 'reschedule':
+        selected.forEach((task) => {
+          const previous = { ...task };
+          task.dueDate = dueDate;
+          task.recurrenceStart = getRecurrenceStart(task, previous);
+          task.updatedAt = now;
+        });
+        label = `Rescheduled ${noun} to ${dueDate}`;
+        break;
+      case 'priority':
+        selected.forEach((task) => {
+          task.priority = priority;
+          task.updatedAt = now;
+        });
+        label = `Set ${noun} to ${priority} priority`;
+        break;
+      case 'tag':
+        selected.forEach((task) => {
+          task.tags = normalizeTags([...(task.tags || []), newTag]);
+          task.updatedAt = now;
+        });
+        label = `Tagged ${noun} #${newTag}`;
+        break;
+      case 'archive':
+        archived = moveToArchiveFiles(selected);
+        tasks = tasks.filter((task) => !selected.includes(task));
+        label = `Moved ${noun} to archive files`;
+        break;
+      default:
+        break;
+    }
+
+    writeTasks(tasks);
+    commitMutation(req, `bulk-${action}`, label, beforeTasks, tasks, archived);
+
+    // Tasks still in tasks.json after the action, as saved
+    const remaining = tasks.filter((task) => selected.includes(task));
+    res.json({
+      success: true,
+      action,
+      count,
+      message: label,
+      tasks: remaining,
+    });
+  } catch (error) {
+    console.error('Error applying bulk action:', error);
+    res.status(500).json({ error: 'Failed to apply bulk action' });
+  }
+});
+
+/**
+ * POST /api/archive/cleanup
+ * Move archived tasks completed before a specified date to archive files
+ * and mark them with archivedToFile flag
+ */
+router.post('/archive/cleanup', (req, res) => {
+  try {
+    const { cutoffDate } = req.body;
+
+    if (!cutoffDate) {
+      return res.status(400).json({ error: 'Cutoff date is required' });
+    }
+
+    const beforeTasks = readTasks();
+    const tasks = readTasks();
+    const cutoffTime = new Date(cutoffDate).getTime();
+
+    // Find tasks to move (archived and completed before cutoff date)
+    const tasksToMove = tasks.filter((task) => {
       if (!task.archived || !task.completedAt) {
         return false;
       }
@@ -452,30 +1763,21 @@ router.post('/archive/cleanup', (req, res) => {
       });
     }
 
-    // Mark tasks as archivedToFile and organize by completion date
-    const tasksByDate = {};
-    tasksToMove.forEach((task) => {
-      task.archivedToFile = true;
-      // Extract date from completedAt timestamp (YYYY-MM-DD)
-      const completedDate = new Date(task.completedAt)
-        .toISOString()
-        .split('T')[0];
-      if (!tasksByDate[completedDate]) {
-        tasksByDate[completedDate] = [];
-      }
-      tasksByDate[completedDate].push(task);
-    });
-
-    // Save tasks to their respective archive files by completion date
-    Object.entries(tasksByDate).forEach(([dateStr, tasksForDate]) => {
-      archiveTasks(dateStr, tasksForDate);
-    });
+    const tasksByDate = moveToArchiveFiles(tasksToMove);
 
     // Remove moved tasks from the main list
     const remainingTasks = tasks.filter((task) => !tasksToMove.includes(task));
 
     // Write the updated tasks back
     writeTasks(remainingTasks);
+    commitMutation(
+      req,
+      'cleanup',
+      `Moved ${tasksToMove.length} tasks to archive files`,
+      beforeTasks,
+      remainingTasks,
+      tasksByDate
+    );
 
     // Return success
     res.json({
@@ -489,6 +1791,427 @@ router.post('/archive/cleanup', (req, res) => {
   }
 });
 
+/**
+ * GET /api/search
+ * Search active, completed and archived tasks. Query: q (words, "phrases"
+ * and operators such as priority:high, due:<2026-11-01, is:recurring; see
+ * utils/search.js), limit (default 50, max 200)
+ */
+router.get('/search', (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q) {
+      return res.status(400).json({ error: 'Search query is required' });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    let result;
+    try {
+      result = searchTasks([...readTasks(), ...readArchivedTasks()], q, {
+        limit,
+      });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.json({ query: q, ...result });
+  } catch (error) {
+    console.error('Error searching tasks:', error);
+    res.status(500).json({ error: 'Failed to search tasks' });
+  }
+});
+
+/**
+ * GET /api/reports/time
+ * Tracked time by day, week, priority and task, across active and archived
+ * tasks. Query: from, to (YYYY-MM-DD, inclusive; default: the last 7 days),
+ * format ('json' or 'csv')
+ */
+router.get('/reports/time', (req, res) => {
+  try {
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    const to = req.query.to || getLocalDateString();
+    const defaultFrom = new Date();
+    defaultFrom.setDate(defaultFrom.getDate() - 6);
+    const from = req.query.from || getLocalDateString(defaultFrom);
+
+    if (!datePattern.test(from) || !datePattern.test(to)) {
+      return res
+        .status(400)
+        .json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+    if (from > to) {
+      return res.status(400).json({ error: 'from must not be after to' });
+    }
+    const days = (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000);
+    if (days >= 366) {
+      return res
+        .status(400)
+        .json({ error: 'Report range cannot exceed 366 days' });
+    }
+
+    const report = buildTimeReport(
+      [...readTasks(), ...readArchivedTasks()],
+      from,
+      to
+    );
+
+    if (req.query.format === 'csv') {
+      return res
+        .type('text/csv; charset=utf-8')
+        .set(
+          'Content-Disposition',
+          `attachment; filename="timesheet_${from}_${to}.csv"`
+        )
+        .send(reportToCsv(report));
+    }
+    res.json(report);
+  } catch (error) {
+    console.error('Error building time report:', error);
+    res.status(500).json({ error: 'Failed to build time report' });
+  }
+});
+
+/**
+ * GET /api/reports/estimates
+ * Estimate accuracy over completed tasks (including archive files) that
+ * had an estimate and tracked time
+ */
+router.get('/reports/estimates', (_req, res) => {
+  try {
+    res.json(buildEstimateReport([...readTasks(), ...readArchivedTasks()]));
+  } catch (error) {
+    console.error('Error building estimate report:', error);
+    res.status(500).json({ error: 'Failed to build estimate report' });
+  }
+});
+
+/**
+ * GET /api/events
+ * Server-Sent Events stream. Sends `reminder` events when an appointment
+ * reminder is due; reminders already due are sent right after connecting.
+ */
+router.get('/events', (req, res) => {
+  addClient(req, res);
+  try {
+    checkReminders();
+  } catch (error) {
+    console.error('Error checking reminders:', error);
+  }
+});
+
+/**
+ * POST /api/tasks/:id/reminder/snooze
+ * Fire an appointment's reminder again later
+ * Body: { minutes } (positive number, or null for tomorrow morning)
+ */
+router.post('/tasks/:id/reminder/snooze', (req, res) => {
+  try {
+    const task = getTask(req.params.id);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    if (!getDueDateTime(task)) {
+      return res
+        .status(400)
+        .json({ error: 'Task is not an appointment with a due time' });
+    }
+
+    const { minutes = null } = req.body;
+    if (
+      minutes !== null &&
+      !(Number.isFinite(minutes) && minutes >= 1 && minutes <= 24 * 60)
+    ) {
+      return res
+        .status(400)
+        .json({ error: 'Minutes must be a number between 1 and 1440' });
+    }
+
+    const until = snoozeReminder(task, minutes);
+    res.json({ taskId: task.id, until: until.toISOString() });
+  } catch (error) {
+    console.error('Error snoozing reminder:', error);
+    res.status(500).json({ error: 'Failed to snooze reminder' });
+  }
+});
+
+/**
+ * GET /api/recurrence/preview
+ * Validate a recurrence rule and list its upcoming occurrences
+ * Query: rule (RRULE or 'daily'/'weekly'), start (YYYY-MM-DD), count
+ */
+router.get('/recurrence/preview', (req, res) => {
+  try {
+    const { rule, start } = req.query;
+    const count = Math.min(Math.max(parseInt(req.query.count, 10) || 5, 1), 50);
+    const startDate = /^\d{4}-\d{2}-\d{2}$/.test(start || '')
+      ? start
+      : getLocalDateString();
+
+    try {
+      validateRecurring(rule);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const dates = occurrencesBetween(rule, startDate, startDate, '9999-12-31', {
+      limit: count,
+    });
+    res.json({ rule, start: startDate, dates });
+  } catch (error) {
+    console.error('Error previewing recurrence:', error);
+    res.status(500).json({ error: 'Failed to preview recurrence' });
+  }
+});
+
+/**
+ * GET /api/projects
+ * Returns all projects
+ */
+router.get('/projects', (_req, res) => {
+  try {
+    res.json(readConfig().projects || []);
+  } catch (error) {
+    console.error('Error fetching projects:', error);
+    res.status(500).json({ error: 'Failed to fetch projects' });
+  }
+});
+
+/**
+ * POST /api/projects
+ * Create or rename a project; body: { id?, name }
+ */
+router.post('/projects', (req, res) => {
+  try {
+    const { id, name } = req.body;
+
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      return res.status(400).json({ error: 'Project name is required' });
+    }
+
+    const config = readConfig();
+    const projects = config.projects || [];
+
+    const duplicate = projects.find(
+      (p) => p.name.toLowerCase() === name.trim().toLowerCase() && p.id !== id
+    );
+    if (duplicate) {
+      return res.status(400).json({ error: 'Project name already exists' });
+    }
+
+    let project = id ? projects.find((p) => p.id === id) : null;
+    if (id && !project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (project) {
+      project.name = name.trim();
+    } else {
+      project = {
+        id: Date.now().toString(),
+        name: name.trim(),
+        createdAt: new Date().toISOString(),
+      };
+      projects.push(project);
+    }
+
+    commitConfig(req, { ...config, projects });
+    res.json(project);
+  } catch (error) {
+    console.error('Error saving project:', error);
+    res.status(500).json({ error: 'Failed to save project' });
+  }
+});
+
+/**
+ * DELETE /api/projects/:id
+ * Delete a project and unassign it from all tasks (one undo step restores
+ * both)
+ */
+router.delete('/projects/:id', (req, res) => {
+  try {
+    const { id } = req.params;
+    const config = readConfig();
+    const projects = config.projects || [];
+    const project = projects.find((p) => p.id === id);
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const beforeTasks = readTasks();
+    const tasks = readTasks();
+    tasks.forEach((task) => {
+      if (task.project === id) {
+        task.project = null;
+        task.updatedAt = new Date().toISOString();
+      }
+    });
+    const remainingProjects = projects.filter((p) => p.id !== id);
+    writeTasks(tasks);
+    commitConfig(req, { ...config, projects: remainingProjects });
+    commitMutation(
+      req,
+      'project',
+      `Deleted project "${project.name}"`,
+      beforeTasks,
+      tasks,
+      null,
+      { before: projects, after: remainingProjects }
+    );
+    res.json({ success: true, message: 'Project deleted' });
+  } catch (error) {
+    console.error('Error deleting project:', error);
+    res.status(500).json({ error: 'Failed to delete project' });
+  }
+});
+
+/**
+ * GET /api/board
+ * Returns the board columns from the config (defaults if unset or invalid)
+ */
+router.get('/board', (_req, res) => {
+  try {
+    res.json({ columns: getBoardColumns(readConfig()) });
+  } catch (error) {
+    console.error('Error fetching board:', error);
+    res.status(500).json({ error: 'Failed to fetch board' });
+  }
+});
+
+/**
+ * GET /api/views
+ * Returns built-in and custom views, each with the count and IDs of the
+ * open tasks in it
+ */
+router.get('/views', (_req, res) => {
+  try {
+    const today = getLocalDateString();
+    const tasks = readTasks().filter(
+      (task) => !task.archived && !isDeferred(task, today)
+    );
+    res.json(evaluateViews(tasks, readConfig().views || [], today));
+  } catch (error) {
+    console.error('Error fetching views:', error);
+    res.status(500).json({ error: 'Failed to fetch views' });
+  }
+});
+
+/**
+ * POST /api/views
+ * Create or update a custom view; body: { id?, name, query, filter }
+ */
+router.post('/views', (req, res) => {
+  try {
+    const { id } = req.body;
+    const config = readConfig();
+    const views = config.views || [];
+
+    let fields;
+    try {
+      fields = validateView(req.body, config.projects || []);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const duplicate = views.find(
+      (v) => v.name.toLowerCase() === fields.name.toLowerCase() && v.id !== id
+    );
+    if (duplicate) {
+      return res.status(400).json({ error: 'View name already exists' });
+    }
+
+    let view = id ? views.find((v) => v.id === id) : null;
+    if (id && !view) {
+      return res.status(404).json({ error: 'View not found' });
+    }
+
+    if (view) {
+      Object.assign(view, fields);
+    } else {
+      view = {
+        id: `view-${Date.now()}`,
+        ...fields,
+        createdAt: new Date().toISOString(),
+      };
+      views.push(view);
+    }
+
+    commitConfig(req, { ...config, views });
+    res.json(view);
+  } catch (error) {
+    console.error('Error saving view:', error);
+    res.status(500).json({ error: 'Failed to save view' });
+  }
+});
+
+/**
+ * DELETE /api/views/:id
+ * Delete a custom view
+ */
+router.delete('/views/:id', (req, res) => {
+  try {
+    const { id } = req.params;
+    const config = readConfig();
+    const views = config.views || [];
+
+    if (!views.some((v) => v.id === id)) {
+      return res.status(404).json({ error: 'View not found' });
+    }
+
+    commitConfig(req, { ...config, views: views.filter((v) => v.id !== id) });
+    res.json({ success: true, message: 'View deleted' });
+  } catch (error) {
+    console.error('Error deleting view:', error);
+    res.status(500).json({ error: 'Failed to delete view' });
+  }
+});
+
+/**
+ * POST /api/undo
+ * Revert the most recent task mutation recorded in the journal
+ */
+router.post('/undo', (req, res) => {
+  try {
+    const entry = undo();
+    if (!entry) {
+      return res.status(400).json({ error: 'Nothing to undo' });
+    }
+    broadcastTaskChanges(
+      req,
+      'undo',
+      entry.changes.map(({ id, before, after }) => ({
+        id,
+        before: after,
+        after: before,
+      }))
+    );
+    broadcastProjectChanges(req, entry);
+    res.json({ success: true, action: entry.action, label: entry.label });
+  } catch (error) {
+    console.error('Error undoing change:', error);
+    res.status(500).json({ error: 'Failed to undo' });
+  }
+});
+
+/**
+ * POST /api/redo
+ * Re-apply the most recently undone task mutation
+ */
+router.post('/redo', (req, res) => {
+  try {
+    const entry = redo();
+    if (!entry) {
+      return res.status(400).json({ error: 'Nothing to redo' });
+    }
+    broadcastTaskChanges(req, 'redo', entry.changes, entry.archived);
+    broadcastProjectChanges(req, entry);
+    res.json({ success: true, action: entry.action, label: entry.label });
+  } catch (error) {
+    console.error('Error redoing change:', error);
+    res.status(500).json({ error: 'Failed to redo' });
+  }
+});
+
 /**
  * GET /api/config
  * Returns application configuration
@@ -0,0 +1,98 @@
+/**
+ * One-shot migration from the JSON files in DATA_DIR to the SQLite backend
+ *
+ * Usage: npm run migrate:sqlite [-- --force]
+ *
+ * Copies tasks.json, config.json and every archive_YYYYMMDD.json file into
+ * the database. The JSON files are left untouched so the migration can be
+ * rolled back by switching STORAGE_BACKEND back to "json".
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const jsonStore = require('../utils/fileManager');
+const sqliteStore = require('../utils/sqliteStore');
+
+const DATA_DIR = process.env.DATA_DIR || './local_data';
+const ARCHIVE_FILE_PATTERN = /^archive_(\d{4})(\d{2})(\d{2})\.json$/;
+
+/**
+ * Read each archive file along with the date encoded in its name and when
+ * it was last written (the JSON backend's cleanup counts from that)
+ * @returns {Array<{dateStr: string, archivedAt: string, tasks: Array}>}
+ *   Archives by date
+ */
+function readArchivesByDate() {
+  return fs
+    .readdirSync(DATA_DIR)
+    .map((file) => ({ file, match: file.match(ARCHIVE_FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const filePath = path.join(DATA_DIR, file);
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return {
+        dateStr: `${match[1]}-${match[2]}-${match[3]}`,
+        archivedAt: fs.statSync(filePath).mtime.toISOString(),
+        tasks: parsed.tasks || [],
+      };
+    });
+}
+
+function migrate() {
+  const force = process.argv.includes('--force');
+
+  if (!fs.existsSync(DATA_DIR)) {
+    throw new Error(`Data directory not found: ${DATA_DIR}`);
+  }
+
+  const unrecoverable = jsonStore.recoverCorruptFiles();
+  if (unrecoverable.length > 0) {
+    throw new Error(
+      `Corrupt data file(s) with no valid snapshot: ${unrecoverable.join(', ')}`
+    );
+  }
+
+  sqliteStore.initialize();
+  const existingCount =
+    sqliteStore.readTasks().length + sqliteStore.readArchivedTasks().length;
+  if (existingCount > 0 && !force) {
+    throw new Error(
+      `${sqliteStore.SQLITE_FILE} already holds ${existingCount} tasks. Re-run with --force to overwrite them.`
+    );
+  }
+
+  const tasks = jsonStore.readTasks();
+  const archives = readArchivesByDate();
+
+  sqliteStore.writeTasks(tasks);
+  archives.forEach(({ dateStr, archivedAt, tasks: archived }) => {
+    sqliteStore.removeFromArchive(
+      dateStr,
+      archived.map((task) => task.id)
+    );
+    sqliteStore.archiveTasks(dateStr, archived, archivedAt);
+  });
+  sqliteStore.writeConfig(jsonStore.readConfig());
+  sqliteStore.close();
+
+  const archivedCount = archives.reduce(
+    (sum, archive) => sum + archive.tasks.length,
+    0
+  );
+  // eslint-disable-next-line no-console
+  console.log(`Migrated to ${sqliteStore.SQLITE_FILE}:
+  ${tasks.length} tasks from tasks.json
+  ${archivedCount} tasks from ${archives.length} archive files
+  config.json
+
+Set STORAGE_BACKEND=sqlite in .env and restart the server to use it.`);
+}
+
+try {
+  migrate();
+} catch (error) {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+}
@@ -4,11 +4,13 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const apiRoutes = require('./routes/api');
+const { ensureDataDir } = require('./utils/fileManager');
 const {
-  initializeTasksFile,
+  initialize,
   cleanupOldArchives,
-  ensureDataDir,
-} = require('./utils/fileManager');
+  recoverCorruptFiles,
+} = require('./utils/storage');
+const { startReminderScheduler } = require('./utils/reminderScheduler');
 
 const app = express();
 const DEFAULT_PORT = process.env.PORT || 3000;
@@ -169,10 +171,21 @@ function cleanup() {
       cleanup();
     });
 
+    // Restore corrupt data files from their last-known-good snapshots
+    // (JSON backend) or verify database integrity (SQLite backend)
+    const unrecoverable = recoverCorruptFiles();
+    if (unrecoverable.length > 0) {
+      throw new Error(
+        `Corrupt data file(s) with no valid snapshot: ${unrecoverable.join(', ')}`
+      );
+    }
+
     // Initialize data files
-    initializeTasksFile();
+    initialize();
     // Auto-delete archive files older than 45 days
     cleanupOldArchives();
+    // Push appointment reminders to connected clients
+    startReminderScheduler();
 
     // Middleware
     app.use(express.json());
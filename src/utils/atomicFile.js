@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || './local_data';
+const SNAPSHOT_DIR = path.join(DATA_DIR, 'snapshots');
+const SNAPSHOT_LIMIT = parseInt(process.env.SNAPSHOT_LIMIT, 10) || 5;
+
+/**
+ * Write a file atomically: write to a temp file, fsync it, then rename it
+ * over the target so readers only ever see the old or the new contents
+ * @param {string} filePath - Destination file path
+ * @param {string} contents - File contents
+ */
+function writeFileAtomic(filePath, contents) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  let fd = null;
+
+  try {
+    fd = fs.openSync(tempPath, 'w');
+    fs.writeSync(fd, contents, null, 'utf8');
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+    fd = null;
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    if (fd !== null) {
+      fs.closeSync(fd);
+    }
+    if (fs.existsSync(tempPath)) {
+      fs.unlinkSync(tempPath);
+    }
+    throw error;
+  }
+
+  // Persist the rename itself (not supported on every platform)
+  try {
+    const dirFd = fs.openSync(path.dirname(filePath), 'r');
+    fs.fsyncSync(dirFd);
+    fs.closeSync(dirFd);
+  } catch {
+    // Directory fsync is best-effort
+  }
+}
+
+/**
+ * Check whether a file contains parseable JSON
+ * @param {string} filePath - File path
+ * @returns {boolean} True if the file exists and parses
+ */
+function isValidJsonFile(filePath) {
+  try {
+    JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get snapshot files for a data file, newest first
+ * @param {string} filePath - Data file path
+ * @returns {Array<string>} Snapshot file paths
+ */
+function listSnapshots(filePath) {
+  if (!fs.existsSync(SNAPSHOT_DIR)) {
+    return [];
+  }
+
+  const prefix = `${path.basename(filePath, '.json')}_`;
+  return fs
+    .readdirSync(SNAPSHOT_DIR)
+    .filter((file) => file.startsWith(prefix) && file.endsWith('.json'))
+    .sort()
+    .reverse()
+    .map((file) => path.join(SNAPSHOT_DIR, file));
+}
+
+/**
+ * Copy the current version of a data file into the snapshot directory,
+ * keeping only the newest SNAPSHOT_LIMIT copies. Corrupt files are never
+ * snapshotted, so every snapshot is a last-known-good version.
+ * @param {string} filePath - Data file path
+ */
+function snapshotFile(filePath) {
+  if (!isValidJsonFile(filePath)) {
+    return;
+  }
+
+  if (!fs.existsSync(SNAPSHOT_DIR)) {
+    fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+  }
+
+  const stamp = new Date().toISOString().replace(/[-:.]/g, '');
+  const snapshotPath = path.join(
+    SNAPSHOT_DIR,
+    `${path.basename(filePath, '.json')}_${stamp}.json`
+  );
+  writeFileAtomic(snapshotPath, fs.readFileSync(filePath, 'utf8'));
+
+  listSnapshots(filePath)
+    .slice(SNAPSHOT_LIMIT)
+    .forEach((oldSnapshot) => fs.unlinkSync(oldSnapshot));
+}
+
+/**
+ * Snapshot the current file, then atomically replace it with new JSON data
+ * @param {string} filePath - Data file path
+ * @param {*} data - Data to serialize
+ */
+function writeJsonFile(filePath, data) {
+  snapshotFile(filePath);
+  writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Replace a corrupt data file with its newest valid snapshot. The corrupt
+ * file is kept alongside as `<name>.corrupt-<timestamp>` for inspection.
+ * @param {string} filePath - Data file path
+ * @returns {boolean} True if a snapshot was restored
+ */
+function restoreFromSnapshot(filePath) {
+  const snapshot = listSnapshots(filePath).find(isValidJsonFile);
+  if (!snapshot) {
+    return false;
+  }
+
+  if (fs.existsSync(filePath)) {
+    const stamp = new Date().toISOString().replace(/[-:.]/g, '');
+    fs.renameSync(filePath, `${filePath}.corrupt-${stamp}`);
+  }
+
+  writeFileAtomic(filePath, fs.readFileSync(snapshot, 'utf8'));
+  console.warn(
+    `Restored ${path.basename(filePath)} from snapshot ${path.basename(snapshot)}`
+  );
+  return true;
+}
+
+/**
+ * Delete all snapshots belonging to a data file
+ * @param {string} filePath - Data file path
+ */
+function removeSnapshots(filePath) {
+  listSnapshots(filePath).forEach((snapshot) => fs.unlinkSync(snapshot));
+}
+
+module.exports = {
+  writeFileAtomic,
+  writeJsonFile,
+  isValidJsonFile,
+  snapshotFile,
+  restoreFromSnapshot,
+  removeSnapshots,
+};
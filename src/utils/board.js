@@ -0,0 +1,84 @@
+/**
+ * Kanban Board
+ * Columns come from config.json (`board.columns`) as { id, name, action? }
+ * and a task's `status` is the ID of its column. A column with action
+ * 'start' holds the task being worked on and one with action 'complete'
+ * holds completed tasks; tasks enter those through the timer and completion
+ * routes (so sessions, recurring instances and streaks keep working) rather
+ * than by setting `status`.
+ */
+
+const BOARD_ACTIONS = ['start', 'complete'];
+const DEFAULT_BOARD_COLUMNS = [
+  { id: 'backlog', name: 'Backlog' },
+  { id: 'next', name: 'Next' },
+  { id: 'doing', name: 'Doing', action: 'start' },
+  { id: 'done', name: 'Done', action: 'complete' },
+];
+
+/**
+ * Validate board columns from the config
+ * @param {Array<Object>} columns - Configured columns
+ * @throws {Error} If a column is malformed, an ID or action repeats, or no
+ *   column is left for tasks that aren't started or completed
+ */
+function validateColumns(columns) {
+  if (!Array.isArray(columns) || columns.length === 0) {
+    throw new Error('board.columns must be a non-empty list');
+  }
+
+  columns.forEach((column) => {
+    if (!column || !/^[\w-]+$/.test(column.id)) {
+      throw new Error(
+        'Every board column needs an id (letters, numbers, - and _)'
+      );
+    }
+    if (typeof column.name !== 'string' || !column.name.trim()) {
+      throw new Error(`Board column "${column.id}" needs a name`);
+    }
+    if (column.action && !BOARD_ACTIONS.includes(column.action)) {
+      throw new Error(
+        `Board column "${column.id}" has an invalid action (use ${BOARD_ACTIONS.join(' or ')})`
+      );
+    }
+  });
+
+  const ids = columns.map((column) => column.id);
+  if (new Set(ids).size !== ids.length) {
+    throw new Error('Board column ids must be unique');
+  }
+  BOARD_ACTIONS.forEach((action) => {
+    if (columns.filter((column) => column.action === action).length > 1) {
+      throw new Error(`Only one board column can have action "${action}"`);
+    }
+  });
+  if (columns.every((column) => column.action)) {
+    throw new Error('At least one board column needs no action');
+  }
+}
+
+/**
+ * Get the board columns from config, falling back to the defaults when
+ * they are missing or invalid
+ * @param {Object} config - Application config
+ * @returns {Array<Object>} Columns { id, name, action }
+ */
+function getBoardColumns(config = {}) {
+  let columns = (config.board && config.board.columns) || DEFAULT_BOARD_COLUMNS;
+  try {
+    validateColumns(columns);
+  } catch (error) {
+    console.warn(`Invalid board columns in config.json: ${error.message}`);
+    columns = DEFAULT_BOARD_COLUMNS;
+  }
+  return columns.map(({ id, name, action }) => ({
+    id,
+    name: name.trim(),
+    action: action || null,
+  }));
+}
+
+module.exports = {
+  DEFAULT_BOARD_COLUMNS,
+  getBoardColumns,
+};
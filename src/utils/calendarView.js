@@ -0,0 +1,107 @@
+/**
+ * Calendar View
+ * Lays out open tasks with a due date on the days (and times) they are due.
+ * A recurring task shows up on its due date and, projected from its rule,
+ * on each later occurrence in the range. In 'completion' mode the next
+ * dates depend on when the task gets done, so they are projected as if each
+ * instance were done on its due date.
+ */
+
+const { occurrencesBetween } = require('./recurrence');
+
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+// Most projected occurrences listed per task (a daily task over 92 days)
+const MAX_OCCURRENCES = 100;
+
+/**
+ * Get the day after a YYYY-MM-DD date
+ * @param {string} dateStr - Date string
+ * @returns {string} Next day in YYYY-MM-DD format
+ */
+function nextDay(dateStr) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Create a calendar entry for a task on a date
+ * @param {Object} task - Task object
+ * @param {string} date - Date the entry is shown on (YYYY-MM-DD)
+ * @param {boolean} projected - True for a future occurrence of a recurring
+ *   task (not a saved task yet)
+ * @returns {Object} Calendar entry
+ */
+function toEntry(task, date, projected) {
+  return {
+    taskId: task.id,
+    date,
+    time: task.dueTime || null,
+    projected,
+    description: task.description,
+    priority: task.priority || 'medium',
+    isAppointment: Boolean(task.isAppointment),
+    recurring: Boolean(task.recurring),
+    inProgress: Boolean(task.inProgress),
+    project: task.project || null,
+  };
+}
+
+/**
+ * Order entries by date, then untimed before timed, then time and priority
+ * @param {Object} a - Entry
+ * @param {Object} b - Entry
+ * @returns {number} Sort order
+ */
+function compareEntries(a, b) {
+  if (a.date !== b.date) {
+    return a.date.localeCompare(b.date);
+  }
+  if (a.time !== b.time) {
+    if (!a.time) return -1;
+    if (!b.time) return 1;
+    return a.time.localeCompare(b.time);
+  }
+  return PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority];
+}
+
+/**
+ * List the calendar entries of open tasks within a date range
+ * @param {Array<Object>} tasks - Tasks from tasks.json
+ * @param {string} from - Range start (YYYY-MM-DD, inclusive)
+ * @param {string} to - Range end (YYYY-MM-DD, inclusive)
+ * @returns {Array<Object>} Entries sorted by date and time
+ */
+function buildCalendarView(tasks, from, to) {
+  const entries = [];
+
+  tasks
+    .filter((task) => !task.completed && !task.archived && task.dueDate)
+    .forEach((task) => {
+      if (task.dueDate >= from && task.dueDate <= to) {
+        entries.push(toEntry(task, task.dueDate, false));
+      }
+      if (!task.recurring || task.dueDate >= to) {
+        return;
+      }
+
+      const anchor =
+        task.recurrenceMode === 'completion'
+          ? task.dueDate
+          : task.recurrenceStart || task.dueDate;
+      const afterDue = nextDay(task.dueDate);
+      occurrencesBetween(
+        task.recurring,
+        anchor,
+        afterDue > from ? afterDue : from,
+        to,
+        { workingDaysOnly: task.workingDaysOnly, limit: MAX_OCCURRENCES }
+      ).forEach((date) => entries.push(toEntry(task, date, true)));
+    });
+
+  return entries.sort(compareEntries);
+}
+
+module.exports = {
+  buildCalendarView,
+};
@@ -0,0 +1,74 @@
+/**
+ * Server-Sent Events
+ * Keeps the open `GET /api/events` connections and pushes named events to
+ * all of them. Browsers reconnect on their own after a dropped connection.
+ */
+
+// Comment line sent periodically so proxies don't close idle connections
+const HEARTBEAT_MS = 30 * 1000;
+
+const clients = new Set();
+let heartbeatInterval = null;
+
+/**
+ * Write an event to one client
+ * @param {Object} res - Express response of the client
+ * @param {string} event - Event name
+ * @param {*} data - JSON-serializable payload
+ */
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Register a request as an event stream client
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+function addClient(req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  clients.add(res);
+  if (!heartbeatInterval) {
+    heartbeatInterval = setInterval(() => {
+      clients.forEach((client) => client.write(': ping\n\n'));
+    }, HEARTBEAT_MS);
+  }
+
+  req.on('close', () => {
+    clients.delete(res);
+    if (clients.size === 0) {
+      clearInterval(heartbeatInterval);
+      heartbeatInterval = null;
+    }
+  });
+}
+
+/**
+ * Send an event to every connected client
+ * @param {string} event - Event name
+ * @param {*} data - JSON-serializable payload
+ */
+function broadcast(event, data) {
+  clients.forEach((res) => send(res, event, data));
+}
+
+/**
+ * Get the number of connected clients
+ * @returns {number} Open connections
+ */
+function clientCount() {
+  return clients.size;
+}
+
+module.exports = {
+  addClient,
+  broadcast,
+  clientCount,
+};
@@ -1,5 +1,14 @@
 const fs = require('fs');
 const path = require('path');
+const {
+  writeJsonFile,
+  writeFileAtomic,
+  isValidJsonFile,
+  restoreFromSnapshot,
+  removeSnapshots,
+} = require('./atomicFile');
+const { DEFAULT_TIME_TRACKING } = require('./sessions');
+const { DEFAULT_BOARD_COLUMNS } = require('./board');
 
 const DATA_DIR = process.env.DATA_DIR || './local_data';
 const TASKS_FILE = path.join(DATA_DIR, 'tasks.json');
@@ -20,24 +29,28 @@ function ensureDataDir() {
 function initializeTasksFile() {
   ensureDataDir();
   if (!fs.existsSync(TASKS_FILE)) {
-    fs.writeFileSync(TASKS_FILE, JSON.stringify({ tasks: [] }, null, 2));
+    writeFileAtomic(TASKS_FILE, JSON.stringify({ tasks: [] }, null, 2));
   }
 }
 
 /**
  * Read all tasks from file
+ * Falls back to the newest snapshot if tasks.json is corrupt, and throws
+ * rather than returning an empty list that would overwrite the real data.
  * @returns {Array} Array of task objects
  */
 function readTasks() {
-  try {
-    initializeTasksFile();
-    const data = fs.readFileSync(TASKS_FILE, 'utf8');
-    const parsed = JSON.parse(data);
-    return parsed.tasks || [];
-  } catch (error) {
+  initializeTasksFile();
+  if (!isValidJsonFile(TASKS_FILE) && !restoreFromSnapshot(TASKS_FILE)) {
+    const error = new Error(
+      'tasks.json is corrupt and no snapshot is available'
+    );
     console.error('Error reading tasks file:', error);
-    return [];
+    throw error;
   }
+
+  const parsed = JSON.parse(fs.readFileSync(TASKS_FILE, 'utf8'));
+  return parsed.tasks || [];
 }
 
 /**
@@ -47,7 +60,7 @@ function readTasks() {
 function writeTasks(tasks) {
   try {
     ensureDataDir();
-    fs.writeFileSync(TASKS_FILE, JSON.stringify({ tasks }, null, 2), 'utf8');
+    writeJsonFile(TASKS_FILE, { tasks });
   } catch (error) {
     console.error('Error writing tasks file:', error);
     throw error;
@@ -64,6 +77,16 @@ function getTask(taskId) {
   return tasks.find((task) => task.id === taskId) || null;
 }
 
+/**
+ * Get the tasks with the given IDs
+ * @param {Array<string>} taskIds - Task IDs
+ * @returns {Array} Task objects that exist
+ */
+function getTasks(taskIds) {
+  const wanted = new Set(taskIds);
+  return readTasks().filter((task) => wanted.has(task.id));
+}
+
 /**
  * Add or update a task
  * @param {Object} task - Task object
@@ -83,6 +106,23 @@ function saveTask(task) {
   return task;
 }
 
+/**
+ * Update an existing task
+ * @param {Object} task - Task object
+ * @returns {Object|null} Updated task object, or null if it doesn't exist
+ */
+function updateTask(task) {
+  const tasks = readTasks();
+  const existingIndex = tasks.findIndex((t) => t.id === task.id);
+  if (existingIndex < 0) {
+    return null;
+  }
+
+  tasks[existingIndex] = task;
+  writeTasks(tasks);
+  return task;
+}
+
 /**
  * Delete a task by ID
  * @param {string} taskId - Task ID
@@ -152,13 +192,43 @@ function archiveTasks(dateStr, tasksToArchive) {
     // Add new tasks to archive
     archiveData.tasks.push(...tasksToArchive);
 
-    fs.writeFileSync(filePath, JSON.stringify(archiveData, null, 2), 'utf8');
+    writeJsonFile(filePath, archiveData);
   } catch (error) {
     console.error('Error archiving tasks:', error);
     throw error;
   }
 }
 
+/**
+ * Remove tasks from the archive file for a given date
+ * The file is deleted once it no longer holds any tasks.
+ * @param {string} dateStr - Date string in YYYY-MM-DD format
+ * @param {Array<string>} taskIds - IDs of tasks to remove
+ */
+function removeFromArchive(dateStr, taskIds) {
+  try {
+    const filePath = getArchiveFilePath(dateStr);
+    if (!fs.existsSync(filePath)) {
+      return;
+    }
+
+    const archiveData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    archiveData.tasks = archiveData.tasks.filter(
+      (task) => !taskIds.includes(task.id)
+    );
+
+    if (archiveData.tasks.length === 0) {
+      fs.unlinkSync(filePath);
+      removeSnapshots(filePath);
+    } else {
+      writeJsonFile(filePath, archiveData);
+    }
+  } catch (error) {
+    console.error('Error removing tasks from archive:', error);
+    throw error;
+  }
+}
+
 /**
  * Clean up archive files older than specified days
  * @param {number} daysOld - Delete archives older than this many days (default: 45)
@@ -176,6 +246,7 @@ function cleanupOldArchives(daysOld = 45) {
         const stats = fs.statSync(filePath);
         if (stats.mtimeMs < cutoffTime) {
           fs.unlinkSync(filePath);
+          removeSnapshots(filePath);
           // eslint-disable-next-line no-console
           console.log(`Deleted old archive file: ${file}`);
         }
@@ -202,6 +273,18 @@ function getDefaultConfig() {
         shareIt: 'Keep people in the loop',
       },
     },
+    projects: [],
+    views: [],
+    board: {
+      columns: DEFAULT_BOARD_COLUMNS.map((column) => ({ ...column })),
+    },
+    timeTracking: { ...DEFAULT_TIME_TRACKING },
+    pomodoro: {
+      workMinutes: 25,
+      shortBreakMinutes: 5,
+      longBreakMinutes: 15,
+      longBreakEvery: 4,
+    },
   };
 }
 
@@ -211,11 +294,7 @@ function getDefaultConfig() {
 function initializeConfigFile() {
   ensureDataDir();
   if (!fs.existsSync(CONFIG_FILE)) {
-    fs.writeFileSync(
-      CONFIG_FILE,
-      JSON.stringify(getDefaultConfig(), null, 2),
-      'utf8'
-    );
+    writeFileAtomic(CONFIG_FILE, JSON.stringify(getDefaultConfig(), null, 2));
   }
 }
 
@@ -241,26 +320,60 @@ function readConfig() {
 function writeConfig(config) {
   try {
     ensureDataDir();
-    fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2), 'utf8');
+    writeJsonFile(CONFIG_FILE, config);
   } catch (error) {
     console.error('Error writing config file:', error);
     throw error;
   }
 }
 
+/**
+ * Create tasks.json and config.json if they don't exist
+ */
+function initialize() {
+  initializeTasksFile();
+  initializeConfigFile();
+}
+
+/**
+ * Check tasks.json, config.json and archive files for corruption and restore
+ * any corrupt file from its newest valid snapshot. Run once at startup.
+ * @returns {Array<string>} Names of files that are corrupt and could not be restored
+ */
+function recoverCorruptFiles() {
+  ensureDataDir();
+  const archiveFiles = fs
+    .readdirSync(DATA_DIR)
+    .filter((file) => file.startsWith('archive_') && file.endsWith('.json'))
+    .map((file) => path.join(DATA_DIR, file));
+  const candidates = [TASKS_FILE, CONFIG_FILE, ...archiveFiles];
+
+  return candidates
+    .filter((filePath) => fs.existsSync(filePath))
+    .filter((filePath) => !isValidJsonFile(filePath))
+    .filter((filePath) => !restoreFromSnapshot(filePath))
+    .map((filePath) => path.basename(filePath));
+}
+
 module.exports = {
+  initialize,
   readTasks,
   writeTasks,
   getTask,
+  getTasks,
   saveTask,
+  updateTask,
   deleteTask,
   readArchivedTasks,
   archiveTasks,
+  removeFromArchive,
   getArchiveFilePath,
   cleanupOldArchives,
   ensureDataDir,
   initializeTasksFile,
+  getDefaultConfig,
   readConfig,
   writeConfig,
   initializeConfigFile,
+  recoverCorruptFiles,
 };
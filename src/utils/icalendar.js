@@ -0,0 +1,517 @@
+/**
+ * iCalendar (RFC 5545) Serialization
+ * Builds the .ics feed of tasks and appointments and parses imported
+ * .ics files. Times are written as floating local times, matching how due
+ * dates and times are stored; imported times are converted to local time.
+ */
+
+const { toRRule, validateRecurring } = require('./recurrence');
+const { getReminderOffsets, normalizeReminderMinutes } = require('./reminders');
+
+const PRODID = '-//local-task-manager//Tasks//EN';
+const UID_DOMAIN = 'local-task-manager';
+// Appointments have no end time; calendar clients get this default length
+const APPOINTMENT_DURATION = 'PT30M';
+const PRIORITY_MAP = { high: 1, medium: 5, low: 9 };
+const DURATION_UNITS = { W: /(\d+)W/, D: /(\d+)D/, H: /(\d+)H/, M: /(\d+)M/ };
+
+/**
+ * Get the stable iCalendar UID of a task
+ * Recurring instances share the UID of the task that started the series.
+ * @param {Object} task - Task object
+ * @returns {string} UID
+ */
+function getTaskUid(task) {
+  return task.uid || `${task.id}@${UID_DOMAIN}`;
+}
+
+/**
+ * Escape a TEXT property value
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets as required by RFC 5545
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line (continuation lines start with a space)
+ */
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char, 'utf8');
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Format an ISO timestamp as a UTC DATE-TIME value
+ * @param {string} isoString - ISO timestamp
+ * @returns {string} e.g. 20261019T081500Z
+ */
+function formatUtc(isoString) {
+  return (
+    new Date(isoString).toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z'
+  );
+}
+
+/**
+ * Format a due date (and optional time) as a DATE or floating DATE-TIME
+ * @param {string} name - Property name (e.g. 'DTSTART', 'DUE')
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM or null
+ * @returns {string} Content line
+ */
+function formatDateProperty(name, date, time) {
+  const day = date.replace(/-/g, '');
+  if (!time) {
+    return `${name};VALUE=DATE:${day}`;
+  }
+  return `${name}:${day}T${time.replace(':', '')}00`;
+}
+
+/**
+ * Build the DESCRIPTION text from details and links
+ * @param {Object} task - Task object
+ * @returns {string|null} Description or null if empty
+ */
+function buildDescription(task) {
+  const parts = [];
+  if (task.details) {
+    parts.push(task.details);
+  }
+  if (task.links && task.links.length > 0) {
+    parts.push(task.links.join('\n'));
+  }
+  return parts.length > 0 ? parts.join('\n\n') : null;
+}
+
+/**
+ * Build the VALARM lines for a task's reminders (one alarm per offset)
+ * Triggers are relative to DTSTART unless the component only has a DUE,
+ * where RFC 5545 needs RELATED=END.
+ * @param {Object} task - Task object
+ * @param {boolean} relatedToDue - True for a VTODO with DUE but no DTSTART
+ * @returns {Array<string>} Content lines
+ */
+function buildAlarms(task, relatedToDue = false) {
+  const trigger = relatedToDue ? 'TRIGGER;RELATED=END' : 'TRIGGER';
+  return getReminderOffsets(task).flatMap((minutes) => [
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `DESCRIPTION:${escapeText(task.description)}`,
+    `${trigger}:-PT${minutes}M`,
+    'END:VALARM',
+  ]);
+}
+
+/**
+ * Build the VEVENT (appointment) or VTODO (task) for one task
+ * @param {Object} task - Dated task
+ * @param {string} dtstamp - DTSTAMP value
+ * @returns {Array<string>} Content lines
+ */
+function buildComponent(task, dtstamp) {
+  const component = task.isAppointment ? 'VEVENT' : 'VTODO';
+  const rrule = toRRule(task.recurring, task.workingDaysOnly);
+  // Recurring series start at their anchor so COUNT/INTERVAL line up
+  const start = rrule ? task.recurrenceStart || task.dueDate : task.dueDate;
+  const description = buildDescription(task);
+
+  const lines = [
+    `BEGIN:${component}`,
+    `UID:${getTaskUid(task)}`,
+    `DTSTAMP:${dtstamp}`,
+    `SUMMARY:${escapeText(task.description)}`,
+  ];
+
+  if (task.createdAt) {
+    lines.push(`CREATED:${formatUtc(task.createdAt)}`);
+  }
+  if (task.updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatUtc(task.updatedAt)}`);
+  }
+
+  if (task.isAppointment) {
+    lines.push(formatDateProperty('DTSTART', start, task.dueTime));
+    if (task.dueTime) {
+      lines.push(`DURATION:${APPOINTMENT_DURATION}`);
+    }
+  } else {
+    // An RRULE needs DTSTART, and DUE must be later than DTSTART, so
+    // recurring to-dos carry DTSTART only
+    lines.push(
+      formatDateProperty(rrule ? 'DTSTART' : 'DUE', start, task.dueTime)
+    );
+    lines.push(`STATUS:${task.inProgress ? 'IN-PROCESS' : 'NEEDS-ACTION'}`);
+  }
+
+  if (rrule) {
+    lines.push(`RRULE:${rrule}`);
+  }
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+  if (PRIORITY_MAP[task.priority]) {
+    lines.push(`PRIORITY:${PRIORITY_MAP[task.priority]}`);
+  }
+  if (task.tags && task.tags.length > 0) {
+    lines.push(`CATEGORIES:${task.tags.map(escapeText).join(',')}`);
+  }
+
+  lines.push(
+    ...buildAlarms(task, !task.isAppointment && !rrule),
+    `END:${component}`
+  );
+  return lines;
+}
+
+/**
+ * Serialize tasks as an iCalendar document
+ * Only active tasks with a due date are included.
+ * @param {Array} tasks - Task objects
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+function buildCalendar(tasks) {
+  const dtstamp = formatUtc(new Date().toISOString());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'X-WR-CALNAME:Local Task Manager',
+  ];
+
+  tasks
+    .filter((task) => !task.archived && task.dueDate)
+    .forEach((task) => lines.push(...buildComponent(task, dtstamp)));
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Undo TEXT escaping
+ * @param {string} value - Escaped text
+ * @returns {string} Plain text
+ */
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_match, char) =>
+    char === 'n' || char === 'N' ? '\n' : char
+  );
+}
+
+/**
+ * Parse one unfolded content line into name, parameters and value
+ * @param {string} line - e.g. 'DTSTART;TZID=Europe/Berlin:20261020T093000'
+ * @returns {Object|null} { name, params, value } or null if malformed
+ */
+function parseContentLine(line) {
+  // The value starts at the first colon outside a quoted parameter value
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon < 0) {
+    return null;
+  }
+
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+  paramParts.forEach((part) => {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Parse an iCalendar document into its VEVENT and VTODO components
+ * Nested VALARMs are attached to their parent as `alarms`.
+ * @param {string} text - iCalendar text
+ * @returns {Array<Object>} Components: { type, props: { NAME: [property] }, alarms }
+ * @throws {Error} If the text is not an iCalendar document
+ */
+function parseCalendar(text) {
+  const lines = String(text)
+    .replace(/\r\n[ \t]/g, '')
+    .replace(/\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .filter((line) => line.length > 0);
+
+  if (!lines[0] || lines[0].trim().toUpperCase() !== 'BEGIN:VCALENDAR') {
+    throw new Error('Not an iCalendar file (missing BEGIN:VCALENDAR)');
+  }
+
+  const components = [];
+  const stack = [];
+
+  lines.forEach((line) => {
+    const property = parseContentLine(line.trim());
+    if (!property) {
+      return;
+    }
+
+    if (property.name === 'BEGIN') {
+      stack.push({ type: property.value.toUpperCase(), props: {}, alarms: [] });
+      return;
+    }
+
+    if (property.name === 'END') {
+      const component = stack.pop();
+      const parent = stack[stack.length - 1];
+      if (!component) {
+        return;
+      }
+      if (['VEVENT', 'VTODO'].includes(component.type)) {
+        components.push(component);
+      } else if (component.type === 'VALARM' && parent) {
+        parent.alarms.push(component);
+      }
+      return;
+    }
+
+    const current = stack[stack.length - 1];
+    if (current) {
+      current.props[property.name] = current.props[property.name] || [];
+      current.props[property.name].push(property);
+    }
+  });
+
+  return components;
+}
+
+/**
+ * Get the UTC offset of a time zone at an instant
+ * @param {number} ms - Instant in milliseconds since epoch
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Offset in milliseconds (local wall time minus UTC)
+ */
+function getTimeZoneOffset(ms, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  })
+    .formatToParts(new Date(ms))
+    .forEach((part) => {
+      parts[part.type] = part.value;
+    });
+
+  const wallTime = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second)
+  );
+  return wallTime - ms;
+}
+
+/**
+ * Convert a DATE or DATE-TIME property to a local due date and time
+ * UTC ('Z') and TZID times are converted to the server's local time;
+ * floating times and unknown TZIDs are taken as they are.
+ * @param {Object} property - Parsed property
+ * @returns {Object|null} { dueDate, dueTime } or null if unparseable
+ */
+function toLocalDateTime(property) {
+  const match =
+    property.value.match(/^(\d{4})(\d{2})(\d{2})$/) ||
+    property.value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  if (hour === undefined) {
+    return { dueDate: `${year}-${month}-${day}`, dueTime: null };
+  }
+
+  const wallTime = Date.UTC(year, month - 1, day, hour, minute, second);
+  let instant = null;
+  if (utc) {
+    instant = wallTime;
+  } else if (property.params.TZID) {
+    try {
+      const tz = property.params.TZID;
+      // Two passes so times near a DST switch pick the right offset
+      const firstGuess = wallTime - getTimeZoneOffset(wallTime, tz);
+      instant = wallTime - getTimeZoneOffset(firstGuess, tz);
+    } catch {
+      instant = null;
+    }
+  }
+
+  if (instant === null) {
+    return {
+      dueDate: `${year}-${month}-${day}`,
+      dueTime: `${hour}:${minute}`,
+    };
+  }
+
+  const local = new Date(instant);
+  const pad = (n) => String(n).padStart(2, '0');
+  return {
+    dueDate: `${local.getFullYear()}-${pad(local.getMonth() + 1)}-${pad(local.getDate())}`,
+    dueTime: `${pad(local.getHours())}:${pad(local.getMinutes())}`,
+  };
+}
+
+/**
+ * Read the reminder offsets of the VALARMs triggering before the start
+ * @param {Array} alarms - VALARM components
+ * @returns {Array<number>} Minutes before the start
+ */
+function getReminderMinutes(alarms) {
+  const offsets = [];
+  for (const alarm of alarms) {
+    const trigger = alarm.props.TRIGGER && alarm.props.TRIGGER[0];
+    if (
+      trigger &&
+      trigger.params.VALUE !== 'DATE-TIME' &&
+      trigger.value.startsWith('-P')
+    ) {
+      // e.g. -PT15M, -PT1H30M, -P1D, -P1W
+      const [datePart, timePart = ''] = trigger.value.slice(2).split('T');
+      const unit = (part, letter) => {
+        const match = part.match(DURATION_UNITS[letter]);
+        return match ? Number(match[1]) : 0;
+      };
+      const total =
+        ((unit(datePart, 'W') * 7 + unit(datePart, 'D')) * 24 +
+          unit(timePart, 'H')) *
+          60 +
+        unit(timePart, 'M');
+      if (total > 0) {
+        offsets.push(total);
+      }
+    }
+  }
+  return offsets;
+}
+
+/**
+ * Map a parsed VEVENT/VTODO onto task fields
+ * @param {Object} component - Parsed component
+ * @returns {Object} { fields, warnings } or { description, skip: reason }
+ */
+function componentToTask(component) {
+  const prop = (name) => component.props[name] && component.props[name][0];
+  const text = (name) => (prop(name) ? unescapeText(prop(name).value) : null);
+  const isEvent = component.type === 'VEVENT';
+  const status = (text('STATUS') || '').toUpperCase();
+  const description = text('SUMMARY') || '(No title)';
+
+  if (prop('RECURRENCE-ID')) {
+    return { description, skip: 'changed occurrence of a recurring series' };
+  }
+  if (status === 'CANCELLED' || status === 'COMPLETED') {
+    return { description, skip: status.toLowerCase() };
+  }
+
+  const dateProperty = isEvent
+    ? prop('DTSTART')
+    : prop('DUE') || prop('DTSTART');
+  const when = dateProperty ? toLocalDateTime(dateProperty) : null;
+  const warnings = [];
+
+  let recurring = null;
+  if (prop('RRULE')) {
+    try {
+      validateRecurring(prop('RRULE').value);
+      recurring = prop('RRULE').value.replace(/^RRULE:/i, '');
+    } catch (error) {
+      warnings.push(`recurrence dropped (${error.message})`);
+    }
+    if (!when) {
+      recurring = null;
+    }
+  }
+
+  const numericPriority = parseInt(text('PRIORITY'), 10) || 0;
+  let priority = 'medium';
+  if (numericPriority >= 1 && numericPriority <= 4) {
+    priority = 'high';
+  } else if (numericPriority >= 6) {
+    priority = 'low';
+  }
+
+  const details = [
+    text('DESCRIPTION'),
+    text('LOCATION') ? `Location: ${text('LOCATION')}` : null,
+  ]
+    .filter(Boolean)
+    .join('\n\n');
+
+  const categories = (component.props.CATEGORIES || [])
+    .flatMap((category) => category.value.split(/(?<!\\),/))
+    .map((category) =>
+      unescapeText(category)
+        .trim()
+        .toLowerCase()
+        .replace(/[^\w-]+/g, '-')
+    )
+    .filter((category) => category.length > 0);
+
+  const isAppointment = isEvent && Boolean(when);
+  return {
+    fields: {
+      uid: text('UID'),
+      description,
+      dueDate: when ? when.dueDate : null,
+      dueTime: when ? when.dueTime : null,
+      priority,
+      recurring,
+      details: details || null,
+      links: prop('URL') ? [prop('URL').value] : [],
+      tags: [...new Set(categories)],
+      isAppointment,
+      reminderMinutes: isAppointment
+        ? normalizeReminderMinutes(getReminderMinutes(component.alarms))
+        : null,
+    },
+    warnings,
+  };
+}
+
+module.exports = {
+  getTaskUid,
+  buildCalendar,
+  parseCalendar,
+  componentToTask,
+};
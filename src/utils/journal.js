@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+const { ensureDataDir } = require('./fileManager');
+const {
+  readTasks,
+  writeTasks,
+  archiveTasks,
+  removeFromArchive,
+  readConfig,
+  writeConfig,
+} = require('./storage');
+
+const DATA_DIR = process.env.DATA_DIR || './local_data';
+const JOURNAL_FILE = path.join(DATA_DIR, 'journal.jsonl');
+// Most mutations that can be undone; older ones drop off the undo stack
+const MAX_UNDO_ENTRIES = 100;
+// The journal is rewritten with just the undo/redo history past this size
+const COMPACT_AFTER_LINES = MAX_UNDO_ENTRIES * 3;
+
+// Last seq, undo/redo stacks and line count, replayed from the file once
+let state = null;
+
+/**
+ * Read all journal entries in order
+ * Lines that fail to parse (e.g. a torn final append) are skipped.
+ * @returns {Array} Journal entries
+ */
+function readJournal() {
+  if (!fs.existsSync(JOURNAL_FILE)) {
+    return [];
+  }
+
+  return fs
+    .readFileSync(JOURNAL_FILE, 'utf8')
+    .split('\n')
+    .filter((line) => line.trim())
+    .reduce((entries, line) => {
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        console.warn('Skipping unreadable journal line');
+      }
+      return entries;
+    }, []);
+}
+
+/**
+ * Apply a journal entry to the undo and redo stacks
+ * @param {{undo: Array, redo: Array}} stacks - Stacks (modified in place)
+ * @param {Object} entry - Journal entry
+ */
+function applyToStacks(stacks, entry) {
+  if (entry.type === 'mutation') {
+    stacks.undo.push(entry);
+    stacks.redo = [];
+    if (stacks.undo.length > MAX_UNDO_ENTRIES) {
+      stacks.undo.shift();
+    }
+  } else if (entry.type === 'undo' && stacks.undo.length > 0) {
+    stacks.redo.push(stacks.undo.pop());
+  } else if (entry.type === 'redo' && stacks.redo.length > 0) {
+    stacks.undo.push(stacks.redo.pop());
+  }
+}
+
+/**
+ * Get the journal state, replaying the file on first use
+ * @returns {{seq: number, undo: Array, redo: Array, lines: number}} State
+ */
+function getState() {
+  if (!state) {
+    const entries = readJournal();
+    state = { seq: 0, undo: [], redo: [], lines: entries.length };
+    entries.forEach((entry) => {
+      state.seq = Math.max(state.seq, entry.seq);
+      applyToStacks(state, entry);
+    });
+  }
+  return state;
+}
+
+/**
+ * Write entries to a file and flush it to disk
+ * @param {string} filePath - File to write
+ * @param {string} flags - 'a' to append, 'w' to replace
+ * @param {Array<Object>} entries - Journal entries
+ */
+function writeEntries(filePath, flags, entries) {
+  const fd = fs.openSync(filePath, flags);
+  try {
+    const lines = entries.map((entry) => `${JSON.stringify(entry)}\n`);
+    fs.writeSync(fd, lines.join(''), null, 'utf8');
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Rewrite the journal with only the entries that rebuild the current undo
+ * and redo stacks: the undoable mutations, then the undone ones followed by
+ * an undo entry for each
+ */
+function compactJournal() {
+  const current = getState();
+  const timestamp = new Date().toISOString();
+  const undone = [...current.redo].reverse();
+  const entries = [
+    ...current.undo,
+    ...undone,
+    ...current.redo.map((entry) => ({
+      seq: (current.seq += 1),
+      timestamp,
+      type: 'undo',
+      target: entry.seq,
+    })),
+  ];
+
+  const tempFile = `${JOURNAL_FILE}.tmp`;
+  writeEntries(tempFile, 'w', entries);
+  fs.renameSync(tempFile, JOURNAL_FILE);
+  current.lines = entries.length;
+}
+
+/**
+ * Append an entry to the journal and flush it to disk
+ * @param {Object} entry - Journal entry
+ * @returns {Object} Entry with seq and timestamp assigned
+ */
+function appendEntry(entry) {
+  ensureDataDir();
+  const current = getState();
+  const fullEntry = {
+    seq: current.seq + 1,
+    timestamp: new Date().toISOString(),
+    ...entry,
+  };
+
+  writeEntries(JOURNAL_FILE, 'a', [fullEntry]);
+  current.seq = fullEntry.seq;
+  current.lines += 1;
+  applyToStacks(current, fullEntry);
+
+  if (current.lines > COMPACT_AFTER_LINES) {
+    compactJournal();
+  }
+  return fullEntry;
+}
+
+/**
+ * Record a task mutation as the per-task difference between two task lists
+ * @param {string} action - Mutation name (e.g. 'delete', 'complete')
+ * @param {string} label - Human-readable description for the undo toast
+ * @param {Array} beforeTasks - tasks.json contents before the mutation
+ * @param {Array} afterTasks - tasks.json contents after the mutation
+ * @param {Object} archived - Tasks written to archive files, keyed by date
+ * @param {Object} projects - { before, after } project lists, when the
+ *   mutation also changed the projects in config.json
+ * @returns {Object|null} Recorded entry, or null if nothing changed
+ */
+function recordMutation(
+  action,
+  label,
+  beforeTasks,
+  afterTasks,
+  archived = null,
+  projects = null
+) {
+  const beforeById = new Map(beforeTasks.map((task) => [task.id, task]));
+  const afterById = new Map(afterTasks.map((task) => [task.id, task]));
+  const ids = new Set([...beforeById.keys(), ...afterById.keys()]);
+
+  const changes = [];
+  ids.forEach((id) => {
+    const before = beforeById.get(id) || null;
+    const after = afterById.get(id) || null;
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({ id, before, after });
+    }
+  });
+
+  if (changes.length === 0 && !archived && !projects) {
+    return null;
+  }
+
+  return appendEntry({
+    type: 'mutation',
+    action,
+    label,
+    changes,
+    archived,
+    projects,
+  });
+}
+
+/**
+ * Apply one side ('before' or 'after') of a mutation to tasks.json (and the
+ * projects in config.json, if it changed them)
+ * @param {Object} entry - Mutation entry
+ * @param {string} side - 'before' to undo, 'after' to redo
+ */
+function applyEntry(entry, side) {
+  let tasks = readTasks();
+
+  entry.changes.forEach((change) => {
+    const state = change[side];
+    const index = tasks.findIndex((task) => task.id === change.id);
+    if (state === null) {
+      tasks = tasks.filter((task) => task.id !== change.id);
+    } else if (index >= 0) {
+      tasks[index] = state;
+    } else {
+      tasks.push(state);
+    }
+  });
+
+  if (entry.archived) {
+    Object.entries(entry.archived).forEach(([dateStr, archivedTasks]) => {
+      if (side === 'before') {
+        removeFromArchive(
+          dateStr,
+          archivedTasks.map((task) => task.id)
+        );
+      } else {
+        archiveTasks(dateStr, archivedTasks);
+      }
+    });
+  }
+
+  if (entry.projects) {
+    writeConfig({ ...readConfig(), projects: entry.projects[side] });
+  }
+
+  writeTasks(tasks);
+}
+
+/**
+ * Undo the most recent mutation that hasn't been undone yet
+ * @returns {Object|null} Undone entry, or null if there is nothing to undo
+ */
+function undo() {
+  const { undo: undoStack } = getState();
+  const entry = undoStack[undoStack.length - 1];
+  if (!entry) {
+    return null;
+  }
+
+  applyEntry(entry, 'before');
+  appendEntry({ type: 'undo', target: entry.seq });
+  return entry;
+}
+
+/**
+ * Redo the most recently undone mutation
+ * @returns {Object|null} Redone entry, or null if there is nothing to redo
+ */
+function redo() {
+  const { redo: redoStack } = getState();
+  const entry = redoStack[redoStack.length - 1];
+  if (!entry) {
+    return null;
+  }
+
+  applyEntry(entry, 'after');
+  appendEntry({ type: 'redo', target: entry.seq });
+  return entry;
+}
+
+module.exports = {
+  recordMutation,
+  undo,
+  redo,
+  readJournal,
+};
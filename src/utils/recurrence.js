@@ -0,0 +1,476 @@
+/**
+ * Recurrence Engine
+ * Computes occurrences of iCalendar RRULE-style recurrence rules
+ * (RFC 5545 subset: FREQ, INTERVAL, BYDAY, BYMONTHDAY, BYMONTH, BYSETPOS,
+ * COUNT, UNTIL). Dates are whole days in YYYY-MM-DD format.
+ */
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+// 'schedule': next instance follows the series; 'completion': it is
+// measured from the day the previous instance was completed
+const RECURRENCE_MODES = ['schedule', 'completion'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stop searching after this many empty periods (e.g. BYMONTHDAY=30 with
+// BYMONTH=2 never matches)
+const MAX_EMPTY_PERIODS = 1000;
+
+/**
+ * Map the legacy `recurring` values onto equivalent RRULEs
+ * @param {string} recurring - 'daily', 'weekly' or an RRULE string
+ * @param {boolean} workingDaysOnly - Legacy weekdays-only flag for 'daily'
+ * @returns {string|null} RRULE string or null if not recurring
+ */
+function toRRule(recurring, workingDaysOnly = false) {
+  if (!recurring) {
+    return null;
+  }
+  if (recurring === 'daily') {
+    return workingDaysOnly ? 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR' : 'FREQ=DAILY';
+  }
+  if (recurring === 'weekly') {
+    return 'FREQ=WEEKLY';
+  }
+  return recurring.replace(/^RRULE:/i, '');
+}
+
+/**
+ * Parse a comma-separated list of integers within a range
+ * @param {string} key - Rule part name (for error messages)
+ * @param {string} value - Raw value
+ * @param {number} min - Minimum absolute value
+ * @param {number} max - Maximum absolute value
+ * @returns {Array<number>} Parsed integers
+ */
+function parseIntList(key, value, min, max) {
+  return value.split(',').map((part) => {
+    const n = Number(part);
+    if (!Number.isInteger(n) || Math.abs(n) < min || Math.abs(n) > max) {
+      throw new Error(`Invalid ${key} value: ${part}`);
+    }
+    return n;
+  });
+}
+
+/**
+ * Parse an UNTIL value (YYYYMMDD, YYYYMMDDTHHMMSSZ or YYYY-MM-DD)
+ * @param {string} value - Raw value
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function parseUntil(value) {
+  const digits = value.replace(/-/g, '').replace(/T\d{6}Z?$/, '');
+  const match = digits.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (!match) {
+    throw new Error(`Invalid UNTIL value: ${value}`);
+  }
+  return `${match[1]}-${match[2]}-${match[3]}`;
+}
+
+/**
+ * Parse and validate an RRULE string
+ * @param {string} ruleString - e.g. 'FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH'
+ * @returns {Object} Parsed rule
+ * @throws {Error} If the rule is malformed or unsupported
+ */
+function parseRRule(ruleString) {
+  if (typeof ruleString !== 'string' || ruleString.trim().length === 0) {
+    throw new Error('Recurrence rule is required');
+  }
+
+  const rule = {
+    freq: null,
+    interval: 1,
+    byDay: [],
+    byMonthDay: [],
+    byMonth: [],
+    bySetPos: [],
+    count: null,
+    until: null,
+  };
+
+  ruleString
+    .trim()
+    .replace(/^RRULE:/i, '')
+    .split(';')
+    .filter((part) => part.length > 0)
+    .forEach((part) => {
+      const [rawKey, value] = part.split('=');
+      const key = (rawKey || '').toUpperCase();
+      if (!value) {
+        throw new Error(`Invalid rule part: ${part}`);
+      }
+
+      switch (key) {
+        case 'FREQ':
+          if (!FREQUENCIES.includes(value.toUpperCase())) {
+            throw new Error(`Unsupported FREQ: ${value}`);
+          }
+          rule.freq = value.toUpperCase();
+          break;
+        case 'INTERVAL':
+          [rule.interval] = parseIntList(key, value, 1, 1000);
+          if (rule.interval < 1) {
+            throw new Error('INTERVAL must be positive');
+          }
+          break;
+        case 'BYDAY':
+          rule.byDay = value.split(',').map((day) => {
+            const match = day.toUpperCase().match(/^([+-]?\d*)([A-Z]{2})$/);
+            if (!match || !WEEKDAYS.includes(match[2])) {
+              throw new Error(`Invalid BYDAY value: ${day}`);
+            }
+            const ordinal = match[1] ? Number(match[1]) : null;
+            if (
+              ordinal !== null &&
+              (!Number.isInteger(ordinal) ||
+                ordinal === 0 ||
+                Math.abs(ordinal) > 53)
+            ) {
+              throw new Error(`Invalid BYDAY value: ${day}`);
+            }
+            return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+          });
+          break;
+        case 'BYMONTHDAY':
+          rule.byMonthDay = parseIntList(key, value, 1, 31);
+          break;
+        case 'BYMONTH':
+          rule.byMonth = parseIntList(key, value, 1, 12);
+          if (rule.byMonth.some((month) => month < 1)) {
+            throw new Error('BYMONTH values must be 1-12');
+          }
+          break;
+        case 'BYSETPOS':
+          rule.bySetPos = parseIntList(key, value, 1, 366);
+          break;
+        case 'COUNT':
+          [rule.count] = parseIntList(key, value, 1, 10000);
+          if (rule.count < 1) {
+            throw new Error('COUNT must be positive');
+          }
+          break;
+        case 'UNTIL':
+          rule.until = parseUntil(value);
+          break;
+        case 'WKST':
+          if (value.toUpperCase() !== 'MO') {
+            throw new Error('Only WKST=MO is supported');
+          }
+          break;
+        default:
+          throw new Error(`Unsupported rule part: ${key}`);
+      }
+    });
+
+  if (!rule.freq) {
+    throw new Error('FREQ is required');
+  }
+  if (rule.count && rule.until) {
+    throw new Error('COUNT and UNTIL cannot both be set');
+  }
+  if (
+    rule.byDay.some((day) => day.ordinal !== null) &&
+    !['MONTHLY', 'YEARLY'].includes(rule.freq)
+  ) {
+    throw new Error('Numbered BYDAY (e.g. -1FR) needs FREQ=MONTHLY or YEARLY');
+  }
+  if (rule.byMonthDay.length > 0 && rule.freq === 'WEEKLY') {
+    throw new Error('BYMONTHDAY cannot be used with FREQ=WEEKLY');
+  }
+
+  return rule;
+}
+
+/**
+ * Validate a `recurring` value (legacy keyword or RRULE)
+ * @param {string} recurring - Value to validate
+ * @throws {Error} If invalid
+ */
+function validateRecurring(recurring) {
+  parseRRule(toRRule(recurring));
+}
+
+/**
+ * Convert YYYY-MM-DD to a UTC midnight timestamp
+ * @param {string} dateStr - Date string
+ * @returns {number} Milliseconds since epoch
+ */
+function toUtc(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+}
+
+/**
+ * Format a UTC midnight timestamp as YYYY-MM-DD
+ * @param {number} ms - Milliseconds since epoch
+ * @returns {string} Date string
+ */
+function fromUtc(ms) {
+  return new Date(ms).toISOString().split('T')[0];
+}
+
+/**
+ * Days of a month as UTC timestamps
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @returns {Array<number>} Timestamps
+ */
+function daysInMonth(year, month) {
+  const count = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return Array.from({ length: count }, (_, i) => Date.UTC(year, month, i + 1));
+}
+
+/**
+ * Apply BYMONTHDAY and BYDAY to the days of a month or year
+ * @param {Array<number>} days - Candidate days (one month or one year)
+ * @param {Object} rule - Parsed rule
+ * @returns {Array<number>} Matching days
+ */
+function expandWithin(days, rule) {
+  let result = days;
+
+  if (rule.byMonthDay.length > 0) {
+    result = result.filter((ms) => {
+      const date = new Date(ms);
+      const monthLength = new Date(
+        Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)
+      ).getUTCDate();
+      return rule.byMonthDay.some((n) =>
+        n > 0
+          ? date.getUTCDate() === n
+          : date.getUTCDate() === monthLength + n + 1
+      );
+    });
+  }
+
+  if (rule.byDay.length > 0) {
+    result = result.filter((ms) =>
+      rule.byDay.some(({ weekday, ordinal }) => {
+        if (new Date(ms).getUTCDay() !== weekday) {
+          return false;
+        }
+        if (ordinal === null) {
+          return true;
+        }
+        const sameWeekday = days.filter(
+          (d) => new Date(d).getUTCDay() === weekday
+        );
+        const index = ordinal > 0 ? ordinal - 1 : sameWeekday.length + ordinal;
+        return sameWeekday[index] === ms;
+      })
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Expand the candidate days of one period (day/week/month/year)
+ * @param {Object} rule - Parsed rule
+ * @param {number} periodIndex - Period number counted from the start
+ * @param {number} start - DTSTART as UTC timestamp
+ * @returns {Array<number>} Sorted candidate days in the period
+ */
+function expandPeriod(rule, periodIndex, start) {
+  const startDate = new Date(start);
+  const step = periodIndex * rule.interval;
+  let days;
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const day = start + step * DAY_MS;
+      days = expandWithin([day], { ...rule, byDay: rule.byDay });
+      break;
+    }
+    case 'WEEKLY': {
+      // Weeks start on Monday (WKST=MO)
+      const mondayOffset = (startDate.getUTCDay() + 6) % 7;
+      const weekStart = start - mondayOffset * DAY_MS + step * 7 * DAY_MS;
+      const week = Array.from({ length: 7 }, (_, i) => weekStart + i * DAY_MS);
+      days =
+        rule.byDay.length > 0
+          ? expandWithin(week, rule)
+          : week.filter(
+              (ms) => new Date(ms).getUTCDay() === startDate.getUTCDay()
+            );
+      break;
+    }
+    case 'MONTHLY': {
+      const monthDate = new Date(
+        Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth() + step, 1)
+      );
+      const month = daysInMonth(
+        monthDate.getUTCFullYear(),
+        monthDate.getUTCMonth()
+      );
+      days =
+        rule.byDay.length > 0 || rule.byMonthDay.length > 0
+          ? expandWithin(month, rule)
+          : month.filter(
+              (ms) => new Date(ms).getUTCDate() === startDate.getUTCDate()
+            );
+      break;
+    }
+    case 'YEARLY': {
+      const year = startDate.getUTCFullYear() + step;
+      const months =
+        rule.byMonth.length > 0 ? rule.byMonth : [startDate.getUTCMonth() + 1];
+      if (rule.byDay.length > 0 || rule.byMonthDay.length > 0) {
+        days =
+          rule.byMonth.length > 0
+            ? months.flatMap((m) =>
+                expandWithin(daysInMonth(year, m - 1), rule)
+              )
+            : expandWithin(
+                Array.from({ length: 12 }, (_, m) =>
+                  daysInMonth(year, m)
+                ).flat(),
+                rule
+              );
+      } else {
+        days = months.flatMap((m) =>
+          daysInMonth(year, m - 1).filter(
+            (ms) => new Date(ms).getUTCDate() === startDate.getUTCDate()
+          )
+        );
+      }
+      break;
+    }
+    default:
+      days = [];
+  }
+
+  if (rule.byMonth.length > 0 && rule.freq !== 'YEARLY') {
+    days = days.filter((ms) =>
+      rule.byMonth.includes(new Date(ms).getUTCMonth() + 1)
+    );
+  }
+
+  days.sort((a, b) => a - b);
+
+  if (rule.bySetPos.length > 0) {
+    days = rule.bySetPos
+      .map((pos) => (pos > 0 ? days[pos - 1] : days[days.length + pos]))
+      .filter((ms) => ms !== undefined)
+      .sort((a, b) => a - b);
+  }
+
+  return days;
+}
+
+/**
+ * Iterate the occurrences of a rule in order, starting at DTSTART
+ * DTSTART itself always counts as the first occurrence (as in RFC 5545).
+ * @param {Object} rule - Parsed rule
+ * @param {string} dtstart - Series start in YYYY-MM-DD format
+ * @yields {string} Occurrence dates in YYYY-MM-DD format
+ */
+function* iterateOccurrences(rule, dtstart) {
+  const start = toUtc(dtstart);
+  const until = rule.until ? toUtc(rule.until) : null;
+  let emitted = 0;
+  let emptyPeriods = 0;
+
+  const emit = (ms) => {
+    emitted += 1;
+    return fromUtc(ms);
+  };
+
+  yield emit(start);
+
+  for (let period = 0; emptyPeriods < MAX_EMPTY_PERIODS; period++) {
+    const days = expandPeriod(rule, period, start).filter((ms) => ms > start);
+    emptyPeriods = days.length === 0 ? emptyPeriods + 1 : 0;
+
+    for (const ms of days) {
+      if (
+        (until !== null && ms > until) ||
+        (rule.count && emitted >= rule.count)
+      ) {
+        return;
+      }
+      yield emit(ms);
+    }
+  }
+}
+
+/**
+ * Get the due date of the instance that follows a completed one
+ * In 'schedule' mode the series keeps its anchor and occurrences missed
+ * while the task was overdue are skipped. In 'completion' mode the rule is
+ * re-anchored on the completion date and COUNT is checked against the
+ * number of instances created so far.
+ * @param {Object} task - Completed recurring task
+ * @param {string} completedDate - Local completion date (YYYY-MM-DD)
+ * @returns {string|null} Next due date, or null once the series has ended
+ */
+function nextInstanceDate(task, completedDate) {
+  const rule = parseRRule(toRRule(task.recurring, task.workingDaysOnly));
+
+  if (task.recurrenceMode === 'completion') {
+    if (rule.count && (task.recurrenceCount || 1) >= rule.count) {
+      return null;
+    }
+    for (const date of iterateOccurrences(
+      { ...rule, count: null },
+      completedDate
+    )) {
+      if (date > completedDate) {
+        return date;
+      }
+    }
+    return null;
+  }
+
+  // Catch up: the next instance is due today at the earliest
+  const yesterday = fromUtc(toUtc(completedDate) - DAY_MS);
+  const afterDate = task.dueDate > yesterday ? task.dueDate : yesterday;
+  for (const date of iterateOccurrences(
+    rule,
+    task.recurrenceStart || task.dueDate
+  )) {
+    if (date > afterDate) {
+      return date;
+    }
+  }
+  return null;
+}
+
+/**
+ * List occurrences within a date range (inclusive)
+ * @param {string} recurring - 'daily', 'weekly' or an RRULE string
+ * @param {string} dtstart - Series start in YYYY-MM-DD format
+ * @param {string} fromDate - Range start (YYYY-MM-DD)
+ * @param {string} toDate - Range end (YYYY-MM-DD)
+ * @param {Object} options - { workingDaysOnly, limit }
+ * @returns {Array<string>} Occurrence dates
+ */
+function occurrencesBetween(
+  recurring,
+  dtstart,
+  fromDate,
+  toDate,
+  { workingDaysOnly = false, limit = 500 } = {}
+) {
+  const rule = parseRRule(toRRule(recurring, workingDaysOnly));
+  const dates = [];
+  for (const date of iterateOccurrences(rule, dtstart)) {
+    if (date > toDate || dates.length >= limit) {
+      break;
+    }
+    if (date >= fromDate) {
+      dates.push(date);
+    }
+  }
+  return dates;
+}
+
+module.exports = {
+  RECURRENCE_MODES,
+  toRRule,
+  parseRRule,
+  validateRecurring,
+  nextInstanceDate,
+  occurrencesBetween,
+};
@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const { ensureDataDir } = require('./fileManager');
+const { writeFileAtomic } = require('./atomicFile');
+const { readTasks } = require('./storage');
+const { broadcast, clientCount } = require('./eventStream');
+const { getReminderOffsets } = require('./reminders');
+
+/**
+ * Reminder Scheduler
+ * Checks appointments once a minute and pushes due reminders to connected
+ * clients as `reminder` events. Fired reminder offsets and snoozes are kept
+ * in local_data/reminders.json, keyed by task ID together with the due
+ * date/time they were for, so moving an appointment re-arms its reminders.
+ */
+
+const DATA_DIR = process.env.DATA_DIR || './local_data';
+const REMINDERS_FILE = path.join(DATA_DIR, 'reminders.json');
+const CHECK_INTERVAL_MS = 60 * 1000;
+// Reminders still fire this long after the appointment started
+const GRACE_MS = 5 * 60 * 1000;
+// Hour of day (server local time) at which "until tomorrow" snoozes fire
+const SNOOZE_TOMORROW_HOUR = 9;
+
+let checkInterval = null;
+
+/**
+ * Read scheduler state from reminders.json
+ * @returns {Object} { fired: { [taskId]: { due, offsets, firedAt } },
+ *   snoozed: { [taskId]: { due, until } } }
+ */
+function readState() {
+  const empty = { fired: {}, snoozed: {} };
+  try {
+    if (!fs.existsSync(REMINDERS_FILE)) {
+      return empty;
+    }
+    return {
+      ...empty,
+      ...JSON.parse(fs.readFileSync(REMINDERS_FILE, 'utf8')),
+    };
+  } catch (error) {
+    console.warn('Unreadable reminders.json, starting with no fired reminders');
+    return empty;
+  }
+}
+
+/**
+ * Write scheduler state to reminders.json
+ * @param {Object} state - Scheduler state
+ */
+function writeState(state) {
+  ensureDataDir();
+  writeFileAtomic(REMINDERS_FILE, JSON.stringify(state, null, 2));
+}
+
+/**
+ * Get the local date/time an appointment is due
+ * @param {Object} task - Task object
+ * @returns {Date|null} Due date/time, or null if the task has no reminder
+ */
+function getDueDateTime(task) {
+  if (!task.isAppointment || !task.dueDate || !task.dueTime) {
+    return null;
+  }
+  const due = new Date(`${task.dueDate}T${task.dueTime}`);
+  return Number.isNaN(due.getTime()) ? null : due;
+}
+
+/**
+ * Get the key identifying which due date/time a state entry is for
+ * @param {Object} task - Task object
+ * @returns {string} e.g. "2026-10-19T15:00"
+ */
+function getDueKey(task) {
+  return `${task.dueDate}T${task.dueTime}`;
+}
+
+/**
+ * Drop state entries of tasks that are gone, completed or rescheduled
+ * @param {Object} state - Scheduler state (modified in place)
+ * @param {Array<Object>} tasks - Current tasks
+ * @returns {boolean} True if anything was removed
+ */
+function pruneState(state, tasks) {
+  const dueKeys = new Map(
+    tasks
+      .filter((task) => !task.completed && getDueDateTime(task))
+      .map((task) => [task.id, getDueKey(task)])
+  );
+  let changed = false;
+
+  [state.fired, state.snoozed].forEach((entries) => {
+    Object.keys(entries).forEach((taskId) => {
+      if (dueKeys.get(taskId) !== entries[taskId].due) {
+        delete entries[taskId];
+        changed = true;
+      }
+    });
+  });
+
+  return changed;
+}
+
+/**
+ * Find appointments with a reminder to fire
+ * A reminder offset is due from `offset` minutes before the appointment
+ * until the grace period after it. When several offsets are due at once
+ * (e.g. the page was closed) a single reminder fires for the latest one and
+ * all of them count as fired. A snoozed reminder fires once the snooze is
+ * over, even if the appointment has started by then, unless a newer offset
+ * fires first.
+ * @param {Array<Object>} tasks - Current tasks
+ * @param {Object} state - Scheduler state
+ * @param {number} nowMs - Current time (epoch ms)
+ * @returns {Array<Object>} { task, dueDateTime, offsets, snoozed } where
+ *   offsets are the newly due offsets (empty for a snoozed reminder)
+ */
+function findDueReminders(tasks, state, nowMs) {
+  const due = [];
+
+  tasks.forEach((task) => {
+    const dueDateTime = task.completed ? null : getDueDateTime(task);
+    if (!dueDateTime) {
+      return;
+    }
+
+    const dueKey = getDueKey(task);
+    const dueMs = dueDateTime.getTime();
+    const fired = state.fired[task.id];
+    const firedOffsets = fired && fired.due === dueKey ? fired.offsets : [];
+
+    const offsets = getReminderOffsets(task).filter(
+      (offset) =>
+        !firedOffsets.includes(offset) &&
+        nowMs >= dueMs - offset * 60000 &&
+        nowMs <= dueMs + GRACE_MS
+    );
+    if (offsets.length > 0) {
+      due.push({ task, dueDateTime, offsets, snoozed: false });
+      return;
+    }
+
+    const snooze = state.snoozed[task.id];
+    if (snooze && snooze.due === dueKey && nowMs >= Date.parse(snooze.until)) {
+      due.push({ task, dueDateTime, offsets: [], snoozed: true });
+    }
+  });
+
+  return due;
+}
+
+/**
+ * Fire due reminders to connected clients
+ * Nothing is fired (or recorded) while no client is connected, so a
+ * reminder still inside its window goes out as soon as a page opens.
+ * @param {Date} now - Current time (default: now)
+ * @returns {Array<Object>} Reminders sent
+ */
+function checkReminders(now = new Date()) {
+  if (clientCount() === 0) {
+    return [];
+  }
+
+  const tasks = readTasks();
+  const state = readState();
+  const pruned = pruneState(state, tasks);
+
+  const reminders = findDueReminders(tasks, state, now.getTime()).map(
+    ({ task, dueDateTime, offsets, snoozed }) => {
+      const fired = state.fired[task.id];
+      const firedOffsets = fired ? fired.offsets : [];
+      delete state.snoozed[task.id];
+      state.fired[task.id] = {
+        due: getDueKey(task),
+        offsets: [...firedOffsets, ...offsets],
+        firedAt: now.toISOString(),
+      };
+      return {
+        taskId: task.id,
+        description: task.description,
+        dueDate: task.dueDate,
+        dueTime: task.dueTime,
+        dueAt: dueDateTime.toISOString(),
+        // Offset this reminder is for; null when a snooze ran out
+        minutesBefore: snoozed ? null : Math.min(...offsets),
+        snoozed,
+      };
+    }
+  );
+
+  if (pruned || reminders.length > 0) {
+    writeState(state);
+  }
+  reminders.forEach((reminder) => broadcast('reminder', reminder));
+  return reminders;
+}
+
+/**
+ * Snooze a task's reminder
+ * @param {Object} task - Appointment task
+ * @param {number|null} minutes - Minutes to snooze, or null for tomorrow
+ *   morning
+ * @param {Date} now - Current time (default: now)
+ * @returns {Date} When the reminder fires again
+ */
+function snoozeReminder(task, minutes, now = new Date()) {
+  let until;
+  if (minutes) {
+    until = new Date(now.getTime() + minutes * 60000);
+  } else {
+    until = new Date(now);
+    until.setDate(until.getDate() + 1);
+    until.setHours(SNOOZE_TOMORROW_HOUR, 0, 0, 0);
+  }
+
+  const state = readState();
+  state.snoozed[task.id] = { due: getDueKey(task), until: until.toISOString() };
+  writeState(state);
+  return until;
+}
+
+/**
+ * Start checking reminders every minute
+ */
+function startReminderScheduler() {
+  if (checkInterval) {
+    return;
+  }
+  checkInterval = setInterval(() => {
+    try {
+      checkReminders();
+    } catch (error) {
+      console.error('Error checking reminders:', error);
+    }
+  }, CHECK_INTERVAL_MS);
+}
+
+module.exports = {
+  getDueDateTime,
+  checkReminders,
+  snoozeReminder,
+  startReminderScheduler,
+};
@@ -0,0 +1,79 @@
+/**
+ * Appointment Reminder Offsets
+ * `reminderMinutes` lists how many minutes before an appointment its
+ * reminders fire, e.g. [1440, 60, 10]. Tasks saved before multiple
+ * reminders existed hold a single number, which reads as a one-item list.
+ */
+
+const DEFAULT_REMINDER_MINUTES = [30];
+const MAX_REMINDERS = 5;
+// Four weeks
+const MAX_REMINDER_MINUTES = 28 * 24 * 60;
+
+/**
+ * Check whether a value is a usable reminder offset
+ * @param {*} minutes - Candidate offset
+ * @returns {boolean} True for whole minutes within range
+ */
+function isValidOffset(minutes) {
+  return (
+    Number.isInteger(minutes) && minutes >= 1 && minutes <= MAX_REMINDER_MINUTES
+  );
+}
+
+/**
+ * Turn a number or list into sorted reminder offsets, earliest reminder
+ * first. Invalid entries are dropped; an empty result falls back to the
+ * default.
+ * @param {number|Array<number>|null} value - Offsets in minutes
+ * @returns {Array<number>} Unique offsets, largest first
+ */
+function normalizeReminderMinutes(value) {
+  const list = Array.isArray(value) ? value : [value];
+  const offsets = [...new Set(list.filter(isValidOffset))]
+    .sort((a, b) => b - a)
+    .slice(0, MAX_REMINDERS);
+  return offsets.length > 0 ? offsets : [...DEFAULT_REMINDER_MINUTES];
+}
+
+/**
+ * Validate submitted reminder offsets
+ * @param {number|Array<number>|null} value - Offsets in minutes
+ * @throws {Error} If an offset is invalid or there are too many
+ */
+function validateReminderMinutes(value) {
+  if (value === null || value === undefined) {
+    return;
+  }
+
+  const list = Array.isArray(value) ? value : [value];
+  if (!list.every(isValidOffset)) {
+    throw new Error(
+      `Reminders must be whole minutes between 1 and ${MAX_REMINDER_MINUTES}`
+    );
+  }
+  if (new Set(list).size > MAX_REMINDERS) {
+    throw new Error(
+      `An appointment can have at most ${MAX_REMINDERS} reminders`
+    );
+  }
+}
+
+/**
+ * Get a task's reminder offsets
+ * @param {Object} task - Task object
+ * @returns {Array<number>} Offsets in minutes, largest first (empty for
+ *   tasks that aren't appointments)
+ */
+function getReminderOffsets(task) {
+  if (!task.isAppointment) {
+    return [];
+  }
+  return normalizeReminderMinutes(task.reminderMinutes);
+}
+
+module.exports = {
+  normalizeReminderMinutes,
+  validateReminderMinutes,
+  getReminderOffsets,
+};
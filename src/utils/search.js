@@ -0,0 +1,343 @@
+/**
+ * Task Search
+ * Full-text search over task descriptions, details and links, with filter
+ * operators. Query syntax:
+ *   word               Matches in description, details or links
+ *   "exact phrase"     Case-insensitive phrase match
+ *   priority:high      Also priority:high,medium
+ *   due:<2026-11-01    Comparisons <, <=, >, >= or an exact date; "today"
+ *                      works as a date, due:none finds undated tasks
+ *   is:recurring       Also is:appointment, is:completed, is:open,
+ *                      is:archived (moved to an archive file)
+ *   tag:work
+ *   -term, -is:...     Exclude matches
+ * All words, phrases and operators must match.
+ */
+
+const PRIORITIES = ['high', 'medium', 'low'];
+const STATES = ['recurring', 'appointment', 'completed', 'open', 'archived'];
+// Score of a match in each searched field
+const FIELD_WEIGHTS = { description: 10, details: 3, links: 2 };
+// Extra score for a match at the start of a word
+const WORD_START_BONUS = 0.5;
+// Details are shown as a snippet of about this length around the first match
+const SNIPPET_LENGTH = 120;
+const SNIPPET_CONTEXT = 40;
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date to format
+ * @returns {string} Local date string
+ */
+function toDateString(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Parse the value of a due: operator
+ * @param {string} value - e.g. "<2026-11-01", ">=today", "none"
+ * @param {string} today - Today in YYYY-MM-DD format
+ * @returns {Object} { op, date } with op one of <, <=, >, >=, =, none
+ * @throws {Error} If the value is not a comparison with a date
+ */
+function parseDueFilter(value, today) {
+  if (value === 'none') {
+    return { op: 'none', date: null };
+  }
+  const match = value.match(/^(<=|>=|<|>|=)?(today|\d{4}-\d{2}-\d{2})$/);
+  if (!match) {
+    throw new Error(
+      `Invalid due filter "${value}" (use e.g. due:<2026-11-01, due:today or due:none)`
+    );
+  }
+  return {
+    op: match[1] || '=',
+    date: match[2] === 'today' ? today : match[2],
+  };
+}
+
+/**
+ * Parse a search query into text terms and filters
+ * Unknown operators (e.g. "https://...") are searched as plain words.
+ * @param {string} query - Search query
+ * @param {Date} now - Reference time for "today" (default: now)
+ * @returns {Object} { terms: [{ text, negated }], filters: [{ key, value,
+ *   negated }] }
+ * @throws {Error} If an operator has an invalid value
+ */
+function parseQuery(query, now = new Date()) {
+  const today = toDateString(now);
+  const terms = [];
+  const filters = [];
+  const tokenPattern = /(-?)(?:"([^"]*)"?|(\S+))/g;
+
+  [...String(query || '').matchAll(tokenPattern)].forEach(
+    ([, minus, phrase, word]) => {
+      const negated = minus === '-';
+      if (phrase !== undefined) {
+        if (phrase.trim()) {
+          terms.push({ text: phrase.trim().toLowerCase(), negated });
+        }
+        return;
+      }
+
+      const operator = word.match(/^(priority|due|is|tag):(.+)$/i);
+      if (!operator) {
+        terms.push({ text: word.toLowerCase(), negated });
+        return;
+      }
+
+      const key = operator[1].toLowerCase();
+      const value = operator[2].toLowerCase();
+      if (key === 'priority') {
+        const priorities = value.split(',');
+        if (!priorities.every((priority) => PRIORITIES.includes(priority))) {
+          throw new Error(
+            `Invalid priority "${value}" (use ${PRIORITIES.join(', ')})`
+          );
+        }
+        filters.push({ key, value: priorities, negated });
+      } else if (key === 'due') {
+        filters.push({ key, value: parseDueFilter(value, today), negated });
+      } else if (key === 'is') {
+        if (!STATES.includes(value)) {
+          throw new Error(
+            `Invalid filter "is:${value}" (use ${STATES.map(
+              (state) => `is:${state}`
+            ).join(', ')})`
+          );
+        }
+        filters.push({ key, value, negated });
+      } else {
+        filters.push({ key, value: value.replace(/^#+/, ''), negated });
+      }
+    }
+  );
+
+  return { terms, filters };
+}
+
+/**
+ * Check whether a task passes a filter (ignoring negation)
+ * @param {Object} task - Task object
+ * @param {Object} filter - { key, value } from parseQuery
+ * @returns {boolean} True if the task matches
+ */
+function matchesFilter(task, { key, value }) {
+  switch (key) {
+    case 'priority':
+      return value.includes(task.priority || 'medium');
+    case 'tag':
+      return (task.tags || []).includes(value);
+    case 'due': {
+      if (value.op === 'none') {
+        return !task.dueDate;
+      }
+      if (!task.dueDate) {
+        return false;
+      }
+      return {
+        '<': task.dueDate < value.date,
+        '<=': task.dueDate <= value.date,
+        '>': task.dueDate > value.date,
+        '>=': task.dueDate >= value.date,
+        '=': task.dueDate === value.date,
+      }[value.op];
+    }
+    case 'is':
+      return {
+        recurring: Boolean(task.recurring),
+        appointment: Boolean(task.isAppointment),
+        completed: Boolean(task.completed),
+        open: !task.completed,
+        archived: Boolean(task.archivedToFile),
+      }[value];
+    default:
+      return false;
+  }
+}
+
+/**
+ * Find the ranges of all occurrences of the terms in a text
+ * @param {string} text - Field text
+ * @param {Array<string>} terms - Lowercase search terms
+ * @returns {Array<Array<number>>} Sorted, merged [start, end) ranges
+ */
+function findRanges(text, terms) {
+  const lower = text.toLowerCase();
+  const ranges = [];
+  terms.forEach((term) => {
+    let index = lower.indexOf(term);
+    while (index >= 0) {
+      ranges.push([index, index + term.length]);
+      index = lower.indexOf(term, index + term.length);
+    }
+  });
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Cut a long text down to a snippet around its first highlighted range
+ * @param {string} text - Field text
+ * @param {Array<Array<number>>} ranges - Highlighted ranges
+ * @returns {Object} { text, ranges } with ranges shifted to the snippet
+ */
+function toSnippet(text, ranges) {
+  if (text.length <= SNIPPET_LENGTH) {
+    return { text, ranges };
+  }
+
+  const start = Math.max(0, ranges[0][0] - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const shift = prefix.length - start;
+  return {
+    text: `${prefix}${text.slice(start, end)}${suffix}`,
+    ranges: ranges
+      .filter(([from]) => from < end)
+      .map(([from, to]) => [from + shift, Math.min(to, end) + shift]),
+  };
+}
+
+/**
+ * Get the searchable text fields of a task
+ * @param {Object} task - Task object
+ * @returns {Array<Object>} { field, text } entries
+ */
+function getFields(task) {
+  return [
+    { field: 'description', text: task.description || '' },
+    { field: 'details', text: task.details || '' },
+    ...(task.links || []).map((link) => ({ field: 'links', text: link })),
+  ];
+}
+
+/**
+ * Score a task against the text terms
+ * @param {Object} task - Task object
+ * @param {Array<string>} terms - Lowercase search terms (all must match)
+ * @returns {Object|null} { score, highlights }, or null if a term is
+ *   missing
+ */
+function scoreTask(task, terms) {
+  const fields = getFields(task);
+  let score = 0;
+
+  for (const term of terms) {
+    let termScore = 0;
+    fields.forEach(({ field, text }) => {
+      const lower = text.toLowerCase();
+      let index = lower.indexOf(term);
+      while (index >= 0) {
+        const wordStart = index === 0 || /\W/.test(lower[index - 1]);
+        termScore +=
+          FIELD_WEIGHTS[field] * (wordStart ? 1 + WORD_START_BONUS : 1);
+        index = lower.indexOf(term, index + term.length);
+      }
+    });
+    if (termScore === 0) {
+      return null;
+    }
+    // Longer terms and phrases are more specific
+    score += termScore * Math.log2(term.length + 1);
+  }
+
+  const highlights = fields
+    .map(({ field, text }) => {
+      const ranges = findRanges(text, terms);
+      if (ranges.length === 0) {
+        return null;
+      }
+      return field === 'details'
+        ? { field, ...toSnippet(text, ranges) }
+        : { field, text, ranges };
+    })
+    .filter(Boolean);
+
+  return { score: Math.round(score * 10) / 10, highlights };
+}
+
+/**
+ * Order results: best score first, then open tasks by due date, then
+ * completed tasks, most recently completed first
+ * @param {Object} a - Result
+ * @param {Object} b - Result
+ * @returns {number} Sort order
+ */
+function compareResults(a, b) {
+  if (a.score !== b.score) {
+    return b.score - a.score;
+  }
+  if (Boolean(a.task.completed) !== Boolean(b.task.completed)) {
+    return a.task.completed ? 1 : -1;
+  }
+  if (!a.task.completed) {
+    return (a.task.dueDate || '9999-99-99').localeCompare(
+      b.task.dueDate || '9999-99-99'
+    );
+  }
+  return (b.task.completedAt || '').localeCompare(a.task.completedAt || '');
+}
+
+/**
+ * Search tasks
+ * @param {Array<Object>} tasks - Tasks to search (tasks.json and archives)
+ * @param {string} query - Search query (see module comment)
+ * @param {Object} options - { limit, now }
+ * @returns {Object} { total, results: [{ task, source, score, highlights }] }
+ *   where source is 'active', 'completed' or 'archive' and highlights are
+ *   { field, text, ranges } with [start, end) character ranges to mark
+ * @throws {Error} If the query has an invalid operator value
+ */
+function searchTasks(tasks, query, { limit = 50, now = new Date() } = {}) {
+  const { terms, filters } = parseQuery(query, now);
+  const included = terms.filter((term) => !term.negated).map((t) => t.text);
+  const excluded = terms.filter((term) => term.negated).map((t) => t.text);
+
+  const results = tasks
+    .filter((task) =>
+      filters.every((filter) => matchesFilter(task, filter) !== filter.negated)
+    )
+    .filter((task) => {
+      const text = getFields(task)
+        .map((field) => field.text.toLowerCase())
+        .join('\n');
+      return !excluded.some((term) => text.includes(term));
+    })
+    .map((task) => {
+      const scored = scoreTask(task, included);
+      if (!scored) {
+        return null;
+      }
+      let source = 'active';
+      if (task.archivedToFile) {
+        source = 'archive';
+      } else if (task.completed) {
+        source = 'completed';
+      }
+      return { task, source, ...scored };
+    })
+    .filter(Boolean)
+    .sort(compareResults);
+
+  return { total: results.length, results: results.slice(0, limit) };
+}
+
+module.exports = {
+  parseQuery,
+  searchTasks,
+};
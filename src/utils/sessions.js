@@ -0,0 +1,200 @@
+/**
+ * Time-Tracking Sessions
+ * Each start/stop of a task's timer is stored on the task as a session
+ * { id, start, end } with ISO timestamps. `timeSpent` (seconds) is always
+ * derived from the sessions; the running session lives in `startedAt`
+ * until the timer is stopped.
+ */
+
+const LONG_SESSION_ACTIONS = ['flag', 'cap'];
+const DEFAULT_TIME_TRACKING = {
+  // Minutes without input before the browser asks about idle time
+  idleMinutes: 10,
+  // Sessions longer than this are flagged (or capped) when recorded
+  maxSessionHours: 8,
+  longSessions: 'flag',
+};
+
+/**
+ * Get time-tracking settings from config, filling in defaults
+ * @param {Object} config - Application config
+ * @returns {{idleMinutes: number, maxSessionHours: number, longSessions: string}}
+ */
+function getTimeTrackingSettings(config = {}) {
+  const settings = { ...DEFAULT_TIME_TRACKING, ...(config.timeTracking || {}) };
+  if (!(settings.idleMinutes > 0)) {
+    settings.idleMinutes = DEFAULT_TIME_TRACKING.idleMinutes;
+  }
+  if (!(settings.maxSessionHours > 0)) {
+    settings.maxSessionHours = DEFAULT_TIME_TRACKING.maxSessionHours;
+  }
+  if (!LONG_SESSION_ACTIONS.includes(settings.longSessions)) {
+    settings.longSessions = DEFAULT_TIME_TRACKING.longSessions;
+  }
+  return settings;
+}
+
+/**
+ * Generate a session ID
+ * @returns {string} Session ID
+ */
+function createSessionId() {
+  return `${Date.now()}${Math.floor(Math.random() * 1000)}`;
+}
+
+/**
+ * Length of a session in whole seconds
+ * @param {Object} session - Session with start and end
+ * @returns {number} Seconds (0 if the timestamps are out of order)
+ */
+function getSessionSeconds(session) {
+  const seconds = Math.floor(
+    (Date.parse(session.end) - Date.parse(session.start)) / 1000
+  );
+  return Number.isNaN(seconds) ? 0 : Math.max(0, seconds);
+}
+
+/**
+ * Get a task's sessions
+ * Tasks tracked before sessions existed only have a `timeSpent` total; it
+ * is turned into a single session ending when the task was last updated.
+ * @param {Object} task - Task object
+ * @returns {Array<Object>} Sessions
+ */
+function getSessions(task) {
+  if (Array.isArray(task.sessions)) {
+    return task.sessions;
+  }
+  if (!task.timeSpent) {
+    return [];
+  }
+
+  const end = task.completedAt || task.updatedAt || new Date().toISOString();
+  return [
+    {
+      id: 'legacy',
+      start: new Date(Date.parse(end) - task.timeSpent * 1000).toISOString(),
+      end,
+    },
+  ];
+}
+
+/**
+ * Store sessions on a task (sorted by start) and recompute timeSpent
+ * @param {Object} task - Task object (modified in place)
+ * @param {Array<Object>} sessions - New sessions
+ * @returns {Object} The task
+ */
+function applySessions(task, sessions) {
+  task.sessions = [...sessions].sort(
+    (a, b) => Date.parse(a.start) - Date.parse(b.start)
+  );
+  task.timeSpent = task.sessions.reduce(
+    (total, session) => total + getSessionSeconds(session),
+    0
+  );
+  return task;
+}
+
+/**
+ * Record the running timer of a task as a finished session
+ * Does nothing if the task's timer isn't running. A session longer than
+ * maxSessionHours (usually a forgotten timer) is either flagged for review
+ * or cut off at the limit, depending on the longSessions setting.
+ * @param {Object} task - Task object (modified in place)
+ * @param {Object} options - Options
+ * @param {string} options.end - Session end as ISO timestamp (default: now)
+ * @param {Object} options.settings - Time-tracking settings (default: defaults)
+ * @returns {Object|null} The recorded session, or null
+ */
+function closeActiveSession(task, options = {}) {
+  if (!task.inProgress || !task.startedAt) {
+    return null;
+  }
+
+  const { end = new Date().toISOString(), settings = DEFAULT_TIME_TRACKING } =
+    options;
+  const session = { id: createSessionId(), start: task.startedAt, end };
+  // A start immediately followed by a stop isn't worth keeping
+  if (getSessionSeconds(session) === 0) {
+    return null;
+  }
+
+  const maxSeconds = settings.maxSessionHours * 3600;
+  if (getSessionSeconds(session) > maxSeconds) {
+    if (settings.longSessions === 'cap') {
+      session.end = new Date(
+        Date.parse(session.start) + maxSeconds * 1000
+      ).toISOString();
+      session.capped = true;
+    } else {
+      session.flagged = true;
+    }
+  }
+  applySessions(task, [...getSessions(task), session]);
+  return session;
+}
+
+/**
+ * Validate session timestamps and normalize them to ISO format
+ * @param {string} start - Session start
+ * @param {string} end - Session end
+ * @returns {{start: string, end: string}} Normalized timestamps
+ * @throws {Error} If the timestamps are invalid
+ */
+function normalizeSessionTimes(start, end) {
+  const startMs = Date.parse(start);
+  const endMs = Date.parse(end);
+
+  if (Number.isNaN(startMs) || Number.isNaN(endMs)) {
+    throw new Error('Session start and end must be valid timestamps');
+  }
+  if (endMs <= startMs) {
+    throw new Error('Session end must be after its start');
+  }
+  // Allow a minute of clock skew between browser and server
+  if (endMs > Date.now() + 60 * 1000) {
+    throw new Error('Sessions cannot end in the future');
+  }
+
+  return {
+    start: new Date(startMs).toISOString(),
+    end: new Date(endMs).toISOString(),
+  };
+}
+
+/**
+ * Check a session against the task's other sessions (including a running
+ * timer) for overlaps
+ * @param {Object} task - Task object
+ * @param {Object} candidate - Session to check ({ id?, start, end })
+ * @throws {Error} If the session overlaps another one
+ */
+function assertNoOverlap(task, candidate) {
+  const others = getSessions(task).filter((s) => s.id !== candidate.id);
+  if (task.inProgress && task.startedAt) {
+    others.push({ start: task.startedAt, end: new Date().toISOString() });
+  }
+
+  const start = Date.parse(candidate.start);
+  const end = Date.parse(candidate.end);
+  const overlapping = others.some(
+    (other) => start < Date.parse(other.end) && end > Date.parse(other.start)
+  );
+  if (overlapping) {
+    throw new Error('Session overlaps another session of this task');
+  }
+}
+
+module.exports = {
+  LONG_SESSION_ACTIONS,
+  DEFAULT_TIME_TRACKING,
+  getTimeTrackingSettings,
+  createSessionId,
+  getSessionSeconds,
+  getSessions,
+  applySessions,
+  closeActiveSession,
+  normalizeSessionTimes,
+  assertNoOverlap,
+};
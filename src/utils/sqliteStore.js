@@ -0,0 +1,351 @@
+const path = require('path');
+const { ensureDataDir, getDefaultConfig } = require('./fileManager');
+
+const DATA_DIR = process.env.DATA_DIR || './local_data';
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(DATA_DIR, 'tasks.db');
+
+let db = null;
+
+/**
+ * Open the database (once) and create the schema if needed
+ * better-sqlite3 is loaded lazily so the JSON backend works without it.
+ * @returns {Object} better-sqlite3 Database handle
+ */
+function getDb() {
+  if (db) {
+    return db;
+  }
+
+  ensureDataDir();
+  const Database = require('better-sqlite3');
+  db = new Database(SQLITE_FILE);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = FULL');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS tasks (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      id TEXT NOT NULL UNIQUE,
+      archived INTEGER NOT NULL DEFAULT 0,
+      due_date TEXT,
+      completed_at TEXT,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_tasks_archived ON tasks (archived);
+    CREATE INDEX IF NOT EXISTS idx_tasks_due_date ON tasks (due_date);
+
+    CREATE TABLE IF NOT EXISTS archived_tasks (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      id TEXT NOT NULL,
+      archive_date TEXT NOT NULL,
+      archived_at TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_archived_tasks_date
+      ON archived_tasks (archive_date);
+
+    CREATE TABLE IF NOT EXISTS config (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL
+    );
+  `);
+
+  return db;
+}
+
+/**
+ * Map a task object onto the tasks table columns
+ * @param {Object} task - Task object
+ * @returns {Object} Named statement parameters
+ */
+function toRow(task) {
+  return {
+    id: task.id,
+    archived: task.archived ? 1 : 0,
+    due_date: task.dueDate || null,
+    completed_at: task.completedAt || null,
+    data: JSON.stringify(task),
+  };
+}
+
+/**
+ * Initialize the database schema and default config
+ */
+function initialize() {
+  getDb();
+  initializeConfig();
+}
+
+/**
+ * Read all tasks in insertion order
+ * @returns {Array} Array of task objects
+ */
+function readTasks() {
+  return getDb()
+    .prepare('SELECT data FROM tasks ORDER BY seq')
+    .all()
+    .map((row) => JSON.parse(row.data));
+}
+
+/**
+ * Get the statement that inserts a task or updates its row in place
+ * Rows whose data is unchanged are left alone.
+ * @returns {Object} Prepared statement taking toRow() parameters
+ */
+function prepareUpsert() {
+  return getDb().prepare(
+    `INSERT INTO tasks (id, archived, due_date, completed_at, data)
+     VALUES (@id, @archived, @due_date, @completed_at, @data)
+     ON CONFLICT (id) DO UPDATE SET
+       archived = excluded.archived,
+       due_date = excluded.due_date,
+       completed_at = excluded.completed_at,
+       data = excluded.data
+     WHERE data != excluded.data`
+  );
+}
+
+/**
+ * Make the stored tasks match a task list in a single transaction
+ * Only changed rows are written and tasks missing from the list deleted, so
+ * existing tasks keep their position and new ones are added at the end.
+ * @param {Array} tasks - Array of task objects
+ */
+function writeTasks(tasks) {
+  const database = getDb();
+  const upsert = prepareUpsert();
+  const remove = database.prepare('DELETE FROM tasks WHERE id = ?');
+  const keep = new Set(tasks.map((task) => task.id));
+
+  database.transaction(() => {
+    database
+      .prepare('SELECT id FROM tasks')
+      .pluck()
+      .all()
+      .filter((taskId) => !keep.has(taskId))
+      .forEach((taskId) => remove.run(taskId));
+    tasks.forEach((task) => upsert.run(toRow(task)));
+  })();
+}
+
+/**
+ * Get a single task by ID
+ * @param {string} taskId - Task ID
+ * @returns {Object|null} Task object or null if not found
+ */
+function getTask(taskId) {
+  const row = getDb()
+    .prepare('SELECT data FROM tasks WHERE id = ?')
+    .get(taskId);
+  return row ? JSON.parse(row.data) : null;
+}
+
+/**
+ * Get the tasks with the given IDs
+ * @param {Array<string>} taskIds - Task IDs
+ * @returns {Array} Task objects that exist, in insertion order
+ */
+function getTasks(taskIds) {
+  return getDb()
+    .prepare(
+      `SELECT data FROM tasks
+       WHERE id IN (SELECT value FROM json_each(?))
+       ORDER BY seq`
+    )
+    .all(JSON.stringify(taskIds))
+    .map((row) => JSON.parse(row.data));
+}
+
+/**
+ * Add or update a task, keeping its original position
+ * @param {Object} task - Task object
+ * @returns {Object} Updated task object
+ */
+function saveTask(task) {
+  prepareUpsert().run(toRow(task));
+  return task;
+}
+
+/**
+ * Update an existing task's row
+ * @param {Object} task - Task object
+ * @returns {Object|null} Updated task object, or null if it doesn't exist
+ */
+function updateTask(task) {
+  const result = getDb()
+    .prepare(
+      `UPDATE tasks SET
+         archived = @archived,
+         due_date = @due_date,
+         completed_at = @completed_at,
+         data = @data
+       WHERE id = @id`
+    )
+    .run(toRow(task));
+  return result.changes > 0 ? task : null;
+}
+
+/**
+ * Delete a task by ID
+ * @param {string} taskId - Task ID
+ */
+function deleteTask(taskId) {
+  getDb().prepare('DELETE FROM tasks WHERE id = ?').run(taskId);
+}
+
+/**
+ * Read all archived tasks
+ * @returns {Array} Array of archived task objects
+ */
+function readArchivedTasks() {
+  return getDb()
+    .prepare('SELECT data FROM archived_tasks ORDER BY archive_date, seq')
+    .all()
+    .map((row) => JSON.parse(row.data));
+}
+
+/**
+ * Append tasks to the archive for a given date
+ * @param {string} dateStr - Date string in YYYY-MM-DD format
+ * @param {Array} tasksToArchive - Tasks to add to archive
+ * @param {string} archivedAt - When they were archived, which old archive
+ *   cleanup counts from (default: now)
+ */
+function archiveTasks(
+  dateStr,
+  tasksToArchive,
+  archivedAt = new Date().toISOString()
+) {
+  const database = getDb();
+  const insert = database.prepare(
+    `INSERT INTO archived_tasks (id, archive_date, archived_at, data)
+     VALUES (?, ?, ?, ?)`
+  );
+
+  database.transaction(() => {
+    tasksToArchive.forEach((task) =>
+      insert.run(task.id, dateStr, archivedAt, JSON.stringify(task))
+    );
+  })();
+}
+
+/**
+ * Remove tasks from the archive for a given date
+ * @param {string} dateStr - Date string in YYYY-MM-DD format
+ * @param {Array<string>} taskIds - IDs of tasks to remove
+ */
+function removeFromArchive(dateStr, taskIds) {
+  const database = getDb();
+  const remove = database.prepare(
+    'DELETE FROM archived_tasks WHERE archive_date = ? AND id = ?'
+  );
+
+  database.transaction(() => {
+    taskIds.forEach((taskId) => remove.run(dateStr, taskId));
+  })();
+}
+
+/**
+ * Delete archived tasks stored more than daysOld days ago
+ * @param {number} daysOld - Delete archives older than this many days (default: 45)
+ */
+function cleanupOldArchives(daysOld = 45) {
+  try {
+    const cutoff = new Date(
+      Date.now() - daysOld * 24 * 60 * 60 * 1000
+    ).toISOString();
+    const result = getDb()
+      .prepare('DELETE FROM archived_tasks WHERE archived_at < ?')
+      .run(cutoff);
+    if (result.changes > 0) {
+      // eslint-disable-next-line no-console
+      console.log(`Deleted ${result.changes} old archived tasks`);
+    }
+  } catch (error) {
+    console.error('Error cleaning up old archives:', error);
+  }
+}
+
+/**
+ * Store the default config if none exists yet
+ */
+function initializeConfig() {
+  getDb()
+    .prepare('INSERT OR IGNORE INTO config (key, value) VALUES (?, ?)')
+    .run('config', JSON.stringify(getDefaultConfig()));
+}
+
+/**
+ * Read configuration
+ * @returns {Object} Configuration object
+ */
+function readConfig() {
+  try {
+    initializeConfig();
+    const row = getDb()
+      .prepare('SELECT value FROM config WHERE key = ?')
+      .get('config');
+    return JSON.parse(row.value);
+  } catch (error) {
+    console.error('Error reading config:', error);
+    return getDefaultConfig();
+  }
+}
+
+/**
+ * Write configuration
+ * @param {Object} config - Configuration object
+ */
+function writeConfig(config) {
+  getDb()
+    .prepare(
+      `INSERT INTO config (key, value) VALUES ('config', ?)
+       ON CONFLICT (key) DO UPDATE SET value = excluded.value`
+    )
+    .run(JSON.stringify(config));
+}
+
+/**
+ * Run SQLite's integrity check. WAL mode already makes writes crash-safe,
+ * so there are no snapshots to restore from; a damaged database is reported.
+ * @returns {Array<string>} Names of damaged files (empty if healthy)
+ */
+function recoverCorruptFiles() {
+  try {
+    const result = getDb().pragma('integrity_check', { simple: true });
+    return result === 'ok' ? [] : [path.basename(SQLITE_FILE)];
+  } catch (error) {
+    console.error('Error checking database integrity:', error);
+    return [path.basename(SQLITE_FILE)];
+  }
+}
+
+/**
+ * Close the database handle (used by the migration script)
+ */
+function close() {
+  if (db) {
+    db.close();
+    db = null;
+  }
+}
+
+module.exports = {
+  initialize,
+  readTasks,
+  writeTasks,
+  getTask,
+  getTasks,
+  saveTask,
+  updateTask,
+  deleteTask,
+  readArchivedTasks,
+  archiveTasks,
+  removeFromArchive,
+  cleanupOldArchives,
+  readConfig,
+  writeConfig,
+  recoverCorruptFiles,
+  close,
+  SQLITE_FILE,
+};
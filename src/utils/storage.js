@@ -0,0 +1,139 @@
+/**
+ * Storage Backend Selector
+ *
+ * Every backend exposes the same synchronous interface:
+ *   initialize()                          Create files/schema and default config
+ *   readTasks() / writeTasks(tasks)       Whole task list (tasks.json equivalent)
+ *   getTask(id) / getTasks(ids)           Tasks with the given ID(s)
+ *   saveTask(task)                        Add or update one task
+ *   updateTask(task)                      Update one existing task (null if
+ *                                         it doesn't exist)
+ *   deleteTask(id)
+ *   readArchivedTasks()                   All tasks moved out by archive cleanup
+ *   archiveTasks(dateStr, tasks)          Append tasks to the archive for a date
+ *   removeFromArchive(dateStr, ids)       Take tasks back out of the archive
+ *   cleanupOldArchives(daysOld)           Drop archives older than daysOld
+ *   readConfig() / writeConfig(config)
+ *   recoverCorruptFiles()                 Startup integrity check; returns
+ *                                         names of unrecoverable files
+ *
+ * The backend is chosen with STORAGE_BACKEND in .env: "json" (default) keeps
+ * the original local_data/*.json files, "sqlite" uses an embedded database.
+ *
+ * Task writes go through this module, which stamps every task with a
+ * `version` that goes up whenever the task's stored content changes, no
+ * matter which route changed it. Task form updates must name the version
+ * they were based on (see POST /api/tasks).
+ */
+
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'json').toLowerCase();
+
+/**
+ * Load the configured storage backend
+ * @returns {Object} Storage backend module
+ */
+function loadBackend() {
+  switch (STORAGE_BACKEND) {
+    case 'json':
+      return require('./fileManager');
+    case 'sqlite':
+      return require('./sqliteStore');
+    default:
+      throw new Error(
+        `Unknown STORAGE_BACKEND "${STORAGE_BACKEND}" (expected "json" or "sqlite")`
+      );
+  }
+}
+
+const backend = loadBackend();
+
+/**
+ * Stamp tasks about to be written with their version
+ * Tasks whose content changed get the stored version plus one; unchanged
+ * tasks keep the stored version. New tasks (or tasks coming back from an
+ * archive or an undo) keep the version they carry, or start at 1.
+ * Only the stored copies of the tasks being written are read.
+ * @param {Array<Object>} tasks - Tasks to write (modified in place)
+ */
+function stampVersions(tasks) {
+  const stored = new Map(
+    backend
+      .getTasks(tasks.map((task) => task.id))
+      .map((task) => [task.id, task])
+  );
+
+  tasks.forEach((task) => {
+    const previous = stored.get(task.id);
+    if (!previous) {
+      task.version = task.version || 1;
+      return;
+    }
+
+    const { version: previousVersion = 1, ...previousContent } = previous;
+    const content = { ...task };
+    delete content.version;
+    task.version =
+      JSON.stringify(content) === JSON.stringify(previousContent)
+        ? previousVersion
+        : previousVersion + 1;
+  });
+}
+
+/**
+ * Write the whole task list, bumping versions of changed tasks
+ * @param {Array<Object>} tasks - Task list
+ */
+function writeTasks(tasks) {
+  stampVersions(tasks);
+  backend.writeTasks(tasks);
+}
+
+/**
+ * Add or update a task, bumping its version if it changed
+ * @param {Object} task - Task object
+ * @returns {Object} Saved task
+ */
+function saveTask(task) {
+  stampVersions([task]);
+  return backend.saveTask(task);
+}
+
+/**
+ * Update an existing task, bumping its version if it changed
+ * @param {Object} task - Task object
+ * @returns {Object|null} Saved task, or null if it doesn't exist
+ */
+function updateTask(task) {
+  stampVersions([task]);
+  return backend.updateTask(task);
+}
+
+/**
+ * Create data files, then give tasks saved before versioning version 1
+ */
+function initialize() {
+  backend.initialize();
+  const tasks = backend.readTasks();
+  if (tasks.some((task) => !task.version)) {
+    writeTasks(tasks);
+  }
+}
+
+module.exports = {
+  STORAGE_BACKEND,
+  initialize,
+  readTasks: backend.readTasks,
+  writeTasks,
+  getTask: backend.getTask,
+  getTasks: backend.getTasks,
+  saveTask,
+  updateTask,
+  deleteTask: backend.deleteTask,
+  readArchivedTasks: backend.readArchivedTasks,
+  archiveTasks: backend.archiveTasks,
+  removeFromArchive: backend.removeFromArchive,
+  cleanupOldArchives: backend.cleanupOldArchives,
+  readConfig: backend.readConfig,
+  writeConfig: backend.writeConfig,
+  recoverCorruptFiles: backend.recoverCorruptFiles,
+};
@@ -0,0 +1,353 @@
+/**
+ * Time Report
+ * Aggregates tracked time from task sessions over a date range. Sessions
+ * that cross midnight are split between days; days and weeks (starting
+ * Monday) are in the server's local timezone. Also compares estimates with
+ * tracked time of completed tasks.
+ */
+
+const { getSessions } = require('./sessions');
+
+const PRIORITIES = ['high', 'medium', 'low'];
+// Actual time within this share of the estimate counts as accurate
+const ESTIMATE_TOLERANCE = 0.2;
+const CSV_COLUMNS = [
+  'date',
+  'task_id',
+  'description',
+  'priority',
+  'status',
+  'seconds',
+  'hours',
+];
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date to format
+ * @returns {string} Local date string
+ */
+function toDateString(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Parse a YYYY-MM-DD string as local midnight
+ * @param {string} dateStr - Date string
+ * @returns {Date} Local date
+ */
+function parseDate(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Get the Monday starting the week of a date
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @returns {string} Monday in YYYY-MM-DD format
+ */
+function getWeekStart(dateStr) {
+  const date = parseDate(dateStr);
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return toDateString(date);
+}
+
+/**
+ * Split a session into seconds per local day
+ * @param {number} startMs - Session start (epoch ms)
+ * @param {number} endMs - Session end (epoch ms)
+ * @returns {Array<{date: string, seconds: number}>} Time per day
+ */
+function splitByDay(startMs, endMs) {
+  const days = [];
+  let cursor = startMs;
+
+  while (cursor < endMs) {
+    const day = new Date(cursor);
+    const nextMidnight = new Date(
+      day.getFullYear(),
+      day.getMonth(),
+      day.getDate() + 1
+    ).getTime();
+    const sliceEnd = Math.min(endMs, nextMidnight);
+    days.push({
+      date: toDateString(day),
+      seconds: Math.floor((sliceEnd - cursor) / 1000),
+    });
+    cursor = sliceEnd;
+  }
+
+  return days;
+}
+
+/**
+ * Get a task's sessions including the running timer
+ * @param {Object} task - Task object
+ * @param {number} nowMs - Current time (epoch ms)
+ * @returns {Array<{startMs: number, endMs: number}>} Session spans
+ */
+function getTrackedSpans(task, nowMs) {
+  const spans = getSessions(task).map((session) => ({
+    startMs: Date.parse(session.start),
+    endMs: Date.parse(session.end),
+  }));
+  if (task.inProgress && task.startedAt) {
+    spans.push({ startMs: Date.parse(task.startedAt), endMs: nowMs });
+  }
+  return spans.filter(
+    (span) =>
+      !Number.isNaN(span.startMs) &&
+      !Number.isNaN(span.endMs) &&
+      span.endMs > span.startMs
+  );
+}
+
+/**
+ * Add seconds to a keyed total
+ * @param {Map} totals - Totals by key
+ * @param {string} key - Key
+ * @param {number} seconds - Seconds to add
+ */
+function addTo(totals, key, seconds) {
+  totals.set(key, (totals.get(key) || 0) + seconds);
+}
+
+/**
+ * Convert a totals map to a sorted array
+ * @param {Map} totals - Totals by key
+ * @param {string} keyName - Property name for the key
+ * @returns {Array<Object>} Entries sorted by key
+ */
+function toSortedEntries(totals, keyName) {
+  return [...totals.keys()]
+    .sort()
+    .map((key) => ({ [keyName]: key, seconds: totals.get(key) }));
+}
+
+/**
+ * Build a time report
+ * Tasks are de-duplicated by ID (the first occurrence wins), so callers can
+ * pass active tasks followed by archived ones.
+ * @param {Array<Object>} tasks - Tasks to report on
+ * @param {string} from - First day (YYYY-MM-DD, inclusive)
+ * @param {string} to - Last day (YYYY-MM-DD, inclusive)
+ * @param {Date} now - Current time, for running timers (default: now)
+ * @returns {Object} Report with totals by day, week, priority and task
+ */
+function buildTimeReport(tasks, from, to, now = new Date()) {
+  const rangeStart = parseDate(from).getTime();
+  const rangeEnd = parseDate(to);
+  rangeEnd.setDate(rangeEnd.getDate() + 1);
+  const rangeEndMs = rangeEnd.getTime();
+
+  const byDay = new Map();
+  const byWeek = new Map();
+  const byPriority = new Map(PRIORITIES.map((priority) => [priority, 0]));
+  const byTask = [];
+  const seen = new Set();
+  let totalSeconds = 0;
+
+  tasks.forEach((task) => {
+    if (seen.has(task.id)) {
+      return;
+    }
+    seen.add(task.id);
+
+    const days = new Map();
+    getTrackedSpans(task, now.getTime()).forEach((span) => {
+      const startMs = Math.max(span.startMs, rangeStart);
+      const endMs = Math.min(span.endMs, rangeEndMs);
+      splitByDay(startMs, endMs).forEach(({ date, seconds }) => {
+        addTo(days, date, seconds);
+      });
+    });
+
+    const taskSeconds = [...days.values()].reduce((a, b) => a + b, 0);
+    if (taskSeconds === 0) {
+      return;
+    }
+
+    const priority = task.priority || 'medium';
+    days.forEach((seconds, date) => {
+      addTo(byDay, date, seconds);
+      addTo(byWeek, getWeekStart(date), seconds);
+    });
+    addTo(byPriority, priority, taskSeconds);
+    totalSeconds += taskSeconds;
+
+    byTask.push({
+      id: task.id,
+      description: task.description,
+      priority,
+      completed: Boolean(task.completed),
+      seconds: taskSeconds,
+      days: toSortedEntries(days, 'date'),
+    });
+  });
+
+  byTask.sort((a, b) => b.seconds - a.seconds);
+
+  return {
+    from,
+    to,
+    totalSeconds,
+    byDay: toSortedEntries(byDay, 'date'),
+    byWeek: toSortedEntries(byWeek, 'weekStart'),
+    byPriority: [...byPriority].map(([priority, seconds]) => ({
+      priority,
+      seconds,
+    })),
+    byTask,
+  };
+}
+
+/**
+ * Get the median of a list of numbers
+ * @param {Array<number>} values - Numbers
+ * @returns {number|null} Median, or null for an empty list
+ */
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Round a ratio to two decimals
+ * @param {number|null} ratio - Ratio
+ * @returns {number|null} Rounded ratio
+ */
+function roundRatio(ratio) {
+  return ratio === null ? null : Math.round(ratio * 100) / 100;
+}
+
+/**
+ * Build an estimate accuracy report
+ * Covers completed tasks with both an estimate and tracked time. A ratio
+ * is actual / estimated time, so 1.5 means the task took 50% longer.
+ * @param {Array<Object>} tasks - Tasks (de-duplicated by ID)
+ * @returns {Object} Summary with totals, ratios and the largest overruns
+ */
+function buildEstimateReport(tasks) {
+  const seen = new Set();
+  const entries = [];
+
+  tasks.forEach((task) => {
+    if (seen.has(task.id)) {
+      return;
+    }
+    seen.add(task.id);
+    if (!task.completed || !(task.estimateMinutes > 0) || !task.timeSpent) {
+      return;
+    }
+
+    const estimateSeconds = Math.round(task.estimateMinutes * 60);
+    entries.push({
+      id: task.id,
+      description: task.description,
+      priority: task.priority || 'medium',
+      estimateSeconds,
+      actualSeconds: task.timeSpent,
+      ratio: task.timeSpent / estimateSeconds,
+    });
+  });
+
+  const ratios = entries.map((entry) => entry.ratio);
+  const estimatedSeconds = entries.reduce(
+    (total, entry) => total + entry.estimateSeconds,
+    0
+  );
+  const actualSeconds = entries.reduce(
+    (total, entry) => total + entry.actualSeconds,
+    0
+  );
+
+  return {
+    count: entries.length,
+    estimatedSeconds,
+    actualSeconds,
+    overallRatio: roundRatio(
+      estimatedSeconds ? actualSeconds / estimatedSeconds : null
+    ),
+    medianRatio: roundRatio(median(ratios)),
+    accurate: ratios.filter(
+      (ratio) => Math.abs(ratio - 1) <= ESTIMATE_TOLERANCE
+    ).length,
+    over: ratios.filter((ratio) => ratio > 1 + ESTIMATE_TOLERANCE).length,
+    under: ratios.filter((ratio) => ratio < 1 - ESTIMATE_TOLERANCE).length,
+    byPriority: PRIORITIES.map((priority) => {
+      const priorityRatios = entries
+        .filter((entry) => entry.priority === priority)
+        .map((entry) => entry.ratio);
+      return {
+        priority,
+        count: priorityRatios.length,
+        medianRatio: roundRatio(median(priorityRatios)),
+      };
+    }),
+    overruns: entries
+      .filter((entry) => entry.ratio > 1 + ESTIMATE_TOLERANCE)
+      .sort((a, b) => b.ratio - a.ratio)
+      .slice(0, 5)
+      .map((entry) => ({ ...entry, ratio: roundRatio(entry.ratio) })),
+  };
+}
+
+/**
+ * Quote a CSV field if needed
+ * Fields starting with a formula character are prefixed with a quote so
+ * spreadsheets don't evaluate them.
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Render a report as a timesheet CSV: one row per task per day
+ * @param {Object} report - Report from buildTimeReport
+ * @returns {string} CSV text
+ */
+function reportToCsv(report) {
+  const rows = [];
+  report.byTask.forEach((task) => {
+    task.days.forEach(({ date, seconds }) => {
+      rows.push([
+        date,
+        task.id,
+        task.description,
+        task.priority,
+        task.completed ? 'completed' : 'open',
+        seconds,
+        (seconds / 3600).toFixed(2),
+      ]);
+    });
+  });
+  rows.sort((a, b) => a[0].localeCompare(b[0]));
+
+  return [CSV_COLUMNS, ...rows]
+    .map((row) => row.map(csvField).join(','))
+    .join('\r\n')
+    .concat('\r\n');
+}
+
+module.exports = {
+  buildTimeReport,
+  buildEstimateReport,
+  reportToCsv,
+};
@@ -0,0 +1,170 @@
+/**
+ * Task Views
+ * Named subsets of the open task list. Built-in views select by due date or
+ * appointment flag; custom views are saved in config.json (`views`) as a
+ * filter bar selection ({ project, tag, priority }) plus an optional search
+ * query (see search.js).
+ */
+
+const { parseQuery, searchTasks } = require('./search');
+
+const BUILT_IN_VIEWS = [
+  { id: 'all', name: 'All' },
+  { id: 'today', name: 'Today' },
+  { id: 'next7', name: 'Next 7 days' },
+  { id: 'overdue', name: 'Overdue' },
+  { id: 'someday', name: 'Someday' },
+  { id: 'appointments', name: 'Appointments' },
+];
+const PRIORITIES = ['high', 'medium', 'low'];
+const MAX_VIEW_NAME_LENGTH = 40;
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} dateStr - Date string
+ * @param {number} days - Days to add
+ * @returns {string} Date string
+ */
+function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00`);
+  date.setDate(date.getDate() + days);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Check whether a task belongs to a built-in view
+ * @param {string} viewId - Built-in view ID
+ * @param {Object} task - Task object
+ * @param {string} today - Today in YYYY-MM-DD format
+ * @returns {boolean} True if the task is in the view
+ */
+function inBuiltInView(viewId, task, today) {
+  switch (viewId) {
+    case 'today':
+      return task.dueDate === today;
+    case 'next7':
+      return (
+        Boolean(task.dueDate) &&
+        task.dueDate >= today &&
+        task.dueDate <= addDays(today, 6)
+      );
+    case 'overdue':
+      return Boolean(task.dueDate) && task.dueDate < today;
+    case 'someday':
+      return !task.dueDate;
+    case 'appointments':
+      return Boolean(task.isAppointment);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Check whether a task passes a view's filter bar selection
+ * Same rules as the filter bar: project 'none' means no project.
+ * @param {Object} task - Task object
+ * @param {Object} filter - { project, tag, priority } (empty = any)
+ * @returns {boolean} True if the task passes
+ */
+function passesFilter(task, { project, tag, priority } = {}) {
+  if (project === 'none' && task.project) return false;
+  if (project && project !== 'none' && task.project !== project) return false;
+  if (tag && !(task.tags || []).includes(tag)) return false;
+  if (priority && task.priority !== priority) return false;
+  return true;
+}
+
+/**
+ * Validate and normalize a custom view before saving it
+ * @param {Object} view - Submitted { name, query, filter }
+ * @param {Array<Object>} projects - Projects from the config
+ * @returns {Object} { name, query, filter }
+ * @throws {Error} If the name, filter or query is invalid
+ */
+function validateView(view, projects) {
+  const name = typeof view.name === 'string' ? view.name.trim() : '';
+  if (!name) {
+    throw new Error('View name is required');
+  }
+  if (name.length > MAX_VIEW_NAME_LENGTH) {
+    throw new Error(
+      `View name must be at most ${MAX_VIEW_NAME_LENGTH} characters`
+    );
+  }
+  if (
+    BUILT_IN_VIEWS.some(
+      (builtIn) => builtIn.name.toLowerCase() === name.toLowerCase()
+    )
+  ) {
+    throw new Error(`"${name}" is a built-in view`);
+  }
+
+  const submitted = view.filter || {};
+  const filter = {
+    project: submitted.project || '',
+    tag: (submitted.tag || '').replace(/^#+/, '').toLowerCase(),
+    priority: submitted.priority || '',
+  };
+  if (
+    filter.project &&
+    filter.project !== 'none' &&
+    !projects.some((project) => project.id === filter.project)
+  ) {
+    throw new Error('Unknown project');
+  }
+  if (filter.priority && !PRIORITIES.includes(filter.priority)) {
+    throw new Error('Invalid priority value');
+  }
+
+  const query = typeof view.query === 'string' ? view.query.trim() : '';
+  // Throws on invalid operators
+  parseQuery(query);
+
+  if (!query && !filter.project && !filter.tag && !filter.priority) {
+    throw new Error('A view needs a filter or a search query');
+  }
+  return { name, query, filter };
+}
+
+/**
+ * List built-in and custom views with the open tasks in each
+ * @param {Array<Object>} tasks - Open tasks (as listed by GET /api/tasks)
+ * @param {Array<Object>} customViews - Views from the config
+ * @param {string} today - Today in YYYY-MM-DD format
+ * @returns {Array<Object>} Views with builtIn, count and taskIds
+ */
+function evaluateViews(tasks, customViews, today) {
+  const withTasks = (view, matching, builtIn) => ({
+    ...view,
+    builtIn,
+    count: matching.length,
+    taskIds: matching.map((task) => task.id),
+  });
+
+  const builtInViews = BUILT_IN_VIEWS.map((view) =>
+    withTasks(
+      view,
+      tasks.filter((task) => inBuiltInView(view.id, task, today)),
+      true
+    )
+  );
+
+  const savedViews = customViews.map((view) => {
+    const filtered = tasks.filter((task) => passesFilter(task, view.filter));
+    const matching = view.query
+      ? searchTasks(filtered, view.query, { limit: Infinity }).results.map(
+          (result) => result.task
+        )
+      : filtered;
+    return withTasks(view, matching, false);
+  });
+
+  return [...builtInViews, ...savedViews];
+}
+
+module.exports = {
+  validateView,
+  evaluateViews,
+};